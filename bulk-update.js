@@ -1,11 +1,28 @@
 import axios from 'axios';
-import csv from 'csv-parser';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import mime from 'mime-types';
 import dotenv from 'dotenv';
 import readline from 'readline';
+import { parseArgs } from 'util';
+import { getClientConfig, createApiInstance } from './lib/clients.js';
+import { uploadMediaItem, checkMedia, formatBytes, getMediaDetails, getMediaDetailValues, applyMediaDetails } from './lib/media.js';
+import { getMediaLibrary } from './lib/media-library.js';
+import { sideloadContentImages } from './lib/content-images.js';
+import { renderRowContent, normalizeContentFormat } from './lib/markdown.js';
+import { readInput, listBatches, describeInput, describeInputFormat } from './lib/rows.js';
+import { normalizeMapping, applyMapping, loadMapping, reportHeaderProblems } from './lib/column-mapping.js';
+import { convertToBlocks } from './lib/blocks.js';
+import { normalizeLintBlock, lintRows, describeLintReport, describeBlockedRow } from './lib/content-lint.js';
+import { SEO_IMAGE_COLUMNS, getSeoValues, hasSeoValues, detectSeoPlugin, uploadSeoImages, applySeoFields, buildSeoFields, getSeoMetaValue, verifySeoFields, describeUnsavedSeo } from './lib/seo.js';
+import { normalizeSeoMinScore, scoreSeoRows, loadExistingDescriptions, describeSeoReport, describeLowScoreRow } from './lib/seo-score.js';
+import { capturePreviousValues } from './lib/rollback.js';
+import { saveRun } from './lib/run-history.js';
+import { createTermCache, resolveTerms, getTermLeafName, splitTermNames } from './lib/terms.js';
+import { getPostIndex, indexPost, findIndexedPostByTitle, findIndexedPostBySlug } from './lib/post-index.js';
+import { loadContentTypes, resolvePostType, getRowTaxonomies } from './lib/content-types.js';
+import { loadSiteTimezone, parsePublishDate, applyPublishDate, describeScheduledTime } from './lib/schedule.js';
+import { openCheckpoint, recordRow, getRecordedRow, getFirstUnprocessedRow, completeCheckpoint } from './lib/checkpoints.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,37 +30,12 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config();
 
-/**
- * Parse and get client configuration
- * CTS-only mode: uses single-client configuration (WP_SITE, WP_USER, WP_APP_PASSWORD)
- */
-function getClientConfig(clientId = null) {
-  // CTS-only: Always use single-client configuration
-  return {
-    wp_site: process.env.WP_SITE?.replace(/\/$/, '') || '',
-    wp_user: process.env.WP_USER || '',
-    wp_app_password: process.env.WP_APP_PASSWORD || '',
-    default_status: process.env.DEFAULT_STATUS || 'draft',
-    request_delay_ms: parseInt(process.env.REQUEST_DELAY_MS || '300', 10),
-    name: 'OMG Nafisas',
-  };
-}
-
-/**
- * Get all available clients
- * CTS-only mode: returns empty array (no client selection needed)
- */
-export function getAvailableClients() {
-  return [];
-}
-
 // Get default client config
 const defaultConfig = getClientConfig();
 const WP_SITE = defaultConfig.wp_site;
 const WP_USER = defaultConfig.wp_user;
 const WP_APP_PASSWORD = defaultConfig.wp_app_password;
 const CSV_PATH = process.env.CSV_PATH || 'posts.csv';
-const REQUEST_DELAY_MS = defaultConfig.request_delay_ms;
 
 // Validate required config
 if (!WP_SITE || !WP_USER || !WP_APP_PASSWORD) {
@@ -51,21 +43,6 @@ if (!WP_SITE || !WP_USER || !WP_APP_PASSWORD) {
   process.exit(1);
 }
 
-/**
- * Create axios instance with auth for a specific client
- */
-function createApiInstance(clientConfig) {
-  const auth = Buffer.from(`${clientConfig.wp_user}:${clientConfig.wp_app_password}`).toString('base64');
-  return axios.create({
-    baseURL: `${clientConfig.wp_site}/wp-json/wp/v2`,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-    },
-    timeout: 30000,
-  });
-}
-
 // Default API instance (for backward compatibility)
 const auth = Buffer.from(`${WP_USER}:${WP_APP_PASSWORD}`).toString('base64');
 const api = axios.create({
@@ -111,33 +88,20 @@ function promptForCsvPath(defaultPath) {
 }
 
 /**
- * Load and parse CSV file
+ * Load and parse the input file (CSV, Excel sheet, JSON or NDJSON)
+ * Returns { rows, headers, encoding, delimiter } as readInput does.
  */
-async function loadCsv(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    const fullPath = path.isAbsolute(filePath)
-      ? filePath
-      : path.resolve(__dirname, filePath);
-
-    if (!fs.existsSync(fullPath)) {
-      reject(new Error(`CSV file not found: ${fullPath}`));
-      return;
-    }
-
-    fs.createReadStream(fullPath)
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', (error) => reject(error));
-  });
-}
+async function loadCsv(filePath, sheet = null) {
+  const fullPath = path.isAbsolute(filePath)
+    ? filePath
+    : path.resolve(__dirname, filePath);
 
-/**
- * Check WordPress REST API connectivity
- */
-async function checkConnectivity() {
-  return checkConnectivityWithApi(api, WP_SITE);
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`CSV file not found: ${fullPath}`);
+  }
+
+  // A folder of Markdown files with front-matter is read as one row per file
+  return readInput(fullPath, { sheet });
 }
 
 /**
@@ -164,283 +128,163 @@ async function checkConnectivityWithApi(apiInstance, siteUrl) {
 }
 
 /**
- * Get or create a taxonomy term (category or tag)
+ * Find post by ID
  */
-async function getOrCreateTerm(name, taxonomy = 'categories', apiInstance = api, clientConfig = null) {
-  if (!name || !name.trim()) return null;
+async function findPostById(postId, apiInstance = api, restBase = 'posts') {
+  if (!postId) return null;
 
-  const trimmedName = name.trim();
   const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
 
   try {
-    const searchResponse = await currentApi.get(`/${taxonomy}`, {
-      params: { search: trimmedName, per_page: 100 },
-    });
-
-    const existing = searchResponse.data.find(
-      term => term.name.toLowerCase() === trimmedName.toLowerCase()
-    );
-
-    if (existing) {
-      return existing.id;
-    }
-
-    await sleep(config.request_delay_ms);
-    const createResponse = await currentApi.post(`/${taxonomy}`, {
-      name: trimmedName,
-    });
-
-    return createResponse.data.id;
+    const response = await currentApi.get(`/${restBase}/${postId}`);
+    return response.data.id;
   } catch (error) {
-    console.error(`⚠️  Failed to get/create ${taxonomy} "${trimmedName}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Resolve multiple terms from comma-separated string
- */
-async function resolveTerms(termString, taxonomy, apiInstance = api, clientConfig = null) {
-  if (!termString || !termString.trim()) return [];
-
-  const names = termString.split(',').map(n => n.trim()).filter(Boolean);
-  const termIds = [];
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-
-  for (const name of names) {
-    const id = await getOrCreateTerm(name, taxonomy, currentApi, config);
-    if (id) {
-      termIds.push(id);
+    if (error.response?.status === 404) {
+      return null;
     }
-    await sleep(config.request_delay_ms);
+    console.error(`⚠️  Failed to find post by ID "${postId}": ${error.message}`);
+    return null;
   }
-
-  return termIds;
 }
 
 /**
- * Convert Google Drive URL to direct download URL
+ * Get the raw value of a post field (title, content and excerpt are objects)
  */
-function convertGoogleDriveUrl(url) {
-  if (!url) return url;
-
-  // Check if it's a Google Drive URL
-  if (url.includes('drive.google.com')) {
-    // Try to extract the ID
-    // Matches /file/d/ID/view or /open?id=ID
-    const idMatch = url.match(/\/d\/([a-zA-Z0-9_-]+)/) || url.match(/id=([a-zA-Z0-9_-]+)/);
-
-    if (idMatch && idMatch[1]) {
-      const fileId = idMatch[1];
-      console.log(`   🔄 Converting Google Drive URL to direct link (ID: ${fileId})`);
-      return `https://drive.google.com/uc?export=download&id=${fileId}`;
-    }
+function getFieldValue(value) {
+  if (value && typeof value === 'object' && ('raw' in value || 'rendered' in value)) {
+    return value.raw ?? value.rendered;
   }
-
-  return url;
+  return value ?? null;
 }
 
 /**
- * Download image from URL
+ * Get term names for a list of term IDs
  */
-async function downloadImageFromUrl(imageUrl) {
-  try {
-    const response = await axios.get(imageUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-    });
-
-    return {
-      buffer: Buffer.from(response.data),
-      mimeType: response.headers['content-type'] || mime.lookup(imageUrl) || 'image/jpeg',
-      fileName: path.basename(new URL(imageUrl).pathname) || 'image.jpg',
-    };
-  } catch (error) {
-    console.error(`⚠️  Failed to download image from URL "${imageUrl}": ${error.message}`);
-    return null;
-  }
-}
+async function getTermNames(termIds, taxonomy, apiInstance = api) {
+  if (!termIds || termIds.length === 0) return [];
 
-/**
- * Upload featured image to WordPress media library
- */
-async function uploadMedia(filePathOrUrl, apiInstance = api, clientConfig = null) {
   const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-  if (!filePathOrUrl || !filePathOrUrl.trim()) return null;
-
-  let fileBuffer, fileName, mimeType;
-  let processedUrl = filePathOrUrl.trim();
-
-  if (processedUrl.startsWith('http://') || processedUrl.startsWith('https://')) {
-    // Handle Google Drive URLs
-    processedUrl = convertGoogleDriveUrl(processedUrl);
-
-    const downloaded = await downloadImageFromUrl(processedUrl);
-    if (!downloaded) return null;
-
-    fileBuffer = downloaded.buffer;
-    fileName = downloaded.fileName;
-    mimeType = downloaded.mimeType;
-  } else {
-    const fullPath = path.resolve(__dirname, processedUrl);
-
-    if (!fs.existsSync(fullPath)) {
-      console.error(`⚠️  Image file not found: ${fullPath}`);
-      return null;
-    }
-
-    fileBuffer = fs.readFileSync(fullPath);
-    fileName = path.basename(fullPath);
-    mimeType = mime.lookup(fullPath) || 'application/octet-stream';
-  }
 
   try {
-    await sleep(config.request_delay_ms);
-
-    const response = await currentApi.post('/media', fileBuffer, {
-      headers: {
-        'Content-Type': mimeType,
-        'Content-Disposition': `attachment; filename="${fileName}"`,
-      },
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity,
+    const response = await currentApi.get(`/${taxonomy}`, {
+      params: { include: termIds.join(','), per_page: 100 },
     });
-
-    return response.data.id;
+    return response.data.map(term => term.name);
   } catch (error) {
-    console.error(`⚠️  Failed to upload media "${filePathOrUrl}": ${error.message}`);
-    if (error.response?.data) {
-      console.error(`   Error details: ${JSON.stringify(error.response.data)}`);
-    }
-    return null;
+    console.error(`⚠️  Failed to look up ${taxonomy} ${termIds.join(', ')}: ${error.message}`);
+    return termIds.map(String);
   }
 }
 
 /**
- * Find post by ID
+ * Get the URL of a media item
  */
-async function findPostById(postId, apiInstance = api) {
-  if (!postId) return null;
+async function getMediaUrl(mediaId, apiInstance = api) {
+  if (!mediaId) return null;
 
   const currentApi = apiInstance || api;
 
   try {
-    const response = await currentApi.get(`/posts/${postId}`);
-    return response.data.id;
+    const response = await currentApi.get(`/media/${mediaId}`);
+    return response.data.source_url || `#${mediaId}`;
   } catch (error) {
-    if (error.response?.status === 404) {
-      return null;
-    }
-    console.error(`⚠️  Failed to find post by ID "${postId}": ${error.message}`);
-    return null;
+    return `#${mediaId}`;
   }
 }
 
 /**
- * Find post by slug
+ * Get the featured image a row sets, or null when it sets none or its featured_image_url is the post's current
+ * featured image (as an export writes it), which is then kept instead of uploaded again
  */
-async function findPostBySlug(slug, apiInstance = api) {
-  if (!slug || !slug.trim()) return null;
-
-  const currentApi = apiInstance || api;
-
-  try {
-    const response = await currentApi.get('/posts', {
-      params: { slug: slug.trim(), per_page: 1 },
-    });
-
-    if (response.data && response.data.length > 0) {
-      return response.data[0].id;
-    }
+async function getNewImagePath(row, existingPost, apiInstance = api) {
+  if (row.featured_image_path?.trim()) return row.featured_image_path.trim();
 
-    return null;
-  } catch (error) {
-    console.error(`⚠️  Failed to search for post by slug "${slug}": ${error.message}`);
-    return null;
-  }
+  const imageUrl = row.featured_image_url?.trim();
+  if (!imageUrl) return null;
+  if (existingPost.featured_media && imageUrl === await getMediaUrl(existingPost.featured_media, apiInstance)) return null;
+  return imageUrl;
 }
 
 /**
- * Find post by title
+ * Build a field-level before/after diff of an update against the live post
+ * Only fields the row sets are included; unchanged ones are kept with changed: false. imagePath is the new
+ * featured image (getNewImagePath).
  */
-async function findPostByTitle(title, apiInstance = api) {
-  const currentApi = apiInstance || api;
-  if (!title || !title.trim()) return null;
+async function buildUpdateDiff(existingPost, updateData, row, rowTaxonomies, apiInstance = api, contentTypes = null, seoPlugin = null, seoValues = {}, imagePath = null) {
+  const diff = [];
+  const add = (field, before, after, changed) => {
+    diff.push({ field, before, after, changed: changed ?? JSON.stringify(before) !== JSON.stringify(after) });
+  };
 
-  try {
-    const normalizeTitle = (str) => {
-      if (!str) return '';
-      return str
-        .replace(/<[^>]*>/g, '')
-        .replace(/&nbsp;/g, ' ')
-        .replace(/&amp;/g, '&')
-        .replace(/&quot;/g, '"')
-        .replace(/&#8217;/g, "'")
-        .replace(/&#8216;/g, "'")
-        .replace(/&#39;/g, "'")
-        .replace(/&#038;/g, '&')
-        .replace(/&[^;]+;/g, '')
-        .replace(/\s+/g, ' ')
-        .toLowerCase()
-        .trim();
-    };
+  for (const field of ['title', 'content', 'excerpt', 'status', 'slug']) {
+    if (updateData[field] !== undefined) {
+      add(field, getFieldValue(existingPost[field]), updateData[field]);
+    }
+  }
 
-    const normalizedSearchTitle = normalizeTitle(title);
-
-    let page = 1;
-    const perPage = 100;
-    let hasMore = true;
-
-    while (hasMore) {
-      const response = await currentApi.get('/posts', {
-        params: {
-          per_page: perPage,
-          page: page,
-          status: 'any',
-          orderby: 'date',
-          order: 'desc'
-        },
-      });
+  if (updateData.date !== undefined) {
+    const formatDate = (date) => date ? date.slice(0, 16).replace('T', ' ') : null;
+    add('publish_date', formatDate(existingPost.date), formatDate(updateData.date));
+  }
 
-      if (!response.data || response.data.length === 0) {
-        hasMore = false;
-        break;
-      }
+  for (const { taxonomy, value } of rowTaxonomies) {
+    const before = await getTermNames(existingPost[taxonomy.restBase], taxonomy.restBase, apiInstance);
+    const after = splitTermNames(value).map(n => getTermLeafName(n, taxonomy.restBase, contentTypes)).filter(Boolean);
+    const normalize = (names) => names.map(n => n.toLowerCase()).sort().join(',');
+    add(taxonomy.restBase, before, after, normalize(before) !== normalize(after));
+  }
 
-      for (const post of response.data) {
-        const postTitleRaw = post.title?.rendered || post.title?.raw || post.title || '';
-        const postTitleNormalized = normalizeTitle(postTitleRaw);
+  if (imagePath) {
+    // A new image is always uploaded, so this always counts as a change
+    add('featured_image', await getMediaUrl(existingPost.featured_media, apiInstance), imagePath, true);
+  }
 
-        if (postTitleNormalized === normalizedSearchTitle) {
-          return post.id;
-        }
-      }
+  // Attachment fields: a new image starts without them, otherwise they change the current featured image
+  const mediaDetails = getMediaDetails(row);
+  if (Object.keys(mediaDetails).length > 0) {
+    const columns = { alt_text: 'featured_image_alt', caption: 'featured_image_caption', title: 'featured_image_title', description: 'featured_image_description' };
+    const before = !imagePath && existingPost.featured_media
+      ? await getMediaDetailValues(existingPost.featured_media, Object.keys(mediaDetails), apiInstance).catch(() => ({}))
+      : {};
+    for (const [field, value] of Object.entries(mediaDetails)) {
+      add(columns[field], before[field] || null, value);
+    }
+  }
 
-      if (response.data.length < perPage) {
-        hasMore = false;
-      } else {
-        page++;
-        if (page > 10) {
-          console.log(`⚠️  Reached 1000 post limit. Stopping search.`);
-          hasMore = false;
-        }
-      }
+  if (updateData.acf) {
+    for (const [key, value] of Object.entries(updateData.acf)) {
+      add(`acf.${key}`, existingPost.acf?.[key] ?? null, value);
     }
+  }
 
-    return null;
-  } catch (error) {
-    console.error(`⚠️  Failed to search for post by title "${title}": ${error.message}`);
-    return null;
+  // SEO fields are compared under the keys of the site's SEO plugin; keys written next to a column's own key
+  // (image attachment IDs, settings a column needs) are listed under their key
+  if (seoPlugin) {
+    for (const { field, key, value } of buildSeoFields(seoPlugin, seoValues)) {
+      const before = getSeoMetaValue(existingPost, key);
+      const changed = Array.isArray(value) ? [].concat(before ?? []).sort().join(',') !== [...value].sort().join(',') : undefined;
+      add(seoPlugin.keys[field] === key ? field : key, before, value, changed);
+    }
   }
+
+  return diff;
+}
+
+/**
+ * Shorten a diff value for console output
+ */
+function formatDiffValue(value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (Array.isArray(value)) return `[${value.join(', ')}]`;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const singleLine = text.replace(/\s+/g, ' ');
+  return singleLine.length > 60 ? `"${singleLine.slice(0, 57)}..."` : `"${singleLine}"`;
 }
 
 /**
  * Update an existing post
  */
-async function updatePost(row, rowNumber, progressCallback = null, apiInstance = api, clientConfig = null) {
+async function updatePost(row, rowNumber, progressCallback = null, apiInstance = api, clientConfig = null, runContext = {}) {
   // Use provided API instance or default
   const currentApi = apiInstance || api;
   const config = clientConfig || defaultConfig;
@@ -451,24 +295,54 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
     postId: null,
     status: null,
     error: null,
+    postType: 'posts',
+    createdTerms: [],
+    createdMedia: [],
+    // Attachments found in the media library instead of uploaded; rollbacks of other runs keep them
+    reusedMedia: [],
+    updatedMedia: [],
+    imageBytesSaved: 0,
   };
 
+  // Dry run: collect what would happen for this row instead of writing anything
+  const plan = runContext.dryRun ? { termsToCreate: [], image: null } : null;
+  const rowContext = { ...runContext, plan, createdTerms: result.createdTerms };
+
   try {
+    // Rows target posts unless post_type names a page or another REST-enabled post type
+    const postType = resolvePostType(runContext.contentTypes, row.post_type);
+    const endpoint = `/${postType.restBase}`;
+    result.postType = postType.restBase;
+
+    // Rows whose content failed the pre-flight lint are not sent
+    const lint = runContext.lint?.rows[rowNumber - 1];
+    if (lint?.issues.length > 0) result.lint = lint.issues;
+    if (lint?.blocked) throw new Error(describeBlockedRow(lint));
+
+    // Rows scoring below the minimum SEO score are not sent either
+    const seoScore = runContext.seoScores?.rows[rowNumber - 1];
+    if (seoScore?.score !== null && seoScore?.score !== undefined) {
+      result.seoScore = { score: seoScore.score, issues: seoScore.checks.filter(item => !item.passed).map(item => item.message) };
+    }
+    if (seoScore?.blocked) throw new Error(describeLowScoreRow(seoScore, runContext.seoScores.minScore));
+
     // Find the post to update - priority: post_id > slug > title
     let postId = null;
 
     if (row.post_id?.trim()) {
-      postId = await findPostById(row.post_id.trim(), currentApi);
+      postId = await findPostById(row.post_id.trim(), currentApi, postType.restBase);
       if (!postId) {
         throw new Error(`Post with ID "${row.post_id}" not found`);
       }
     } else if (row.slug?.trim()) {
-      postId = await findPostBySlug(row.slug.trim(), currentApi);
+      const postIndex = await getPostIndex(runContext, postType.restBase, currentApi, progressCallback);
+      postId = findIndexedPostBySlug(postIndex, row.slug)?.id || null;
       if (!postId) {
         throw new Error(`Post with slug "${row.slug}" not found`);
       }
     } else if (row.title?.trim()) {
-      postId = await findPostByTitle(row.title.trim(), currentApi);
+      const postIndex = await getPostIndex(runContext, postType.restBase, currentApi, progressCallback);
+      postId = findIndexedPostByTitle(postIndex, row.title)?.id || null;
       if (!postId) {
         throw new Error(`Post with title "${row.title}" not found`);
       }
@@ -479,7 +353,8 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
     result.postId = postId;
 
     // Get existing post to preserve fields not being updated
-    const existingPostResponse = await currentApi.get(`/posts/${postId}`);
+    // context=edit returns raw title/content/excerpt so previous values can be restored on rollback
+    const existingPostResponse = await currentApi.get(`${endpoint}/${postId}`, { params: { context: 'edit' } });
     const existingPost = existingPostResponse.data;
 
     // Prepare update data - only include fields that are provided
@@ -492,7 +367,8 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
 
     // Update content if provided
     if (row.content?.trim()) {
-      updateData.content = row.content.trim();
+      // Markdown (content_format column or the run's default) is converted to HTML
+      updateData.content = renderRowContent(row.content.trim(), row, runContext.contentFormat);
     }
 
     // Update status if provided
@@ -510,6 +386,15 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
       updateData.excerpt = row.excerpt.trim();
     }
 
+    // Reschedule if publish_date is provided (read in the row's timezone, or the site's)
+    // Drafts, pending and private posts keep their status unless the row sets one
+    if (row.publish_date?.trim()) {
+      const publishDate = parsePublishDate(row.publish_date, row.timezone?.trim() || runContext.siteTimeZone);
+      applyPublishDate(updateData, publishDate, runContext.siteTimeZone, row.status?.trim() || existingPost.status);
+      result.scheduledAt = publishDate.toISOString();
+      result.scheduledFor = describeScheduledTime(publishDate, runContext.siteTimeZone);
+    }
+
     // Handle ACF JSON
     if (row.acf_json?.trim()) {
       try {
@@ -520,73 +405,122 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
       }
     }
 
-    // Resolve categories if provided
-    if (row.categories?.trim()) {
-      const categoryIds = await resolveTerms(row.categories, 'categories', currentApi, config);
-      if (categoryIds.length > 0) {
-        updateData.categories = categoryIds;
-      }
-    }
-
-    // Resolve tags if provided
-    if (row.tags?.trim()) {
-      const tagIds = await resolveTerms(row.tags, 'tags', currentApi, config);
-      if (tagIds.length > 0) {
-        updateData.tags = tagIds;
+    // Resolve categories, tags and tax:<taxonomy> columns if provided
+    const rowTaxonomies = getRowTaxonomies(row, runContext.contentTypes, postType);
+    for (const { taxonomy, value } of rowTaxonomies) {
+      const termIds = await resolveTerms(value, taxonomy.restBase, currentApi, config, rowContext);
+      if (termIds.length > 0) {
+        updateData[taxonomy.restBase] = [...new Set([...(updateData[taxonomy.restBase] || []), ...termIds])];
       }
     }
 
     // Upload featured image if provided
-    const imagePath = row.featured_image_path?.trim() || row.featured_image_url?.trim();
+    const imagePath = await getNewImagePath(row, existingPost, currentApi);
+    // Images already in the media library (same bytes) reuse the existing attachment
+    const mediaDetails = getMediaDetails(row);
     if (imagePath) {
-      const mediaId = await uploadMedia(imagePath, currentApi, config);
-      if (mediaId) {
-        updateData.featured_media = mediaId;
+      const mediaLibrary = await getMediaLibrary(runContext, currentApi, config, progressCallback);
+      if (plan) {
+        plan.image = { ...await checkMedia(imagePath, mediaLibrary, config), details: mediaDetails };
+        result.imageBytesSaved += plan.image.bytesSaved;
+      } else {
+        const media = await uploadMediaItem(imagePath, currentApi, config, mediaLibrary);
+        if (media) {
+          updateData.featured_media = media.id;
+          runContext.uploadedMedia.set(media.url, media.id);
+          if (media.reused) {
+            result.reusedMedia.push(media.id);
+          } else {
+            result.createdMedia.push(media.id);
+            result.imageBytesSaved += media.bytesSaved;
+          }
+          // Alt text, caption, title and description are set on new and reused attachments alike
+          const updatedMedia = await applyMediaDetails(media, mediaDetails, currentApi, config);
+          if (updatedMedia) result.updatedMedia.push(updatedMedia);
+        }
       }
+    } else if (existingPost.featured_media && Object.keys(mediaDetails).length > 0 && !plan) {
+      // Without a new image the columns update the post's current featured image
+      const updatedMedia = await applyMediaDetails({ id: existingPost.featured_media, reused: true }, mediaDetails, currentApi, config);
+      if (updatedMedia) result.updatedMedia.push(updatedMedia);
+    } else if (Object.keys(mediaDetails).length > 0 && !plan) {
+      console.warn(`[${rowNumber}] ⚠️  featured_image_alt/caption/title/description ignored: the post has no featured image`);
     }
 
-    // Handle Meta Title, Description, and Focus Keyword
-    const metaTitle = row.meta_title?.trim();
-    const metaDesc = row.meta_description?.trim();
-    const focusKw = row.focus_keyword?.trim();
-
-    if (metaTitle || metaDesc || focusKw) {
-      // When using register_rest_field (via our helper plugin), these must be top-level fields
+    // Move external images embedded in the content into the media library
+    if (runContext.sideloadImages && /<img\b/i.test(updateData.content || '')) {
+      rowContext.mediaLibrary = await getMediaLibrary(runContext, currentApi, config, progressCallback);
+      const sideloaded = await sideloadContentImages(updateData.content, currentApi, config, rowContext, result.createdMedia, result.reusedMedia);
+      updateData.content = sideloaded.content;
+      result.contentImages = sideloaded.images;
+      result.imageBytesSaved += sideloaded.images.filter(image => !image.reused).reduce((sum, image) => sum + (image.bytesSaved || 0), 0);
+    }
 
-      if (metaTitle) {
-        // Generic
-        updateData.meta_title = metaTitle;
-        // Yoast SEO
-        updateData._yoast_wpseo_title = metaTitle;
-        // Rank Math
-        updateData.rank_math_title = metaTitle;
-      }
+    // Convert the HTML into block editor markup; images uploaded in this run reference their attachments
+    if (runContext.convertToBlocks && updateData.content) {
+      updateData.content = convertToBlocks(updateData.content, runContext.uploadedMedia);
+    }
 
-      if (metaDesc) {
-        // Generic
-        updateData.meta_description = metaDesc;
-        // Yoast SEO
-        updateData._yoast_wpseo_metadesc = metaDesc;
-        // Rank Math
-        updateData.rank_math_description = metaDesc;
+    // SEO, social and robots columns are written to the site's SEO plugin only; og_image and twitter_image are
+    // uploaded like a featured image first
+    const seoValues = getSeoValues(row);
+    if (Object.keys(seoValues).length > 0) {
+      if (runContext.seoPlugin) {
+        if (SEO_IMAGE_COLUMNS.some(column => seoValues[column])) {
+          const mediaLibrary = await getMediaLibrary(runContext, currentApi, config, progressCallback);
+          const failedImages = await uploadSeoImages(seoValues, currentApi, config, mediaLibrary, rowContext, result);
+          if (failedImages.length > 0) {
+            result.seoWarning = `Could not upload ${failedImages.join(', ')}: not saved`;
+            console.warn(`[${rowNumber}] ⚠️  ${result.seoWarning}`);
+          }
+        }
+        applySeoFields(updateData, runContext.seoPlugin, seoValues);
+      } else {
+        result.seoWarning = `No SEO plugin detected: ${Object.keys(seoValues).join(', ')} not saved`;
+        console.warn(`[${rowNumber}] ⚠️  ${result.seoWarning}`);
       }
+    }
 
-      if (focusKw) {
-        // Yoast SEO
-        updateData._yoast_wpseo_focuskw = focusKw;
-        // Rank Math
-        updateData.rank_math_focus_keyword = focusKw;
+    // Dry run: report the planned update and what it changes without sending it
+    if (plan) {
+      result.diff = await buildUpdateDiff(existingPost, updateData, row, rowTaxonomies, currentApi, runContext.contentTypes, runContext.seoPlugin, seoValues, imagePath);
+      const changes = result.diff.filter(entry => entry.changed);
+      result.action = changes.length > 0 ? 'would update' : 'no changes';
+      result.status = updateData.status || existingPost.status;
+      result.dryRun = true;
+      result.plan = plan;
+      const message = changes.length > 0
+        ? `[${rowNumber}] 🧪 Would update ${postType.slug} ${result.postId}: ${result.title}`
+        : `[${rowNumber}] 🧪 No changes for ${postType.slug} ${result.postId}: ${result.title}`;
+      console.log(message);
+      changes.forEach(entry => {
+        console.log(`   • ${entry.field}: ${formatDiffValue(entry.before)} → ${formatDiffValue(entry.after)}`);
+      });
+      if (progressCallback) {
+        progressCallback({
+          type: 'success',
+          message,
+          rowNumber,
+          postId: result.postId,
+          title: result.title
+        });
       }
+      return result;
     }
 
+    // Remember the values being overwritten so a rollback can restore them
+    result.previous = capturePreviousValues(existingPost, updateData);
+
     // Perform the update
     await sleep(config.request_delay_ms);
-    const updateResponse = await currentApi.post(`/posts/${postId}`, updateData);
+    const updateResponse = await currentApi.post(`${endpoint}/${postId}`, updateData);
 
     result.action = 'updated';
     result.postId = updateResponse.data.id;
     result.status = updateResponse.data.status;
-    const message = `[${rowNumber}] ✅ Updated post ${result.postId}: ${result.title}`;
+    if (runContext.postIndexes.has(postType.restBase)) indexPost(runContext.postIndexes.get(postType.restBase), updateResponse.data);
+    const scheduleNote = result.scheduledFor ? ` (${result.status === 'future' ? 'scheduled for' : 'dated'} ${result.scheduledFor})` : '';
+    const message = `[${rowNumber}] ✅ Updated ${postType.slug} ${result.postId}: ${result.title}${scheduleNote}`;
     console.log(message);
     if (progressCallback) {
       progressCallback({
@@ -597,6 +531,22 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
         title: result.title
       });
     }
+
+    // Read the post back to check that the SEO plugin kept the values
+    if (runContext.seoPlugin && Object.keys(seoValues).length > 0) {
+      try {
+        result.seo = await verifySeoFields(currentApi, endpoint, result.postId, runContext.seoPlugin, seoValues);
+        if (result.seo.unsaved.length > 0) {
+          result.seoWarning = [result.seoWarning, describeUnsavedSeo(result.seo)].filter(Boolean).join('; ');
+        }
+      } catch (error) {
+        result.seoWarning = `Could not read the post back to check its SEO fields: ${error.message}`;
+      }
+      if (result.seoWarning) {
+        console.warn(`[${rowNumber}] ⚠️  ${result.seoWarning}`);
+        if (progressCallback) progressCallback({ type: 'warning', message: `[${rowNumber}] ⚠️  ${result.seoWarning}`, rowNumber });
+      }
+    }
   } catch (error) {
     result.error = error.message;
     if (error.response?.data) {
@@ -622,14 +572,40 @@ async function updatePost(row, rowNumber, progressCallback = null, apiInstance =
  * Main execution
  */
 async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      client: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      resume: { type: 'boolean', default: false },
+      'sideload-images': { type: 'boolean', default: false },
+      'content-format': { type: 'string' },
+      blocks: { type: 'boolean', default: false },
+      'lint-block': { type: 'string' },
+      'seo-min-score': { type: 'string' },
+      sheet: { type: 'string' },
+      rows: { type: 'string' },
+      mapping: { type: 'string' },
+    },
+    allowPositionals: true,
+  });
+
+  let clientConfig;
+  try {
+    clientConfig = getClientConfig(args.client || null);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
   console.log('🔄 WordPress Bulk Updater\n');
-  console.log(`Site: ${WP_SITE}`);
-  console.log(`Request Delay: ${REQUEST_DELAY_MS}ms`);
+  console.log(`Client: ${clientConfig.name}`);
+  console.log(`Site: ${clientConfig.wp_site}`);
+  console.log(`Request Delay: ${clientConfig.request_delay_ms}ms`);
 
   let csvPath;
 
-  if (process.argv[2]) {
-    csvPath = process.argv[2];
+  if (positionals[0]) {
+    csvPath = positionals[0];
     console.log(`\nCSV: ${csvPath} (from command-line argument)`);
   } else {
     const suggestedPath = process.env.CSV_PATH || 'posts.csv';
@@ -637,66 +613,134 @@ async function main() {
     console.log(`\nCSV: ${csvPath}`);
   }
 
-  const isConnected = await checkConnectivity();
-  if (!isConnected) {
-    process.exit(1);
+  if (args['dry-run']) {
+    console.log('🧪 Dry run: nothing will be written to WordPress');
+  }
+  if (args.resume) {
+    console.log('⏩ Resuming the previous run of this file from its checkpoint');
+  }
+  if (args['sideload-images']) {
+    console.log('🖼️  External images in content will be moved into the media library');
+  }
+  if (args.blocks) {
+    console.log('🧱 Content will be converted to editor blocks');
   }
 
-  console.log(`📖 Loading CSV: ${csvPath}...`);
-  let rows;
-  try {
-    rows = await loadCsv(csvPath);
-    console.log(`✅ Loaded ${rows.length} row(s)\n`);
-  } catch (error) {
-    console.error(`❌ Failed to load CSV: ${error.message}`);
-    console.error(`\n💡 Tips:`);
-    console.error(`   - Use absolute path: C:\\Users\\YourName\\Documents\\file.csv`);
-    console.error(`   - Use relative path: posts.csv (from script directory)`);
-    console.error(`   - Or pass as argument: npm run update "C:\\path\\to\\file.csv"`);
-    process.exit(1);
+  // --rows 2,5,9 applies only those rows, e.g. after reviewing a dry run
+  let selectedRows;
+  if (args.rows) {
+    selectedRows = args.rows.split(',').map(n => parseInt(n.trim(), 10));
+    if (selectedRows.some(n => !Number.isInteger(n) || n < 1)) {
+      console.error('❌ --rows must be a comma-separated list of row numbers, e.g. --rows 2,5,9');
+      process.exit(1);
+    }
   }
 
-  if (rows.length === 0) {
-    console.log('⚠️  CSV file is empty');
-    process.exit(0);
+  // --mapping is a JSON file or the name of a profile saved for the site in the web interface
+  let mapping = null;
+  if (args.mapping) {
+    try {
+      mapping = loadMapping(args.mapping, clientConfig.id);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    console.log(`🗂️  Column mapping: ${args.mapping}`);
   }
 
-  console.log('📤 Starting update process...\n');
-  for (let i = 0; i < rows.length; i++) {
-    const result = await updatePost(rows[i], i + 1, null, api, defaultConfig);
-    logResults.push(result);
+  // A workbook runs each of its sheets as a separate batch unless --sheet picks one
+  const inputPath = path.isAbsolute(csvPath) ? csvPath : path.resolve(__dirname, csvPath);
+  let sheets = [args.sheet || null];
+  if (fs.existsSync(inputPath)) {
+    try {
+      sheets = await listBatches(inputPath, args.sheet);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+  }
+  if (args.rows && sheets.length > 1) {
+    console.error('❌ --rows needs --sheet: this workbook has several sheets');
+    process.exit(1);
   }
 
-  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
-  const logPath = isVercel
-    ? path.join('/tmp', 'update_log.json')
-    : path.resolve(__dirname, 'update_log.json');
-  fs.writeFileSync(logPath, JSON.stringify(logResults, null, 2));
-  console.log(`\n📝 Log written to: ${logPath}`);
+  // Process each batch with the same pipeline the web interface uses
+  let failedBatches = 0;
+  for (const sheet of sheets) {
+    if (sheet) console.log(`\n📑 Sheet: ${sheet}`);
+
+    let summary;
+    try {
+      summary = await processUpdateCsvFile(csvPath, (progress) => {
+        // Row results are already printed as they are processed
+        if (progress.type === 'info') console.log(progress.message);
+      }, clientConfig.id, { dryRun: args['dry-run'], resume: args.resume && !args['dry-run'], rows: selectedRows, sideloadImages: args['sideload-images'], contentFormat: args['content-format'], convertToBlocks: args.blocks, lintBlock: args['lint-block'], seoMinScore: args['seo-min-score'], mapping, sheet });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      if (error.message.startsWith('Failed to load CSV')) {
+        console.error(`\n💡 Tips:`);
+        console.error(`   - Use absolute path: C:\\Users\\YourName\\Documents\\file.csv`);
+        console.error(`   - Use relative path: posts.csv (from script directory)`);
+        console.error(`   - Or pass as argument: npm run update "C:\\path\\to\\file.csv"`);
+      }
+      failedBatches++;
+      continue;
+    }
 
-  const endTime = Date.now();
-  const duration = ((endTime - startTime) / 1000).toFixed(2);
-  const successCount = logResults.filter(r => !r.error).length;
-  const failedCount = logResults.filter(r => r.error).length;
+    if (summary.logPath) {
+      console.log(`\n📝 Log written to: ${summary.logPath}`);
+    }
+    if (summary.runId) {
+      console.log(`↩️  Undo this run with: npm run rollback -- ${summary.runId}`);
+    }
 
-  console.log('\n' + '='.repeat(50));
-  console.log('📊 Summary');
-  console.log('='.repeat(50));
-  console.log(`✅ Success: ${successCount}`);
-  console.log(`❌ Failed: ${failedCount}`);
-  console.log(`⏱️  Total Time: ${duration}s`);
-  console.log('='.repeat(50) + '\n');
+    console.log('\n' + '='.repeat(50));
+    console.log(summary.dryRun ? '📊 Dry Run Summary' : '📊 Summary');
+    console.log('='.repeat(50));
+    console.log(`✅ Success: ${summary.success}`);
+    console.log(`❌ Failed: ${summary.failed}`);
+    if (summary.imagesMoved > 0) {
+      console.log(`🖼️  ${summary.dryRun ? 'Images to move' : 'Images moved'}: ${summary.imagesMoved}`);
+    }
+    if (summary.imageBytesSaved > 0) {
+      console.log(`🗜️  ${summary.dryRun ? 'Image bytes to save' : 'Image bytes saved'}: ${formatBytes(summary.imageBytesSaved)}`);
+    }
+    if (summary.seoWarnings > 0) {
+      console.log(`⚠️  Rows with SEO fields not saved: ${summary.seoWarnings}`);
+    }
+    console.log(`⏱️  Total Time: ${summary.duration}s`);
+    console.log('='.repeat(50) + '\n');
+    failedBatches += summary.failed > 0 ? 1 : 0;
+  }
 
-  process.exit(failedCount > 0 ? 1 : 0);
+  process.exit(failedBatches > 0 ? 1 : 0);
 }
 
 /**
  * Process CSV file for updates (exported for use by web server)
+ * Options:
+ * - resume: continue an interrupted run of the same file from its checkpoint
+ * - fileName: original file name, shown when listing checkpoints
+ * - dryRun: resolve posts, terms and images and diff each row against the live post without writing anything
+ * - rows: 1-based row numbers to apply (e.g. the rows left ticked after a preview); other rows are skipped
+ * - sideloadImages: move external <img> images in content into the media library
+ * - contentFormat: html (default) or markdown, for rows without a content_format column
+ * - convertToBlocks: convert the content into block editor (Gutenberg) markup
+ * - sheet: the sheet of an Excel workbook to read (name or 1-based position); workbooks with several sheets need one
+ * - mapping: { header → field, or null to ignore } renaming the file's columns to the fields they hold
+ * - lintBlock: error, warning or off; rows with content lint issues this severe are not sent (defaults to the site's setting)
+ * - seoMinScore: rows whose SEO score (0-100) is below it are not sent (defaults to the site's seo_min_score)
  */
-export async function processUpdateCsvFile(csvPath, progressCallback = null, clientId = null) {
+export async function processUpdateCsvFile(csvPath, progressCallback = null, clientId = null, options = {}) {
   logResults = [];
   startTime = Date.now();
 
+  // Reject an unknown content format, lint level, minimum SEO score or column mapping before anything is loaded or checkpointed
+  const contentFormat = normalizeContentFormat(options.contentFormat);
+  const lintBlock = options.lintBlock ? normalizeLintBlock(options.lintBlock) : null;
+  const seoMinScore = normalizeSeoMinScore(options.seoMinScore);
+  const mapping = options.mapping ? normalizeMapping(options.mapping) : null;
+
   // Get client configuration
   const clientConfig = getClientConfig(clientId);
   const clientApi = createApiInstance(clientConfig);
@@ -709,22 +753,177 @@ export async function processUpdateCsvFile(csvPath, progressCallback = null, cli
   if (progressCallback) progressCallback({ type: 'info', message: `✅ WordPress REST API is accessible for ${clientConfig.name}` });
 
   if (progressCallback) progressCallback({ type: 'info', message: '📖 Loading CSV file...' });
-  let rows;
+  let input;
   try {
-    rows = await loadCsv(csvPath);
+    input = await loadCsv(csvPath, options.sheet);
   } catch (error) {
     throw new Error(`Failed to load CSV: ${error.message}`);
   }
 
+  let rows = input.rows;
   if (rows.length === 0) {
     throw new Error('CSV file is empty');
   }
-  if (progressCallback) progressCallback({ type: 'info', message: `✅ Loaded ${rows.length} row(s)` });
-  if (progressCallback) progressCallback({ type: 'info', message: '📤 Starting update process...' });
+  if (progressCallback) progressCallback({ type: 'info', message: `✅ Loaded ${rows.length} row(s)`, total: rows.length });
+  if (progressCallback && describeInputFormat(input)) {
+    progressCallback({ type: 'info', message: `🔤 Read as ${describeInputFormat(input)}` });
+  }
+
+  // Repeated headers stop the run before anything is checkpointed or sent; unnamed and unknown columns are
+  // reported (a resumed run was checked when it started)
+  if (!options.resume) reportHeaderProblems(input.headers, mapping, progressCallback);
+  if (progressCallback) progressCallback({ type: 'info', message: options.dryRun ? '🧪 Starting dry run (nothing will be written)...' : '📤 Starting update process...' });
+
+  // Post types and taxonomies decide where each row is sent (post_type and tax:<taxonomy> columns)
+  const contentTypes = await loadContentTypes(clientApi);
+
+  // publish_date values without a timezone use the site's timezone
+  const siteTimeZone = await loadSiteTimezone(clientApi, clientConfig);
+
+  // Rows without a post_id are matched through an index of existing posts, built once per post type
+  // the first time a row needs it; terms are loaded once per taxonomy
+  const runContext = {
+    dryRun: Boolean(options.dryRun),
+    contentTypes,
+    postIndexes: new Map(),
+    termCache: createTermCache(),
+    siteTimeZone,
+    contentFormat,
+    sideloadImages: Boolean(options.sideloadImages),
+    sideloadedImages: new Map(),
+    convertToBlocks: Boolean(options.convertToBlocks),
+    // URL → attachment ID of the images this run uploaded or reused
+    uploadedMedia: new Map(),
+    seoPlugin: null,
+    mediaLibrary: null,
+  };
+
+  // Checkpoint every row so an interrupted run can be resumed (dry runs write nothing to resume)
+  let checkpoint = null;
+  if (!runContext.dryRun) {
+    const opened = openCheckpoint({
+      mode: 'update',
+      clientId: clientConfig.id,
+      filePath: csvPath,
+      fileName: options.fileName,
+      sheet: options.sheet,
+      totalRows: rows.length,
+      selectedRows: options.rows,
+      sideloadImages: options.sideloadImages,
+      contentFormat,
+      convertToBlocks: options.convertToBlocks,
+      mapping,
+      resume: options.resume,
+    });
+    checkpoint = opened.checkpoint;
+
+    // A resumed run keeps the image and content settings it started with
+    runContext.sideloadImages = Boolean(checkpoint.sideloadImages ?? runContext.sideloadImages);
+    runContext.contentFormat = checkpoint.contentFormat || runContext.contentFormat;
+    runContext.convertToBlocks = Boolean(checkpoint.convertToBlocks ?? runContext.convertToBlocks);
+
+    if (opened.replaced && progressCallback) {
+      progressCallback({ type: 'info', message: '⚠️  An unfinished run of this file was found and has been discarded. Use resume to continue a run instead.' });
+    }
+    if (options.resume && progressCallback) {
+      const nextRow = getFirstUnprocessedRow(checkpoint);
+      progressCallback({ type: 'info', message: nextRow ? `⏩ Resuming from row ${nextRow} of ${rows.length}` : '✅ Every row of this file was already processed' });
+    }
+  }
+
+  // Columns are renamed to the fields they are mapped to; a resumed run keeps the mapping it started with
+  const columnMapping = checkpoint?.mapping || mapping;
+  if (columnMapping) {
+    rows = applyMapping(rows, columnMapping);
+    if (progressCallback) progressCallback({ type: 'info', message: `🗂️  Mapped ${Object.values(columnMapping).filter(Boolean).length} column(s) to known fields` });
+  }
+
+  // SEO columns are written to the site's SEO plugin, detected once per run
+  if (rows.some(hasSeoValues)) {
+    runContext.seoPlugin = await detectSeoPlugin(clientApi, clientConfig);
+    if (progressCallback) {
+      progressCallback({ type: 'info', message: runContext.seoPlugin
+        ? `🔎 SEO plugin: ${runContext.seoPlugin.name}`
+        : '⚠️  No SEO plugin detected (Yoast, Rank Math, All in One SEO or SEOPress). SEO columns will not be saved.' });
+    }
+  }
+
+  // Lint every row's content before anything is sent; rows at or above the blocking severity are skipped
+  runContext.lint = lintRows(rows, { ...clientConfig.content_lint, ...(lintBlock && { block: lintBlock }) }, runContext.contentFormat);
+  if (progressCallback) progressCallback({ type: 'info', message: describeLintReport(runContext.lint) });
+
+  // Score every row's on-page SEO; meta descriptions are also compared with the site's posts when the SEO plugin
+  // exposes them
+  let existingDescriptions = null;
+  if (runContext.seoPlugin && rows.some(row => row.meta_description?.trim())) {
+    try {
+      const restBases = new Set();
+      for (const row of rows) {
+        try {
+          restBases.add(resolvePostType(contentTypes, row.post_type).restBase);
+        } catch {
+          // Unknown post types fail on their own row
+        }
+      }
+      existingDescriptions = await loadExistingDescriptions(clientApi, runContext.seoPlugin, restBases, progressCallback);
+    } catch (error) {
+      if (progressCallback) progressCallback({ type: 'info', message: `⚠️  Could not read the meta descriptions of existing posts (${error.message}). Only rows of this file are compared.` });
+    }
+  }
+  runContext.seoScores = scoreSeoRows(rows, {
+    contentFormat: runContext.contentFormat,
+    partial: true,
+    minScore: seoMinScore ?? clientConfig.seo_min_score,
+    existingDescriptions,
+  });
+  if (progressCallback) progressCallback({ type: 'info', message: describeSeoReport(runContext.seoScores) });
+
+  // Only the selected rows are applied; a resumed run keeps the selection it started with
+  const selectedRows = checkpoint?.selectedRows || options.rows || null;
+  if (selectedRows && progressCallback) {
+    progressCallback({ type: 'info', message: `☑️  Applying ${selectedRows.length} selected row(s) of ${rows.length}`, total: selectedRows.length });
+  }
 
   for (let i = 0; i < rows.length; i++) {
-    const result = await updatePost(rows[i], i + 1, progressCallback, clientApi, clientConfig);
+    if (selectedRows && !selectedRows.includes(i + 1)) continue;
+
+    // Resume: reuse the recorded outcome of rows that already went through
+    const recorded = options.resume ? getRecordedRow(checkpoint, i + 1) : null;
+    if (recorded) {
+      logResults.push({ ...recorded, fromCheckpoint: true });
+      continue;
+    }
+
+    const result = await updatePost(rows[i], i + 1, progressCallback, clientApi, clientConfig, runContext);
     logResults.push(result);
+    if (checkpoint) recordRow(checkpoint, result);
+  }
+
+  if (checkpoint) completeCheckpoint(checkpoint);
+
+  const endTime = Date.now();
+  const duration = ((endTime - startTime) / 1000).toFixed(2);
+  const successCount = logResults.filter(r => !r.error).length;
+  const failedCount = logResults.filter(r => r.error).length;
+  const imagesMoved = logResults.flatMap(r => r.contentImages || []).filter(image => !image.reused && !image.existing && !image.error).length;
+  const imageBytesSaved = logResults.reduce((sum, r) => sum + (r.imageBytesSaved || 0), 0);
+  const seoWarnings = logResults.filter(r => r.seoWarning).length;
+
+  // Dry runs leave the update log of the last real run untouched
+  if (runContext.dryRun) {
+    return {
+      total: logResults.length,
+      sheet: options.sheet || null,
+      success: successCount,
+      failed: failedCount,
+      duration: parseFloat(duration),
+      results: logResults,
+      imagesMoved,
+      imageBytesSaved,
+      seoWarnings,
+      logPath: null,
+      dryRun: true
+    };
   }
 
   const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
@@ -739,18 +938,32 @@ export async function processUpdateCsvFile(csvPath, progressCallback = null, cli
     console.log('📝 Log data:', JSON.stringify(logResults, null, 2));
   }
 
-  const endTime = Date.now();
-  const duration = ((endTime - startTime) / 1000).toFixed(2);
-  const successCount = logResults.filter(r => !r.error).length;
-  const failedCount = logResults.filter(r => r.error).length;
+  // Keep the run in the history so it can be rolled back later
+  let runId = null;
+  try {
+    runId = saveRun({
+      mode: 'update',
+      clientId: clientConfig.id,
+      fileName: describeInput(options.fileName || path.basename(csvPath), options.sheet),
+      startedAt: new Date(startTime).toISOString(),
+      results: logResults,
+    }).id;
+  } catch (error) {
+    console.warn('⚠️  Could not save run history:', error.message);
+  }
 
   return {
-    total: rows.length,
+    total: logResults.length,
+    sheet: options.sheet || null,
     success: successCount,
     failed: failedCount,
     duration: parseFloat(duration),
     results: logResults,
-    logPath: logPath
+    imagesMoved,
+    imageBytesSaved,
+    seoWarnings,
+    logPath: logPath,
+    runId: runId
   };
 }
 
@@ -1,11 +1,29 @@
 import axios from 'axios';
-import csv from 'csv-parser';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import mime from 'mime-types';
 import dotenv from 'dotenv';
 import readline from 'readline';
+import { parseArgs } from 'util';
+import { getClientConfig, createApiInstance } from './lib/clients.js';
+import { uploadMediaItem, checkMedia, formatBytes, getMediaDetails, applyMediaDetails } from './lib/media.js';
+import { getMediaLibrary } from './lib/media-library.js';
+import { sideloadContentImages } from './lib/content-images.js';
+import { renderRowContent, normalizeContentFormat } from './lib/markdown.js';
+import { readInput, listBatches, describeInput, describeInputFormat } from './lib/rows.js';
+import { normalizeMapping, applyMapping, loadMapping, reportHeaderProblems } from './lib/column-mapping.js';
+import { resolveAuthor } from './lib/authors.js';
+import { convertToBlocks } from './lib/blocks.js';
+import { normalizeLintBlock, lintRows, describeLintReport, describeBlockedRow } from './lib/content-lint.js';
+import { SEO_IMAGE_COLUMNS, getSeoValues, hasSeoValues, detectSeoPlugin, uploadSeoImages, applySeoFields, verifySeoFields, describeUnsavedSeo } from './lib/seo.js';
+import { normalizeSeoMinScore, scoreSeoRows, loadExistingDescriptions, describeSeoReport, describeLowScoreRow } from './lib/seo-score.js';
+import { capturePreviousValues } from './lib/rollback.js';
+import { saveRun } from './lib/run-history.js';
+import { createTermCache, resolveTerms } from './lib/terms.js';
+import { getPostIndex, indexPost, findIndexedPostByTitle, findIndexedPostBySlug } from './lib/post-index.js';
+import { loadContentTypes, resolvePostType, getRowTaxonomies } from './lib/content-types.js';
+import { loadSiteTimezone, parsePublishDate, applyPublishDate, parseCadence, createScheduler, describeScheduledTime } from './lib/schedule.js';
+import { openCheckpoint, recordRow, getRecordedRow, getFirstUnprocessedRow, completeCheckpoint } from './lib/checkpoints.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,38 +31,12 @@ const __dirname = path.dirname(__filename);
 // Load environment variables
 dotenv.config();
 
-/**
- * Parse and get client configuration
- * CTS-only mode: uses single-client configuration (WP_SITE, WP_USER, WP_APP_PASSWORD)
- */
-function getClientConfig(clientId = null) {
-  // CTS-only: Always use single-client configuration
-  return {
-    wp_site: process.env.WP_SITE?.replace(/\/$/, '') || '',
-    wp_user: process.env.WP_USER || '',
-    wp_app_password: process.env.WP_APP_PASSWORD || '',
-    default_status: process.env.DEFAULT_STATUS || 'draft',
-    request_delay_ms: parseInt(process.env.REQUEST_DELAY_MS || '300', 10),
-    name: 'CTS',
-  };
-}
-
-/**
- * Get all available clients
- * CTS-only mode: returns empty array (no client selection needed)
- */
-export function getAvailableClients() {
-  return [];
-}
-
 // Get default client config
 const defaultConfig = getClientConfig();
 const WP_SITE = defaultConfig.wp_site;
 const WP_USER = defaultConfig.wp_user;
 const WP_APP_PASSWORD = defaultConfig.wp_app_password;
 const CSV_PATH = process.env.CSV_PATH || 'posts.csv';
-const DEFAULT_STATUS = defaultConfig.default_status;
-const REQUEST_DELAY_MS = defaultConfig.request_delay_ms;
 
 // Validate required config
 if (!WP_SITE || !WP_USER || !WP_APP_PASSWORD) {
@@ -52,21 +44,6 @@ if (!WP_SITE || !WP_USER || !WP_APP_PASSWORD) {
   process.exit(1);
 }
 
-/**
- * Create axios instance with auth for a specific client
- */
-function createApiInstance(clientConfig) {
-  const auth = Buffer.from(`${clientConfig.wp_user}:${clientConfig.wp_app_password}`).toString('base64');
-  return axios.create({
-    baseURL: `${clientConfig.wp_site}/wp-json/wp/v2`,
-    headers: {
-      'Authorization': `Basic ${auth}`,
-      'Content-Type': 'application/json',
-    },
-    timeout: 30000,
-  });
-}
-
 // Default API instance (for backward compatibility)
 const auth = Buffer.from(`${WP_USER}:${WP_APP_PASSWORD}`).toString('base64');
 const api = axios.create({
@@ -141,34 +118,22 @@ function promptForCsvPath(defaultPath) {
 }
 
 /**
- * Load and parse CSV file
+ * Load and parse the input file (CSV, Excel sheet, JSON, NDJSON or WordPress export)
+ * options: { sheet, preserveOriginal } as for readRows
+ * Returns { rows, headers, encoding, delimiter } as readInput does.
  */
-async function loadCsv(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    // Support both absolute and relative paths
-    const fullPath = path.isAbsolute(filePath)
-      ? filePath
-      : path.resolve(__dirname, filePath);
-
-    if (!fs.existsSync(fullPath)) {
-      reject(new Error(`CSV file not found: ${fullPath}`));
-      return;
-    }
-
-    fs.createReadStream(fullPath)
-      .pipe(csv())
-      .on('data', (data) => results.push(data))
-      .on('end', () => resolve(results))
-      .on('error', (error) => reject(error));
-  });
-}
+async function loadCsv(filePath, options = {}) {
+  // Support both absolute and relative paths
+  const fullPath = path.isAbsolute(filePath)
+    ? filePath
+    : path.resolve(__dirname, filePath);
+
+  if (!fs.existsSync(fullPath)) {
+    throw new Error(`CSV file not found: ${fullPath}`);
+  }
 
-/**
- * Check WordPress REST API connectivity
- */
-async function checkConnectivity() {
-  return checkConnectivityWithApi(api, WP_SITE);
+  // A folder of Markdown files with front-matter is read as one row per file
+  return readInput(fullPath, options);
 }
 
 /**
@@ -195,341 +160,17 @@ async function checkConnectivityWithApi(apiInstance, siteUrl) {
 }
 
 /**
- * Get or create a taxonomy term (category or tag)
+ * Describe when a row's post goes live, for log messages
  */
-async function getOrCreateTerm(name, taxonomy = 'categories', apiInstance = api, clientConfig = null) {
-  if (!name || !name.trim()) return null;
-
-  const trimmedName = name.trim();
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-
-  try {
-    // Search for existing term
-    const searchResponse = await currentApi.get(`/${taxonomy}`, {
-      params: { search: trimmedName, per_page: 100 },
-    });
-
-    const existing = searchResponse.data.find(
-      term => term.name.toLowerCase() === trimmedName.toLowerCase()
-    );
-
-    if (existing) {
-      return existing.id;
-    }
-
-    // Create new term
-    await sleep(config.request_delay_ms);
-    const createResponse = await currentApi.post(`/${taxonomy}`, {
-      name: trimmedName,
-    });
-
-    return createResponse.data.id;
-  } catch (error) {
-    console.error(`⚠️  Failed to get/create ${taxonomy} "${trimmedName}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Resolve multiple terms from comma-separated string
- */
-async function resolveTerms(termString, taxonomy, apiInstance = api, clientConfig = null) {
-  if (!termString || !termString.trim()) return [];
-
-  const names = termString.split(',').map(n => n.trim()).filter(Boolean);
-  const termIds = [];
-  const currentApi = apiInstance || api;
-  const config = clientConfig || defaultConfig;
-
-  for (const name of names) {
-    const id = await getOrCreateTerm(name, taxonomy, currentApi, config);
-    if (id) {
-      termIds.push(id);
-    }
-    await sleep(config.request_delay_ms);
-  }
-
-  return termIds;
-}
-
-/**
- * Download image from URL
- */
-async function downloadImageFromUrl(imageUrl) {
-  try {
-    const response = await axios.get(imageUrl, {
-      responseType: 'arraybuffer',
-      timeout: 30000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-      }
-    });
-
-    const contentType = response.headers['content-type'];
-
-    // Check for HTML content (indicates error/login page)
-    if (contentType && contentType.includes('text/html')) {
-      console.warn(`⚠️  Downloaded content is HTML, not an image. This usually means the Google Drive link is private.`);
-      console.warn(`   URL: ${imageUrl}`);
-      console.warn(`   Action: Please change permissions to "Anyone with the link" on Google Drive.`);
-      return null;
-    }
-
-    let fileName = 'image.jpg';
-    const contentDisposition = response.headers['content-disposition'];
-
-    // Try to get filename from Content-Disposition
-    if (contentDisposition) {
-      const filenameMatch = contentDisposition.match(/filename="?([^"]+)"?/);
-      if (filenameMatch && filenameMatch[1]) {
-        fileName = filenameMatch[1];
-      }
-    } else {
-      // Fallback to URL path
-      const urlPath = new URL(imageUrl).pathname;
-      fileName = path.basename(urlPath) || 'image';
-    }
-
-    // Ensure filename has correct extension based on Content-Type
-    const extFromMime = mime.extension(contentType);
-    if (extFromMime) {
-      const currentExt = path.extname(fileName).replace('.', '');
-      if (currentExt !== extFromMime) {
-        // If no extension or wrong extension, append the correct one
-        if (!currentExt || currentExt === 'uc') { // 'uc' is common for GDrive export links
-          fileName = `${fileName}.${extFromMime}`;
-        } else {
-          // Replace extension
-          fileName = fileName.replace(new RegExp(`\\.${currentExt}$`), `.${extFromMime}`);
-        }
-      }
-    }
-
-    return {
-      buffer: Buffer.from(response.data),
-      mimeType: contentType || mime.lookup(imageUrl) || 'image/jpeg',
-      fileName: fileName,
-    };
-  } catch (error) {
-    console.error(`⚠️  Failed to download image from URL "${imageUrl}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Convert Google Drive URL to direct download URL
- */
-function convertGoogleDriveUrl(url) {
-  if (!url) return url;
-
-  // Check if it's a Google Drive URL
-  if (url.includes('drive.google.com')) {
-    // Try to extract the ID
-    // Matches /file/d/ID/view or /open?id=ID
-    const idMatch = url.match(/\/d\/([a-zA-Z0-9_-]+)/) || url.match(/id=([a-zA-Z0-9_-]+)/);
-
-    if (idMatch && idMatch[1]) {
-      const fileId = idMatch[1];
-      console.log(`   🔄 Converting Google Drive URL to direct link (ID: ${fileId})`);
-      return `https://drive.google.com/uc?export=download&id=${fileId}`;
-    }
-  }
-
-  return url;
-}
-
-/**
- * Upload featured image to WordPress media library (from local file or URL)
- */
-async function uploadMedia(filePathOrUrl, apiInstance = api) {
-  const currentApi = apiInstance || api;
-  if (!filePathOrUrl || !filePathOrUrl.trim()) return null;
-
-  let fileBuffer, fileName, mimeType;
-  let processedUrl = filePathOrUrl.trim();
-
-  // Check if it's a URL (starts with http:// or https://)
-  if (processedUrl.startsWith('http://') || processedUrl.startsWith('https://')) {
-    // Handle Google Drive URLs
-    processedUrl = convertGoogleDriveUrl(processedUrl);
-
-    // Download from URL
-    const downloaded = await downloadImageFromUrl(processedUrl);
-    if (!downloaded) return null;
-
-    fileBuffer = downloaded.buffer;
-    fileName = downloaded.fileName;
-    mimeType = downloaded.mimeType;
-  } else {
-    // Local file path
-    const fullPath = path.resolve(__dirname, processedUrl);
-
-    if (!fs.existsSync(fullPath)) {
-      console.error(`⚠️  Image file not found: ${fullPath}`);
-      return null;
-    }
-
-    fileBuffer = fs.readFileSync(fullPath);
-    fileName = path.basename(fullPath);
-    mimeType = mime.lookup(fullPath) || 'application/octet-stream';
-  }
-
-  try {
-    const config = defaultConfig;
-    await sleep(config.request_delay_ms);
-
-    const response = await currentApi.post('/media', fileBuffer, {
-      headers: {
-        'Content-Type': mimeType,
-        'Content-Disposition': `attachment; filename="${fileName}"`,
-      },
-      maxBodyLength: Infinity,
-      maxContentLength: Infinity,
-    });
-
-    return response.data.id;
-  } catch (error) {
-    console.error(`⚠️  Failed to upload media "${filePathOrUrl}": ${error.message}`);
-    if (error.response?.data) {
-      console.error(`   Error details: ${JSON.stringify(error.response.data)}`);
-    }
-    return null;
-  }
-}
-
-/**
- * Find existing post by slug
- */
-async function findPostBySlug(slug, apiInstance = api) {
-  if (!slug || !slug.trim()) return null;
-
-  const currentApi = apiInstance || api;
-
-  try {
-    const response = await currentApi.get('/posts', {
-      params: { slug: slug.trim(), per_page: 1 },
-    });
-
-    if (response.data && response.data.length > 0) {
-      return response.data[0].id;
-    }
-
-    return null;
-  } catch (error) {
-    console.error(`⚠️  Failed to search for post by slug "${slug}": ${error.message}`);
-    return null;
-  }
-}
-
-/**
- * Find existing post by title
- */
-async function findPostByTitle(title, apiInstance = api) {
-  const currentApi = apiInstance || api;
-  if (!title || !title.trim()) return null;
-
-  try {
-    // Normalize title for comparison (remove HTML entities, trim, lowercase)
-    const normalizeTitle = (str) => {
-      if (!str) return '';
-      // Remove HTML entities and tags, then normalize
-      // Handle common HTML entities first, then remove any remaining
-      return str
-        .replace(/<[^>]*>/g, '') // Remove HTML tags
-        .replace(/&nbsp;/g, ' ') // Replace &nbsp; with space
-        .replace(/&amp;/g, '&') // Replace &amp; with &
-        .replace(/&quot;/g, '"') // Replace &quot; with "
-        .replace(/&#8217;/g, "'") // Replace &#8217; (right single quotation) with '
-        .replace(/&#8216;/g, "'") // Replace &#8216; (left single quotation) with '
-        .replace(/&#39;/g, "'") // Replace &#39; with '
-        .replace(/&#038;/g, '&') // Replace &#038; with &
-        .replace(/&[^;]+;/g, '') // Remove any other HTML entities
-        .replace(/\s+/g, ' ') // Normalize whitespace
-        .toLowerCase()
-        .trim();
-    };
-
-    const normalizedSearchTitle = normalizeTitle(title);
-    console.log(`🔍 Searching for duplicate. Normalized title: "${normalizedSearchTitle}"`);
-
-    // Paginate through ALL posts (including drafts) to check for duplicates
-    // WordPress search API might not return drafts, so we check all posts directly
-    let page = 1;
-    const perPage = 100;
-    let hasMore = true;
-    let totalChecked = 0;
-
-    while (hasMore) {
-      const response = await currentApi.get('/posts', {
-        params: {
-          per_page: perPage,
-          page: page,
-          status: 'any', // Include all statuses: publish, draft, private, pending, future
-          orderby: 'date',
-          order: 'desc'
-        },
-      });
-
-      if (!response.data || response.data.length === 0) {
-        hasMore = false;
-        break;
-      }
-
-      totalChecked += response.data.length;
-      console.log(`🔍 Checking page ${page}, ${response.data.length} posts (total checked: ${totalChecked})`);
-
-      // Check each post in this page
-      for (const post of response.data) {
-        // Try multiple ways to get the title
-        const postTitleRaw = post.title?.rendered || post.title?.raw || post.title || '';
-        const postTitleNormalized = normalizeTitle(postTitleRaw);
-
-        // Debug: log posts that might match (to reduce noise but still catch issues)
-        const isMatch = postTitleNormalized === normalizedSearchTitle;
-        const mightMatch = postTitleNormalized.includes('weekend brunch') ||
-          postTitleNormalized.includes('nafisa') ||
-          postTitleRaw.toLowerCase().includes('weekend brunch');
-
-        if (isMatch || mightMatch) {
-          console.log(`  📝 Post ID ${post.id} (${post.status}): "${postTitleRaw}"`);
-          console.log(`     Normalized: "${postTitleNormalized}"`);
-          console.log(`     Search for: "${normalizedSearchTitle}"`);
-          console.log(`     Match: ${isMatch ? '✅ YES - DUPLICATE FOUND!' : '❌ NO'}`);
-        }
-
-        if (isMatch) {
-          console.log(`✅ FOUND DUPLICATE! Post ID ${post.id} (status: ${post.status}) has matching title: "${postTitleRaw}"`);
-          return post.id;
-        }
-      }
-
-      // If we got fewer posts than requested, we've reached the end
-      if (response.data.length < perPage) {
-        hasMore = false;
-      } else {
-        page++;
-        // Limit to first 10 pages (1000 posts) to avoid infinite loops
-        if (page > 10) {
-          console.log(`⚠️  Reached 1000 post limit. Stopping search.`);
-          hasMore = false;
-        }
-      }
-    }
-
-    console.log(`✅ No duplicate found after checking ${totalChecked} posts`);
-    return null;
-  } catch (error) {
-    console.error(`⚠️  Failed to search for post by title "${title}": ${error.message}`);
-    // Don't throw - return null so we can continue processing other posts
-    return null;
-  }
+function scheduleNote(result) {
+  if (!result.scheduledFor) return '';
+  return result.status === 'future' ? ` (scheduled for ${result.scheduledFor})` : ` (dated ${result.scheduledFor})`;
 }
 
 /**
  * Create or update a post
  */
-async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiInstance = api, clientConfig = null) {
+async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiInstance = api, clientConfig = null, runContext = {}) {
   // Use provided API instance or default
   const currentApi = apiInstance || api;
   const config = clientConfig || defaultConfig;
@@ -540,9 +181,25 @@ async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiIn
     postId: null,
     status: null,
     error: null,
+    postType: 'posts',
+    createdTerms: [],
+    createdMedia: [],
+    // Attachments found in the media library instead of uploaded; rollbacks of other runs keep them
+    reusedMedia: [],
+    updatedMedia: [],
+    imageBytesSaved: 0,
   };
 
+  // Dry run: collect what would happen for this row instead of writing anything
+  const plan = runContext.dryRun ? { termsToCreate: [], image: null } : null;
+  const rowContext = { ...runContext, plan, createdTerms: result.createdTerms };
+
   try {
+    // Rows target posts unless post_type names a page or another REST-enabled post type
+    const postType = resolvePostType(runContext.contentTypes, row.post_type);
+    const endpoint = `/${postType.restBase}`;
+    result.postType = postType.restBase;
+
     // Validate required fields
     if (!row.title || !row.title.trim()) {
       throw new Error('Missing required field: title');
@@ -551,10 +208,23 @@ async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiIn
       throw new Error('Missing required field: content');
     }
 
+    // Rows whose content failed the pre-flight lint are not sent
+    const lint = runContext.lint?.rows[rowNumber - 1];
+    if (lint?.issues.length > 0) result.lint = lint.issues;
+    if (lint?.blocked) throw new Error(describeBlockedRow(lint));
+
+    // Rows scoring below the minimum SEO score are not sent either
+    const seoScore = runContext.seoScores?.rows[rowNumber - 1];
+    if (seoScore?.score !== null && seoScore?.score !== undefined) {
+      result.seoScore = { score: seoScore.score, issues: seoScore.checks.filter(item => !item.passed).map(item => item.message) };
+    }
+    if (seoScore?.blocked) throw new Error(describeLowScoreRow(seoScore, runContext.seoScores.minScore));
+
     // Prepare post data
     const postData = {
       title: row.title.trim(),
-      content: row.content.trim(),
+      // Markdown (content_format column or the run's default) is converted to HTML
+      content: renderRowContent(row.content.trim(), row, runContext.contentFormat),
       status: row.status?.trim() || config.default_status,
     };
 
@@ -566,6 +236,32 @@ async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiIn
       postData.excerpt = row.excerpt.trim();
     }
 
+    // Check for existing post of the same type by title first (prevent duplicates)
+    // This check happens BEFORE creating terms, media or the post itself
+    const postIndex = await getPostIndex(runContext, postType.restBase, currentApi, progressCallback);
+    const existingPostByTitle = findIndexedPostByTitle(postIndex, postData.title);
+    if (existingPostByTitle) {
+      const errorMsg = existingPostByTitle.id
+        ? `Post with title "${postData.title}" already exists (ID: ${existingPostByTitle.id}). Duplicate posts are not allowed.`
+        : `Post with title "${postData.title}" appears earlier in this file (row ${existingPostByTitle.rowNumber}). Duplicate posts are not allowed.`;
+      console.error(`[${rowNumber}] ⚠️  DUPLICATE DETECTED: ${errorMsg}`);
+      throw new Error(errorMsg);
+    }
+
+    // Check for existing post by slug (idempotency)
+    const existingPostId = postData.slug ? findIndexedPostBySlug(postIndex, postData.slug)?.id || null : null;
+
+    // Schedule the post: publish_date is read in the row's timezone (or the site's); new posts
+    // without one take the next slot of the run's auto-schedule, if any
+    const publishDate = row.publish_date?.trim()
+      ? parsePublishDate(row.publish_date, row.timezone?.trim() || runContext.siteTimeZone)
+      : (!existingPostId && runContext.scheduler?.next()) || null;
+    if (publishDate) {
+      applyPublishDate(postData, publishDate, runContext.siteTimeZone, row.status?.trim());
+      result.scheduledAt = publishDate.toISOString();
+      result.scheduledFor = describeScheduledTime(publishDate, runContext.siteTimeZone);
+    }
+
     // Handle ACF JSON
     if (row.acf_json?.trim()) {
       try {
@@ -576,104 +272,157 @@ async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiIn
       }
     }
 
-    // Resolve categories
-    if (row.categories?.trim()) {
-      const categoryIds = await resolveTerms(row.categories, 'categories', currentApi, config);
-      if (categoryIds.length > 0) {
-        postData.categories = categoryIds;
+    // Custom fields; WordPress only saves the keys registered with show_in_rest
+    if (row.meta_json?.trim()) {
+      try {
+        postData.meta = { ...postData.meta, ...JSON.parse(row.meta_json) };
+      } catch (parseError) {
+        console.error(`⚠️  Invalid meta JSON in row ${rowNumber}: ${parseError.message}`);
+      }
+    }
+
+    // Author: a user ID, login, email or display name of the site; unknown authors leave the post to the connecting user
+    if (row.author?.trim()) {
+      const author = await resolveAuthor(row.author, currentApi, runContext, progressCallback);
+      if (author) {
+        postData.author = author.id;
+      } else {
+        result.authorWarning = `Author "${row.author.trim()}" not found on the site: the post is attributed to the connecting user`;
+        console.warn(`[${rowNumber}] ⚠️  ${result.authorWarning}`);
+        if (progressCallback) progressCallback({ type: 'warning', message: `[${rowNumber}] ⚠️  ${result.authorWarning}`, rowNumber });
       }
     }
 
-    // Resolve tags
-    if (row.tags?.trim()) {
-      const tagIds = await resolveTerms(row.tags, 'tags', currentApi, config);
-      if (tagIds.length > 0) {
-        postData.tags = tagIds;
+    // Resolve categories, tags and tax:<taxonomy> columns
+    for (const { taxonomy, value } of getRowTaxonomies(row, runContext.contentTypes, postType)) {
+      const termIds = await resolveTerms(value, taxonomy.restBase, currentApi, config, rowContext);
+      if (termIds.length > 0) {
+        postData[taxonomy.restBase] = [...new Set([...(postData[taxonomy.restBase] || []), ...termIds])];
       }
     }
 
     // Upload featured image if provided (supports both local path and URL)
     const imagePath = row.featured_image_path?.trim() || row.featured_image_url?.trim();
+    // Images already in the media library (same bytes) reuse the existing attachment
+    const mediaDetails = getMediaDetails(row);
     if (imagePath) {
-      const mediaId = await uploadMedia(imagePath, currentApi);
-      if (mediaId) {
-        postData.featured_media = mediaId;
+      const mediaLibrary = await getMediaLibrary(runContext, currentApi, config, progressCallback);
+      if (plan) {
+        plan.image = { ...await checkMedia(imagePath, mediaLibrary, config), details: mediaDetails };
+        result.imageBytesSaved += plan.image.bytesSaved;
+      } else {
+        const media = await uploadMediaItem(imagePath, currentApi, config, mediaLibrary);
+        if (media) {
+          postData.featured_media = media.id;
+          runContext.uploadedMedia.set(media.url, media.id);
+          if (media.reused) {
+            result.reusedMedia.push(media.id);
+          } else {
+            result.createdMedia.push(media.id);
+            result.imageBytesSaved += media.bytesSaved;
+          }
+          // Alt text, caption, title and description are set on new and reused attachments alike
+          const updatedMedia = await applyMediaDetails(media, mediaDetails, currentApi, config);
+          if (updatedMedia) result.updatedMedia.push(updatedMedia);
+        }
       }
     }
 
-    // Handle Meta Title, Description, and Focus Keyword
-    const metaTitle = row.meta_title?.trim();
-    const metaDesc = row.meta_description?.trim();
-    const focusKw = row.focus_keyword?.trim();
-
-    if (metaTitle || metaDesc || focusKw) {
-      // When using register_rest_field (via our helper plugin), these must be top-level fields
-
-      if (metaTitle) {
-        // Generic
-        postData.meta_title = metaTitle;
-        // Yoast SEO
-        postData._yoast_wpseo_title = metaTitle;
-        // Rank Math
-        postData.rank_math_title = metaTitle;
-      }
-
-      if (metaDesc) {
-        // Generic
-        postData.meta_description = metaDesc;
-        // Yoast SEO
-        postData._yoast_wpseo_metadesc = metaDesc;
-        // Rank Math
-        postData.rank_math_description = metaDesc;
-      }
+    // Move external images embedded in the content into the media library
+    if (runContext.sideloadImages && /<img\b/i.test(postData.content || '')) {
+      rowContext.mediaLibrary = await getMediaLibrary(runContext, currentApi, config, progressCallback);
+      const sideloaded = await sideloadContentImages(postData.content, currentApi, config, rowContext, result.createdMedia, result.reusedMedia);
+      postData.content = sideloaded.content;
+      result.contentImages = sideloaded.images;
+      result.imageBytesSaved += sideloaded.images.filter(image => !image.reused).reduce((sum, image) => sum + (image.bytesSaved || 0), 0);
+    }
 
-      if (focusKw) {
-        // Yoast SEO
-        postData._yoast_wpseo_focuskw = focusKw;
-        // Rank Math
-        postData.rank_math_focus_keyword = focusKw;
-      }
+    // Convert the HTML into block editor markup; images uploaded in this run reference their attachments
+    if (runContext.convertToBlocks && postData.content) {
+      postData.content = convertToBlocks(postData.content, runContext.uploadedMedia);
     }
 
-    // Check for existing post by title first (prevent duplicates)
-    // This check happens BEFORE creating the post to prevent duplicate creation
-    console.log(`[${rowNumber}] 🔍 Checking for duplicate post with title: "${postData.title}"`);
-    const existingPostByTitle = await findPostByTitle(postData.title, currentApi);
-    if (existingPostByTitle) {
-      const errorMsg = `Post with title "${postData.title}" already exists (ID: ${existingPostByTitle}). Duplicate posts are not allowed.`;
-      console.error(`[${rowNumber}] ⚠️  DUPLICATE DETECTED: ${errorMsg}`);
-      throw new Error(errorMsg);
+    // SEO, social and robots columns are written to the site's SEO plugin only; og_image and twitter_image are
+    // uploaded like a featured image first
+    const seoValues = getSeoValues(row);
+    if (Object.keys(seoValues).length > 0) {
+      if (runContext.seoPlugin) {
+        if (SEO_IMAGE_COLUMNS.some(column => seoValues[column])) {
+          const mediaLibrary = await getMediaLibrary(runContext, currentApi, config, progressCallback);
+          const failedImages = await uploadSeoImages(seoValues, currentApi, config, mediaLibrary, rowContext, result);
+          if (failedImages.length > 0) {
+            result.seoWarning = `Could not upload ${failedImages.join(', ')}: not saved`;
+            console.warn(`[${rowNumber}] ⚠️  ${result.seoWarning}`);
+          }
+        }
+        applySeoFields(postData, runContext.seoPlugin, seoValues);
+      } else {
+        result.seoWarning = `No SEO plugin detected: ${Object.keys(seoValues).join(', ')} not saved`;
+        console.warn(`[${rowNumber}] ⚠️  ${result.seoWarning}`);
+      }
     }
-    console.log(`[${rowNumber}] ✅ No duplicate found for title: "${postData.title}"`);
 
-    // Check for existing post by slug (idempotency)
-    let existingPostId = null;
-    if (postData.slug) {
-      existingPostId = await findPostBySlug(postData.slug, currentApi);
+    // Dry run: report the planned action without creating or updating the post
+    if (plan) {
+      result.action = existingPostId ? 'would update' : 'would create';
+      result.postId = existingPostId;
+      result.status = postData.status;
+      result.dryRun = true;
+      result.plan = plan;
+      // Later rows with the same title count as duplicates of this one
+      if (!existingPostId) {
+        indexPost(postIndex, { id: null, title: postData.title, slug: postData.slug, rowNumber });
+      }
+      const message = `[${rowNumber}] 🧪 ${result.action} ${postType.slug}${existingPostId ? ` ${existingPostId}` : ''}: ${result.title}${scheduleNote(result)}`;
+      console.log(message);
+      if (progressCallback) progressCallback({ type: 'success', message, rowNumber, postId: result.postId, title: result.title });
+      return result;
     }
 
     // Create or update
     await sleep(config.request_delay_ms);
 
     if (existingPostId) {
+      // Remember the values being overwritten so a rollback can restore them
+      const existingPostResponse = await currentApi.get(`${endpoint}/${existingPostId}`, { params: { context: 'edit' } });
+      result.previous = capturePreviousValues(existingPostResponse.data, postData);
+
       // Update existing post
-      const updateResponse = await currentApi.post(`/posts/${existingPostId}`, postData);
+      const updateResponse = await currentApi.post(`${endpoint}/${existingPostId}`, postData);
       result.action = 'updated';
       result.postId = updateResponse.data.id;
       result.status = updateResponse.data.status;
-      const message = `[${rowNumber}] ✅ updated post ${result.postId}: ${result.title}`;
+      indexPost(postIndex, updateResponse.data);
+      const message = `[${rowNumber}] ✅ updated ${postType.slug} ${result.postId}: ${result.title}${scheduleNote(result)}`;
       console.log(message);
       if (progressCallback) progressCallback({ type: 'success', message, rowNumber, postId: result.postId, title: result.title });
     } else {
       // Create new post
-      const createResponse = await currentApi.post('/posts', postData);
+      const createResponse = await currentApi.post(endpoint, postData);
       result.action = 'created';
       result.postId = createResponse.data.id;
       result.status = createResponse.data.status;
-      const message = `[${rowNumber}] ✅ created post ${result.postId}: ${result.title}`;
+      indexPost(postIndex, createResponse.data);
+      const message = `[${rowNumber}] ✅ created ${postType.slug} ${result.postId}: ${result.title}${scheduleNote(result)}`;
       console.log(message);
       if (progressCallback) progressCallback({ type: 'success', message, rowNumber, postId: result.postId, title: result.title });
     }
+
+    // Read the post back to check that the SEO plugin kept the values
+    if (runContext.seoPlugin && Object.keys(seoValues).length > 0) {
+      try {
+        result.seo = await verifySeoFields(currentApi, endpoint, result.postId, runContext.seoPlugin, seoValues);
+        if (result.seo.unsaved.length > 0) {
+          result.seoWarning = [result.seoWarning, describeUnsavedSeo(result.seo)].filter(Boolean).join('; ');
+        }
+      } catch (error) {
+        result.seoWarning = `Could not read the post back to check its SEO fields: ${error.message}`;
+      }
+      if (result.seoWarning) {
+        console.warn(`[${rowNumber}] ⚠️  ${result.seoWarning}`);
+        if (progressCallback) progressCallback({ type: 'warning', message: `[${rowNumber}] ⚠️  ${result.seoWarning}`, rowNumber });
+      }
+    }
   } catch (error) {
     result.error = error.message;
     if (error.response?.data) {
@@ -691,17 +440,44 @@ async function createOrUpdatePost(row, rowNumber, progressCallback = null, apiIn
  * Main execution
  */
 async function main() {
+  const { values: args, positionals } = parseArgs({
+    options: {
+      client: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      resume: { type: 'boolean', default: false },
+      'sideload-images': { type: 'boolean', default: false },
+      'content-format': { type: 'string' },
+      blocks: { type: 'boolean', default: false },
+      'lint-block': { type: 'string' },
+      'seo-min-score': { type: 'string' },
+      sheet: { type: 'string' },
+      'preserve-original': { type: 'boolean', default: false },
+      schedule: { type: 'string' },
+      mapping: { type: 'string' },
+    },
+    allowPositionals: true,
+  });
+
+  let clientConfig;
+  try {
+    clientConfig = getClientConfig(args.client || null);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
   console.log('🚀 WordPress Bulk Uploader\n');
-  console.log(`Site: ${WP_SITE}`);
-  console.log(`Default Status: ${DEFAULT_STATUS}`);
-  console.log(`Request Delay: ${REQUEST_DELAY_MS}ms`);
+  console.log(`Client: ${clientConfig.name}`);
+  console.log(`Site: ${clientConfig.wp_site}`);
+  console.log(`Default Status: ${clientConfig.default_status}`);
+  console.log(`Request Delay: ${clientConfig.request_delay_ms}ms`);
 
   // Get CSV path: command-line argument > interactive prompt (with env as suggestion) > default
   let csvPath;
 
   // If command-line argument provided, use it directly (skip prompt)
-  if (process.argv[2]) {
-    csvPath = process.argv[2];
+  if (positionals[0]) {
+    csvPath = positionals[0];
     console.log(`\nCSV: ${csvPath} (from command-line argument)`);
   } else {
     // Always prompt for file path, showing env variable as suggestion if it exists
@@ -710,73 +486,129 @@ async function main() {
     console.log(`\nCSV: ${csvPath}`);
   }
 
-  // Check connectivity
-  const isConnected = await checkConnectivity();
-  if (!isConnected) {
-    process.exit(1);
+  if (args['dry-run']) {
+    console.log('🧪 Dry run: nothing will be written to WordPress');
   }
-
-  // Load CSV
-  console.log(`📖 Loading CSV: ${csvPath}...`);
-  let rows;
-  try {
-    rows = await loadCsv(csvPath);
-    console.log(`✅ Loaded ${rows.length} row(s)\n`);
-  } catch (error) {
-    console.error(`❌ Failed to load CSV: ${error.message}`);
-    console.error(`\n💡 Tips:`);
-    console.error(`   - Use absolute path: C:\\Users\\YourName\\Documents\\file.csv`);
-    console.error(`   - Use relative path: posts.csv (from script directory)`);
-    console.error(`   - Or pass as argument: npm run upload "C:\\path\\to\\file.csv"`);
-    process.exit(1);
+  if (args.resume) {
+    console.log('⏩ Resuming the previous run of this file from its checkpoint');
+  }
+  if (args['sideload-images']) {
+    console.log('🖼️  External images in content will be moved into the media library');
+  }
+  if (args.blocks) {
+    console.log('🧱 Content will be converted to editor blocks');
+  }
+  if (args.schedule) {
+    console.log(`📅 Auto-scheduling undated posts: ${args.schedule}`);
+  }
+  if (args['preserve-original']) {
+    console.log('🗓️  Posts of a WordPress export keep their original slugs and dates');
   }
 
-  if (rows.length === 0) {
-    console.log('⚠️  CSV file is empty');
-    process.exit(0);
+  // --mapping is a JSON file or the name of a profile saved for the site in the web interface
+  let mapping = null;
+  if (args.mapping) {
+    try {
+      mapping = loadMapping(args.mapping, clientConfig.id);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
+    console.log(`🗂️  Column mapping: ${args.mapping}`);
   }
 
-  // Process each row
-  console.log('📤 Starting upload process...\n');
-  for (let i = 0; i < rows.length; i++) {
-    const result = await createOrUpdatePost(rows[i], i + 1, null, api, defaultConfig);
-    logResults.push(result);
+  // A workbook runs each of its sheets as a separate batch unless --sheet picks one
+  const inputPath = path.isAbsolute(csvPath) ? csvPath : path.resolve(__dirname, csvPath);
+  let sheets = [args.sheet || null];
+  if (fs.existsSync(inputPath)) {
+    try {
+      sheets = await listBatches(inputPath, args.sheet);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    }
   }
 
-  // Write log file
-  // Use /tmp on Vercel (serverless), or __dirname for local development
-  const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
-  const logPath = isVercel
-    ? path.join('/tmp', 'import_log.json')
-    : path.resolve(__dirname, 'import_log.json');
-  fs.writeFileSync(logPath, JSON.stringify(logResults, null, 2));
-  console.log(`\n📝 Log written to: ${logPath}`);
+  // Process each batch with the same pipeline the web interface uses
+  let failedBatches = 0;
+  for (const sheet of sheets) {
+    if (sheet) console.log(`\n📑 Sheet: ${sheet}`);
+
+    let summary;
+    try {
+      summary = await processCsvFile(csvPath, (progress) => {
+        // Row results are already printed as they are processed
+        if (progress.type === 'info') console.log(progress.message);
+      }, clientConfig.id, { dryRun: args['dry-run'], resume: args.resume && !args['dry-run'], schedule: args.schedule, sideloadImages: args['sideload-images'], contentFormat: args['content-format'], convertToBlocks: args.blocks, lintBlock: args['lint-block'], seoMinScore: args['seo-min-score'], preserveOriginal: args['preserve-original'], mapping, sheet });
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+      if (error.message.startsWith('Failed to load CSV')) {
+        console.error(`\n💡 Tips:`);
+        console.error(`   - Use absolute path: C:\\Users\\YourName\\Documents\\file.csv`);
+        console.error(`   - Use relative path: posts.csv (from script directory)`);
+        console.error(`   - Or pass as argument: npm run upload "C:\\path\\to\\file.csv"`);
+      }
+      failedBatches++;
+      continue;
+    }
 
-  // Summary
-  const endTime = Date.now();
-  const duration = ((endTime - startTime) / 1000).toFixed(2);
-  const successCount = logResults.filter(r => !r.error).length;
-  const failedCount = logResults.filter(r => r.error).length;
+    if (summary.logPath) {
+      console.log(`\n📝 Log written to: ${summary.logPath}`);
+    }
+    if (summary.runId) {
+      console.log(`↩️  Undo this run with: npm run rollback -- ${summary.runId}`);
+    }
 
-  console.log('\n' + '='.repeat(50));
-  console.log('📊 Summary');
-  console.log('='.repeat(50));
-  console.log(`✅ Success: ${successCount}`);
-  console.log(`❌ Failed: ${failedCount}`);
-  console.log(`⏱️  Total Time: ${duration}s`);
-  console.log('='.repeat(50) + '\n');
+    console.log('\n' + '='.repeat(50));
+    console.log(summary.dryRun ? '📊 Dry Run Summary' : '📊 Summary');
+    console.log('='.repeat(50));
+    console.log(`✅ Success: ${summary.success}`);
+    console.log(`❌ Failed: ${summary.failed}`);
+    if (summary.imagesMoved > 0) {
+      console.log(`🖼️  ${summary.dryRun ? 'Images to move' : 'Images moved'}: ${summary.imagesMoved}`);
+    }
+    if (summary.imageBytesSaved > 0) {
+      console.log(`🗜️  ${summary.dryRun ? 'Image bytes to save' : 'Image bytes saved'}: ${formatBytes(summary.imageBytesSaved)}`);
+    }
+    if (summary.seoWarnings > 0) {
+      console.log(`⚠️  Rows with SEO fields not saved: ${summary.seoWarnings}`);
+    }
+    console.log(`⏱️  Total Time: ${summary.duration}s`);
+    console.log('='.repeat(50) + '\n');
+    failedBatches += summary.failed > 0 ? 1 : 0;
+  }
 
-  process.exit(failedCount > 0 ? 1 : 0);
+  process.exit(failedBatches > 0 ? 1 : 0);
 }
 
 /**
  * Process CSV file (exported for use by web server)
+ * Options:
+ * - resume: continue an interrupted run of the same file from its checkpoint
+ * - fileName: original file name, shown when listing checkpoints
+ * - dryRun: resolve duplicates, terms and images without writing anything to WordPress
+ * - sideloadImages: move external <img> images in content into the media library
+ * - contentFormat: html (default) or markdown, for rows without a content_format column
+ * - convertToBlocks: convert the content into block editor (Gutenberg) markup
+ * - sheet: the sheet of an Excel workbook to read (name or 1-based position); workbooks with several sheets need one
+ * - preserveOriginal: keep the slugs and publish dates of the posts of a WordPress export (WXR)
+ * - mapping: { header → field, or null to ignore } renaming the file's columns to the fields they hold
+ * - lintBlock: error, warning or off; rows with content lint issues this severe are not sent (defaults to the site's setting)
+ * - seoMinScore: rows whose SEO score (0-100) is below it are not sent (defaults to the site's seo_min_score)
+ * - schedule: cadence such as "Tue/Thu/Sat at 10:00" that new posts without a publish_date are spread across
  */
-export async function processCsvFile(csvPath, progressCallback = null, clientId = null) {
+export async function processCsvFile(csvPath, progressCallback = null, clientId = null, options = {}) {
   // Reset logging for new run
   logResults = [];
   startTime = Date.now();
 
+  // Reject an unreadable schedule, content format, lint level, minimum SEO score or column mapping before anything is loaded or checkpointed
+  if (options.schedule) parseCadence(options.schedule);
+  const contentFormat = normalizeContentFormat(options.contentFormat);
+  const lintBlock = options.lintBlock ? normalizeLintBlock(options.lintBlock) : null;
+  const seoMinScore = normalizeSeoMinScore(options.seoMinScore);
+  const mapping = options.mapping ? normalizeMapping(options.mapping) : null;
+
   // Get client configuration
   const clientConfig = getClientConfig(clientId);
   const clientApi = createApiInstance(clientConfig);
@@ -795,23 +627,181 @@ export async function processCsvFile(csvPath, progressCallback = null, clientId
 
   // Load CSV
   if (progressCallback) progressCallback({ type: 'info', message: '📖 Loading CSV file...' });
-  let rows;
+  let input;
   try {
-    rows = await loadCsv(csvPath);
+    input = await loadCsv(csvPath, { sheet: options.sheet, preserveOriginal: options.preserveOriginal });
   } catch (error) {
     throw new Error(`Failed to load CSV: ${error.message}`);
   }
 
+  let rows = input.rows;
   if (rows.length === 0) {
     throw new Error('CSV file is empty');
   }
-  if (progressCallback) progressCallback({ type: 'info', message: `✅ Loaded ${rows.length} row(s)` });
-  if (progressCallback) progressCallback({ type: 'info', message: '📤 Starting upload process...' });
+  if (progressCallback) progressCallback({ type: 'info', message: `✅ Loaded ${rows.length} row(s)`, total: rows.length });
+  if (progressCallback && describeInputFormat(input)) {
+    progressCallback({ type: 'info', message: `🔤 Read as ${describeInputFormat(input)}` });
+  }
+
+  // Repeated headers stop the run before anything is checkpointed or sent; unnamed and unknown columns are
+  // reported (a resumed run was checked when it started)
+  if (!options.resume) reportHeaderProblems(input.headers, mapping, progressCallback);
+  if (progressCallback) progressCallback({ type: 'info', message: options.dryRun ? '🧪 Starting dry run (nothing will be written)...' : '📤 Starting upload process...' });
+
+  // Post types and taxonomies decide where each row is sent (post_type and tax:<taxonomy> columns)
+  const contentTypes = await loadContentTypes(clientApi);
+
+  // publish_date values without a timezone and auto-schedule slots use the site's timezone
+  const siteTimeZone = await loadSiteTimezone(clientApi, clientConfig);
+
+  // Existing posts are indexed once per post type and terms once per taxonomy, the first time a row needs them
+  const runContext = {
+    dryRun: Boolean(options.dryRun),
+    contentTypes,
+    postIndexes: new Map(),
+    termCache: createTermCache(),
+    siteTimeZone,
+    contentFormat,
+    sideloadImages: Boolean(options.sideloadImages),
+    sideloadedImages: new Map(),
+    convertToBlocks: Boolean(options.convertToBlocks),
+    // URL → attachment ID of the images this run uploaded or reused
+    uploadedMedia: new Map(),
+    // The site's users, loaded the first time a row has an author column
+    users: null,
+    seoPlugin: null,
+    scheduler: null,
+  };
+
+  // Checkpoint every row so an interrupted run can be resumed (dry runs write nothing to resume)
+  let checkpoint = null;
+  if (!runContext.dryRun) {
+    const opened = openCheckpoint({
+      mode: 'upload',
+      clientId: clientConfig.id,
+      filePath: csvPath,
+      fileName: options.fileName,
+      sheet: options.sheet,
+      totalRows: rows.length,
+      schedule: options.schedule,
+      sideloadImages: options.sideloadImages,
+      contentFormat,
+      convertToBlocks: options.convertToBlocks,
+      mapping,
+      preserveOriginal: options.preserveOriginal,
+      resume: options.resume,
+    });
+    checkpoint = opened.checkpoint;
+
+    // A resumed run keeps the image and content settings it started with
+    runContext.sideloadImages = Boolean(checkpoint.sideloadImages ?? runContext.sideloadImages);
+    runContext.contentFormat = checkpoint.contentFormat || runContext.contentFormat;
+    runContext.convertToBlocks = Boolean(checkpoint.convertToBlocks ?? runContext.convertToBlocks);
+
+    if (opened.replaced && progressCallback) {
+      progressCallback({ type: 'info', message: '⚠️  An unfinished run of this file was found and has been discarded. Use resume to continue a run instead.' });
+    }
+    if (options.resume && progressCallback) {
+      const nextRow = getFirstUnprocessedRow(checkpoint);
+      progressCallback({ type: 'info', message: nextRow ? `⏩ Resuming from row ${nextRow} of ${rows.length}` : '✅ Every row of this file was already processed' });
+    }
+  }
+
+  // Columns are renamed to the fields they are mapped to; a resumed run keeps the mapping it started with
+  const columnMapping = checkpoint?.mapping || mapping;
+  if (columnMapping) {
+    rows = applyMapping(rows, columnMapping);
+    if (progressCallback) progressCallback({ type: 'info', message: `🗂️  Mapped ${Object.values(columnMapping).filter(Boolean).length} column(s) to known fields` });
+  }
+
+  // SEO columns are written to the site's SEO plugin, detected once per run
+  if (rows.some(hasSeoValues)) {
+    runContext.seoPlugin = await detectSeoPlugin(clientApi, clientConfig);
+    if (progressCallback) {
+      progressCallback({ type: 'info', message: runContext.seoPlugin
+        ? `🔎 SEO plugin: ${runContext.seoPlugin.name}`
+        : '⚠️  No SEO plugin detected (Yoast, Rank Math, All in One SEO or SEOPress). SEO columns will not be saved.' });
+    }
+  }
+
+  // Lint every row's content before anything is sent; rows at or above the blocking severity are skipped
+  runContext.lint = lintRows(rows, { ...clientConfig.content_lint, ...(lintBlock && { block: lintBlock }) }, runContext.contentFormat);
+  if (progressCallback) progressCallback({ type: 'info', message: describeLintReport(runContext.lint) });
+
+  // Score every row's on-page SEO; meta descriptions are also compared with the site's posts when the SEO plugin
+  // exposes them
+  let existingDescriptions = null;
+  if (runContext.seoPlugin && rows.some(row => row.meta_description?.trim())) {
+    try {
+      const restBases = new Set();
+      for (const row of rows) {
+        try {
+          restBases.add(resolvePostType(contentTypes, row.post_type).restBase);
+        } catch {
+          // Unknown post types fail on their own row
+        }
+      }
+      existingDescriptions = await loadExistingDescriptions(clientApi, runContext.seoPlugin, restBases, progressCallback);
+    } catch (error) {
+      if (progressCallback) progressCallback({ type: 'info', message: `⚠️  Could not read the meta descriptions of existing posts (${error.message}). Only rows of this file are compared.` });
+    }
+  }
+  runContext.seoScores = scoreSeoRows(rows, {
+    contentFormat: runContext.contentFormat,
+    minScore: seoMinScore ?? clientConfig.seo_min_score,
+    existingDescriptions,
+  });
+  if (progressCallback) progressCallback({ type: 'info', message: describeSeoReport(runContext.seoScores) });
+
+  // Auto-schedule: a resumed run keeps its schedule and continues after the last slot it already used
+  const schedule = checkpoint?.schedule || options.schedule || null;
+  if (schedule) {
+    const usedSlots = checkpoint ? Object.values(checkpoint.rows).map(row => row.scheduledAt).filter(Boolean) : [];
+    const startAfter = new Date(Math.max(Date.now(), ...usedSlots.map(slot => Date.parse(slot))));
+    runContext.scheduler = createScheduler(schedule, siteTimeZone, startAfter);
+    if (progressCallback) progressCallback({ type: 'info', message: `📅 Scheduling posts without a publish_date: ${schedule} (${siteTimeZone})` });
+  }
 
   // Process each row with client-specific config
   for (let i = 0; i < rows.length; i++) {
-    const result = await createOrUpdatePost(rows[i], i + 1, progressCallback, clientApi, clientConfig);
+    // Resume: reuse the recorded outcome of rows that already went through
+    const recorded = options.resume ? getRecordedRow(checkpoint, i + 1) : null;
+    if (recorded) {
+      logResults.push({ ...recorded, fromCheckpoint: true });
+      continue;
+    }
+
+    const result = await createOrUpdatePost(rows[i], i + 1, progressCallback, clientApi, clientConfig, runContext);
     logResults.push(result);
+    if (checkpoint) recordRow(checkpoint, result);
+  }
+
+  if (checkpoint) completeCheckpoint(checkpoint);
+
+  // Summary
+  const endTime = Date.now();
+  const duration = ((endTime - startTime) / 1000).toFixed(2);
+  const successCount = logResults.filter(r => !r.error).length;
+  const failedCount = logResults.filter(r => r.error).length;
+  const imagesMoved = logResults.flatMap(r => r.contentImages || []).filter(image => !image.reused && !image.existing && !image.error).length;
+  const imageBytesSaved = logResults.reduce((sum, r) => sum + (r.imageBytesSaved || 0), 0);
+  const seoWarnings = logResults.filter(r => r.seoWarning).length;
+
+  // Dry runs leave the import log of the last real run untouched
+  if (runContext.dryRun) {
+    return {
+      total: rows.length,
+      sheet: options.sheet || null,
+      success: successCount,
+      failed: failedCount,
+      duration: parseFloat(duration),
+      results: logResults,
+      imagesMoved,
+      imageBytesSaved,
+      seoWarnings,
+      logPath: null,
+      dryRun: true
+    };
   }
 
   // Write log file
@@ -829,19 +819,32 @@ export async function processCsvFile(csvPath, progressCallback = null, clientId
     console.log('📝 Log data:', JSON.stringify(logResults, null, 2));
   }
 
-  // Summary
-  const endTime = Date.now();
-  const duration = ((endTime - startTime) / 1000).toFixed(2);
-  const successCount = logResults.filter(r => !r.error).length;
-  const failedCount = logResults.filter(r => r.error).length;
+  // Keep the run in the history so it can be rolled back later
+  let runId = null;
+  try {
+    runId = saveRun({
+      mode: 'upload',
+      clientId: clientConfig.id,
+      fileName: describeInput(options.fileName || path.basename(csvPath), options.sheet),
+      startedAt: new Date(startTime).toISOString(),
+      results: logResults,
+    }).id;
+  } catch (error) {
+    console.warn('⚠️  Could not save run history:', error.message);
+  }
 
   return {
     total: rows.length,
+    sheet: options.sheet || null,
     success: successCount,
     failed: failedCount,
     duration: parseFloat(duration),
     results: logResults,
-    logPath: logPath
+    imagesMoved,
+    imageBytesSaved,
+    seoWarnings,
+    logPath: logPath,
+    runId: runId
   };
 }
 
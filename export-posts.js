@@ -0,0 +1,57 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getClientConfig, createApiInstance } from './lib/clients.js';
+import { exportPosts, toCsv, getExportFileName } from './lib/export.js';
+
+dotenv.config();
+
+const { values: args } = parseArgs({
+  options: {
+    client: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    type: { type: 'string' },
+    status: { type: 'string' },
+    category: { type: 'string' },
+    tag: { type: 'string' },
+    search: { type: 'string' },
+    after: { type: 'string' },
+    before: { type: 'string' },
+  },
+});
+
+/**
+ * Export posts to a CSV file that bulk-update.js reads back
+ */
+async function main() {
+  let clientConfig;
+  try {
+    clientConfig = getClientConfig(args.client || null);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  console.log('📤 WordPress Post Export\n');
+  console.log(`Client: ${clientConfig.name}`);
+  console.log(`Site: ${clientConfig.wp_site}\n`);
+
+  const { columns, rows, postType, seoPlugin } = await exportPosts(createApiInstance(clientConfig), clientConfig, args, (progress) => {
+    console.log(progress.message);
+  });
+
+  const outputPath = path.resolve(args.output || getExportFileName(clientConfig, postType));
+  fs.writeFileSync(outputPath, toCsv(columns, rows));
+
+  console.log(`✅ Exported ${rows.length} ${postType.name.toLowerCase()} to ${outputPath}`);
+  if (seoPlugin) {
+    console.log(`🔎 SEO columns read from ${seoPlugin.name}`);
+  }
+  console.log(`\nEdit the file and apply it with: npm run update -- ${path.relative(process.cwd(), outputPath)}`);
+}
+
+main().catch(error => {
+  console.error(`❌ Export failed: ${error.message}`);
+  process.exit(1);
+});
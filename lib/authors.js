@@ -0,0 +1,52 @@
+/**
+ * Load every user of the site, once per run (kept in runContext.users)
+ * Logins and emails are only returned with context=edit, which needs the list_users capability; without it users
+ * are matched by ID, slug and display name only.
+ */
+async function loadUsers(runContext, apiInstance, progressCallback = null) {
+  if (runContext.users) return runContext.users;
+
+  if (progressCallback) progressCallback({ type: 'info', message: '👤 Loading the site\'s users...' });
+  const fetchUsers = async (context) => {
+    const users = [];
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const response = await apiInstance.get('/users', {
+        params: { per_page: 100, page, ...(context && { context }), _fields: 'id,username,slug,name,email' },
+      });
+      totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+      users.push(...response.data);
+      page++;
+    } while (page <= totalPages);
+    return users;
+  };
+
+  try {
+    runContext.users = await fetchUsers('edit');
+  } catch (error) {
+    if (![401, 403].includes(error.response?.status)) throw error;
+    runContext.users = await fetchUsers(null);
+  }
+  return runContext.users;
+}
+
+/**
+ * Find the user an author column names: a user ID, login, email, slug or display name (case-insensitive)
+ * Returns the user, or null when the site has no such user.
+ */
+export async function resolveAuthor(value, apiInstance, runContext, progressCallback = null) {
+  const author = String(value).trim();
+  const users = await loadUsers(runContext, apiInstance, progressCallback);
+
+  if (/^\d+$/.test(author)) {
+    return users.find(user => user.id === parseInt(author, 10)) || null;
+  }
+
+  const key = author.toLowerCase();
+  for (const field of ['username', 'email', 'slug', 'name']) {
+    const user = users.find(candidate => String(candidate[field] || '').toLowerCase() === key);
+    if (user) return user;
+  }
+  return null;
+}
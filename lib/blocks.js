@@ -0,0 +1,500 @@
+import { parse } from 'node-html-parser';
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const COMMENT_NODE = 8;
+
+// Elements that flow inside a paragraph; runs of them (and loose text) are wrapped in a paragraph block
+const INLINE_TAGS = new Set([
+  'a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'i', 'ins', 'kbd',
+  'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var',
+]);
+
+// Text alignments the paragraph and heading blocks save as a has-text-align-<alignment> class
+const TEXT_ALIGNMENTS = new Set(['left', 'center', 'right']);
+
+// Wrappers without attributes are unwrapped and their children converted
+const CONTAINER_TAGS = new Set(['div', 'section', 'article', 'main', 'header', 'footer', 'aside']);
+
+// Providers of the core Embed block; their iframes and URLs on a line of their own become embed blocks
+const EMBED_PROVIDERS = [
+  { slug: 'youtube', type: 'video', host: /(^|\.)(youtube\.com|youtube-nocookie\.com|youtu\.be)$/ },
+  { slug: 'vimeo', type: 'video', host: /(^|\.)vimeo\.com$/ },
+  { slug: 'dailymotion', type: 'video', host: /(^|\.)(dailymotion\.com|dai\.ly)$/ },
+  { slug: 'tiktok', type: 'video', host: /(^|\.)tiktok\.com$/ },
+  { slug: 'twitter', type: 'rich', host: /(^|\.)(twitter\.com|x\.com)$/ },
+  { slug: 'spotify', type: 'rich', host: /(^|\.)spotify\.com$/ },
+  { slug: 'soundcloud', type: 'rich', host: /(^|\.)soundcloud\.com$/ },
+];
+
+/**
+ * Serialize a block: <!-- wp:name {attrs} -->inner<!-- /wp:name -->
+ */
+function serializeBlock(name, attrs, inner) {
+  const json = attrs && Object.keys(attrs).length > 0 ? ` ${JSON.stringify(attrs)}` : '';
+  return `<!-- wp:${name}${json} -->\n${inner}\n<!-- /wp:${name} -->`;
+}
+
+/**
+ * Join sibling blocks the way the block editor serializes them
+ */
+function joinBlocks(blocks) {
+  return blocks.filter(Boolean).join('\n\n');
+}
+
+/**
+ * Build an HTML attribute from a raw (already entity-encoded) value
+ */
+function htmlAttribute(name, value) {
+  return value === undefined || value === null ? '' : ` ${name}="${String(value).replace(/"/g, '&quot;')}"`;
+}
+
+function tagName(node) {
+  return node.nodeType === ELEMENT_NODE ? node.rawTagName.toLowerCase() : null;
+}
+
+function isBlank(node) {
+  return (node.nodeType === TEXT_NODE && !node.rawText.trim()) || node.nodeType === COMMENT_NODE;
+}
+
+function isInline(node) {
+  return node.nodeType === TEXT_NODE || INLINE_TAGS.has(tagName(node));
+}
+
+function childElements(node) {
+  return node.childNodes.filter(child => child.nodeType === ELEMENT_NODE);
+}
+
+/**
+ * Find the embed provider of a URL, or null
+ */
+function findProvider(url) {
+  try {
+    const { hostname } = new URL(url);
+    return EMBED_PROVIDERS.find(provider => provider.host.test(hostname)) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn the src of a provider's player iframe into the page URL the Embed block expects
+ */
+function getEmbedPageUrl(src) {
+  const url = src.startsWith('//') ? `https:${src}` : src.replace(/&amp;/g, '&');
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const youtube = parsed.pathname.match(/^\/embed\/([\w-]+)/);
+  if (youtube && /youtube/.test(parsed.hostname)) return `https://www.youtube.com/watch?v=${youtube[1]}`;
+
+  const vimeo = parsed.hostname === 'player.vimeo.com' && parsed.pathname.match(/^\/video\/(\d+)/);
+  if (vimeo) return `https://vimeo.com/${vimeo[1]}`;
+
+  const dailymotion = parsed.pathname.match(/^\/embed\/video\/(\w+)/);
+  if (dailymotion && /dailymotion/.test(parsed.hostname)) return `https://www.dailymotion.com/video/${dailymotion[1]}`;
+
+  if (/spotify/.test(parsed.hostname) && parsed.pathname.startsWith('/embed/')) {
+    return `https://open.spotify.com/${parsed.pathname.slice('/embed/'.length)}`;
+  }
+  if (/soundcloud/.test(parsed.hostname) && parsed.searchParams.get('url')) {
+    return parsed.searchParams.get('url');
+  }
+
+  return findProvider(url) ? url : null;
+}
+
+/**
+ * Embed block for a provider URL, or null when the URL has no known provider
+ */
+function embedBlock(url, caption = '') {
+  const provider = findProvider(url);
+  if (!provider) return null;
+
+  const attrs = { url, type: provider.type, providerNameSlug: provider.slug, responsive: true };
+  const classes = `wp-block-embed is-type-${provider.type} is-provider-${provider.slug} wp-block-embed-${provider.slug}`;
+  const figcaption = caption ? `<figcaption class="wp-element-caption">${caption}</figcaption>` : '';
+  return serializeBlock('embed', attrs, `<figure class="${classes}"><div class="wp-block-embed__wrapper">\n${url}\n</div>${figcaption}</figure>`);
+}
+
+/**
+ * Get the URL of a paragraph that holds nothing but a URL (plain or as a link to itself)
+ */
+function getStandaloneUrl(node) {
+  const children = node.childNodes.filter(child => !isBlank(child));
+  if (children.length !== 1) return null;
+
+  const [child] = children;
+  const text = child.nodeType === TEXT_NODE ? child.rawText.trim() : null;
+  if (text && /^https?:\/\/\S+$/.test(text)) return text.replace(/&amp;/g, '&');
+
+  if (tagName(child) === 'a') {
+    const href = child.rawAttributes.href?.replace(/&amp;/g, '&');
+    if (href && child.text.trim() === href) return href;
+  }
+  return null;
+}
+
+/**
+ * Find the <img> of a node that holds a single image, optionally wrapped in a link
+ * Returns { img, link } or null
+ */
+function getLoneImage(node) {
+  const children = node.childNodes.filter(child => !isBlank(child));
+  if (children.length !== 1) return null;
+
+  const [child] = children;
+  if (tagName(child) === 'img') return { img: child, link: null };
+  if (tagName(child) === 'a') {
+    const inner = child.childNodes.filter(grandchild => !isBlank(grandchild));
+    if (inner.length === 1 && tagName(inner[0]) === 'img') return { img: inner[0], link: child };
+  }
+  return null;
+}
+
+/**
+ * Read the attributes of an <img>, and of the link around it, that the image block supports: alt, title, the
+ * wp-image-<id>, align<alignment> and size-<size> classes of classic editor images, a width and height in pixels,
+ * and the link's href, target and rel
+ * Returns null when there is anything else, such as inline styles, srcset or other classes, which the block would drop.
+ */
+function getImageBlockAttributes(img, link) {
+  const { src = '', alt = '', title, class: classNames = '', width, height, ...other } = img.rawAttributes;
+  const { href = '', target, rel, ...otherLink } = link ? link.rawAttributes : {};
+  if (Object.keys(other).length > 0 || Object.keys(otherLink).length > 0) return null;
+  if ([width, height].some(size => size !== undefined && !/^\d+$/.test(size))) return null;
+
+  const attributes = { src, alt, title, classId: null, align: null, sizeSlug: null, width, height, href, target, rel };
+  for (const name of classNames.split(/\s+/).filter(Boolean)) {
+    const match = name.match(/^wp-image-(\d+)$|^align(left|right|center|none)$|^size-([\w-]+)$/);
+    if (!match) return null;
+    if (match[1]) attributes.classId = Number(match[1]);
+    if (match[2] && match[2] !== 'none') attributes.align = match[2];
+    if (match[3]) attributes.sizeSlug = match[3];
+  }
+  return attributes;
+}
+
+/**
+ * Image block; images uploaded in this run reference their attachment ID
+ * The attachment comes from a wp-image-<id> class (added to moved content images) or the run's URL → ID map.
+ * Returns null when the image has attributes the block cannot keep, so the caller keeps it as custom HTML.
+ */
+function imageBlock({ img, link }, caption, mediaIds) {
+  const image = getImageBlockAttributes(img, link);
+  if (!image) return null;
+
+  const runIds = new Set(mediaIds.values());
+  const id = runIds.has(image.classId) ? image.classId : mediaIds.get(image.src.replace(/&amp;/g, '&')) || null;
+  const sizeSlug = image.sizeSlug || (id ? 'full' : null);
+  const width = image.width && `${image.width}px`;
+  const height = image.height && `${image.height}px`;
+
+  const attrs = {};
+  if (id) attrs.id = id;
+  if (width) attrs.width = width;
+  if (height) attrs.height = height;
+  if (sizeSlug) attrs.sizeSlug = sizeSlug;
+  attrs.linkDestination = link ? 'custom' : 'none';
+  if (image.target) attrs.linkTarget = image.target;
+  if (image.rel) attrs.rel = image.rel;
+  if (image.align) attrs.align = image.align;
+
+  const style = [width && `width:${width}`, height && `height:${height}`].filter(Boolean).join(';');
+  let html = `<img src="${image.src.replace(/"/g, '&quot;')}" alt="${image.alt.replace(/"/g, '&quot;')}"`
+    + `${id ? ` class="wp-image-${id}"` : ''}${htmlAttribute('style', style || null)}${htmlAttribute('title', image.title)}/>`;
+  if (link) {
+    html = `<a href="${image.href.replace(/"/g, '&quot;')}"${htmlAttribute('target', image.target)}${htmlAttribute('rel', image.rel)}>${html}</a>`;
+  }
+
+  const classes = ['wp-block-image', image.align && `align${image.align}`, sizeSlug && `size-${sizeSlug}`, style && 'is-resized']
+    .filter(Boolean).join(' ');
+  const figcaption = caption ? `<figcaption class="wp-element-caption">${caption}</figcaption>` : '';
+  return serializeBlock('image', attrs, `<figure class="${classes}">${html}${figcaption}</figure>`);
+}
+
+/**
+ * Read the attributes of a paragraph or heading that its block supports: the text alignment (from a
+ * has-text-align-* class, a text-align style or the align attribute), other classes and the id (the block's anchor)
+ * Returns null when the element has anything else, such as dir, lang or other styles, which the block would drop.
+ */
+function getTextBlockAttributes(node) {
+  const { class: classNames = '', style = '', align, id, ...other } = node.rawAttributes;
+  if (Object.keys(other).length > 0) return null;
+
+  let alignment = align?.toLowerCase();
+  for (const declaration of style.split(';').map(part => part.trim()).filter(Boolean)) {
+    const match = declaration.match(/^text-align\s*:\s*([a-z]+)$/i);
+    if (!match) return null;
+    alignment = match[1].toLowerCase();
+  }
+
+  const classes = [];
+  for (const name of classNames.split(/\s+/).filter(Boolean)) {
+    const classAlignment = name.match(/^has-text-align-([a-z]+)$/)?.[1];
+    if (classAlignment) {
+      alignment = classAlignment;
+    } else if (name !== 'wp-block-heading') {
+      classes.push(name);
+    }
+  }
+  if (alignment && !TEXT_ALIGNMENTS.has(alignment)) return null;
+
+  return { alignment: alignment || null, className: classes.join(' ') || null, anchor: id ?? null };
+}
+
+/**
+ * Heading block (h1-h6); level 2 is the block's default
+ * Headings with attributes the block cannot keep are kept as custom HTML.
+ */
+function headingBlock(node) {
+  const level = Number(tagName(node).slice(1));
+  const inner = node.innerHTML.trim();
+  if (!inner) return null;
+
+  const attributes = getTextBlockAttributes(node);
+  if (!attributes) return htmlBlock(node.outerHTML);
+  const { alignment, className, anchor } = attributes;
+
+  const attrs = {};
+  if (alignment) attrs.textAlign = alignment;
+  if (level !== 2) attrs.level = level;
+  if (className) attrs.className = className;
+  const classes = ['wp-block-heading', alignment && `has-text-align-${alignment}`, className].filter(Boolean).join(' ');
+  return serializeBlock('heading', attrs, `<h${level} class="${classes}"${htmlAttribute('id', anchor)}>${inner}</h${level}>`);
+}
+
+/**
+ * Paragraph block from a <p>; paragraphs with attributes the block cannot keep are kept as custom HTML
+ */
+function paragraphBlock(node) {
+  const inner = node.innerHTML.trim();
+  if (!inner) return null;
+
+  const attributes = getTextBlockAttributes(node);
+  if (!attributes) return htmlBlock(node.outerHTML);
+  const { alignment, className, anchor } = attributes;
+
+  const attrs = {};
+  if (alignment) attrs.align = alignment;
+  if (className) attrs.className = className;
+  const classes = [alignment && `has-text-align-${alignment}`, className].filter(Boolean).join(' ');
+  return serializeBlock('paragraph', attrs, `<p${htmlAttribute('class', classes || null)}${htmlAttribute('id', anchor)}>${inner}</p>`);
+}
+
+/**
+ * List block with one list-item block per <li>; nested lists become inner list blocks
+ */
+function listBlock(node) {
+  const ordered = tagName(node) === 'ol';
+  const attrs = {};
+  if (ordered) attrs.ordered = true;
+  const start = Number(node.rawAttributes.start);
+  if (ordered && Number.isInteger(start) && start !== 1) attrs.start = start;
+  if (ordered && node.rawAttributes.reversed !== undefined) attrs.reversed = true;
+
+  const items = childElements(node).filter(child => tagName(child) === 'li').map(li => {
+    const nested = [];
+    const content = [];
+    for (const child of li.childNodes) {
+      const tag = tagName(child);
+      if (tag === 'ul' || tag === 'ol') {
+        nested.push(listBlock(child));
+      } else if (tag === 'p') {
+        // Loose Markdown lists wrap each item in <p>
+        content.push(child.innerHTML.trim());
+      } else if (child.nodeType !== COMMENT_NODE) {
+        content.push(child.nodeType === TEXT_NODE ? child.rawText : child.outerHTML);
+      }
+    }
+    return serializeBlock('list-item', null, `<li>${content.join(' ').trim()}${joinBlocks(nested)}</li>`);
+  });
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startAttr = attrs.start ? ` start="${attrs.start}"` : '';
+  const reversedAttr = attrs.reversed ? ' reversed' : '';
+  return serializeBlock('list', attrs, `<${tag} class="wp-block-list"${startAttr}${reversedAttr}>${joinBlocks(items)}</${tag}>`);
+}
+
+/**
+ * Quote block; the content becomes inner blocks and a <cite> the citation
+ */
+function quoteBlock(node, mediaIds) {
+  const cite = childElements(node).find(child => tagName(child) === 'cite');
+  const content = node.childNodes.filter(child => child !== cite);
+  const inner = joinBlocks(convertNodes(content, mediaIds));
+  const citation = cite ? `<cite>${cite.innerHTML.trim()}</cite>` : '';
+  return serializeBlock('quote', null, `<blockquote class="wp-block-quote">${inner}${citation}</blockquote>`);
+}
+
+/**
+ * Table block; sections and cells are rebuilt in the markup the block saves
+ */
+function tableBlock(table, caption = '') {
+  const sections = { thead: [], tbody: [], tfoot: [] };
+  for (const child of childElements(table)) {
+    const tag = tagName(child);
+    if (sections[tag]) {
+      sections[tag].push(...childElements(child).filter(row => tagName(row) === 'tr'));
+    } else if (tag === 'tr') {
+      sections.tbody.push(child);
+    }
+  }
+
+  const renderRow = row => `<tr>${childElements(row).filter(cell => ['td', 'th'].includes(tagName(cell))).map(cell => {
+    const tag = tagName(cell);
+    const align = cell.rawAttributes.align || (cell.rawAttributes.style || '').match(/text-align:\s*(left|center|right)/i)?.[1];
+    const alignAttrs = align ? ` class="has-text-align-${align.toLowerCase()}" data-align="${align.toLowerCase()}"` : '';
+    return `<${tag}${alignAttrs}${htmlAttribute('colspan', cell.rawAttributes.colspan)}${htmlAttribute('rowspan', cell.rawAttributes.rowspan)}>${cell.innerHTML.trim()}</${tag}>`;
+  }).join('')}</tr>`;
+
+  const body = Object.entries(sections)
+    .filter(([, rows]) => rows.length > 0)
+    .map(([tag, rows]) => `<${tag}>${rows.map(renderRow).join('')}</${tag}>`)
+    .join('');
+
+  const figcaption = caption ? `<figcaption class="wp-element-caption">${caption}</figcaption>` : '';
+  return serializeBlock('table', { hasFixedLayout: false }, `<figure class="wp-block-table"><table>${body}</table>${figcaption}</figure>`);
+}
+
+/**
+ * Code block from a <pre>, keeping the (already escaped) code
+ */
+function codeBlock(node) {
+  const raw = node.innerHTML;
+  const code = raw.match(/^\s*<code\b[^>]*>([\s\S]*?)<\/code>\s*$/i)?.[1] ?? raw;
+  return serializeBlock('code', null, `<pre class="wp-block-code"><code>${code.replace(/\n$/, '')}</code></pre>`);
+}
+
+function htmlBlock(html) {
+  return serializeBlock('html', null, html.trim());
+}
+
+/**
+ * Convert a <figure> holding an image, table or embed; anything else is kept as custom HTML
+ */
+function figureBlock(node, mediaIds) {
+  const figcaption = childElements(node).find(child => tagName(child) === 'figcaption');
+  const caption = figcaption ? figcaption.innerHTML.trim() : '';
+  const content = { childNodes: node.childNodes.filter(child => child !== figcaption) };
+
+  const image = getLoneImage(content);
+  if (image) return imageBlock(image, caption, mediaIds) || htmlBlock(node.outerHTML);
+
+  const elements = content.childNodes.filter(child => child.nodeType === ELEMENT_NODE);
+  if (elements.length === 1 && tagName(elements[0]) === 'table') return tableBlock(elements[0], caption);
+  if (elements.length === 1 && tagName(elements[0]) === 'iframe') {
+    const url = getEmbedPageUrl(elements[0].rawAttributes.src || '');
+    const embed = url && embedBlock(url, caption);
+    if (embed) return embed;
+  }
+  return htmlBlock(node.outerHTML);
+}
+
+/**
+ * Convert one block-level node
+ */
+function convertElement(node, mediaIds) {
+  const tag = tagName(node);
+
+  if (/^h[1-6]$/.test(tag)) return headingBlock(node);
+
+  switch (tag) {
+    case 'p': {
+      // The attributes of a paragraph around an image have no place in an image block
+      const image = Object.keys(node.rawAttributes).length === 0 && getLoneImage(node);
+      if (image) return imageBlock(image, '', mediaIds) || htmlBlock(node.outerHTML);
+      const url = getStandaloneUrl(node);
+      return (url && embedBlock(url)) || paragraphBlock(node);
+    }
+    case 'img':
+      return imageBlock({ img: node, link: null }, '', mediaIds) || htmlBlock(node.outerHTML);
+    case 'ul':
+    case 'ol':
+      return listBlock(node);
+    case 'blockquote': {
+      // Embedded tweets are a blockquote linking to the tweet
+      if (/\btwitter-tweet\b/.test(node.rawAttributes.class || '')) {
+        const links = node.querySelectorAll('a').map(a => a.rawAttributes.href || '').filter(href => /\/status\/\d+/.test(href));
+        const embed = links.length > 0 && embedBlock(links[links.length - 1].split('?')[0]);
+        if (embed) return embed;
+      }
+      return quoteBlock(node, mediaIds);
+    }
+    case 'table':
+      return tableBlock(node);
+    case 'figure':
+      return figureBlock(node, mediaIds);
+    case 'iframe': {
+      const url = getEmbedPageUrl(node.rawAttributes.src || '');
+      return (url && embedBlock(url)) || htmlBlock(node.outerHTML);
+    }
+    case 'pre':
+      return codeBlock(node);
+    case 'hr':
+      return serializeBlock('separator', null, '<hr class="wp-block-separator has-alpha-channel-opacity"/>');
+    case 'script':
+      // The embed block loads provider scripts itself
+      return /platform\.twitter\.com\/widgets\.js/.test(node.rawAttributes.src || '') ? null : htmlBlock(node.outerHTML);
+    default:
+      if (CONTAINER_TAGS.has(tag) && Object.keys(node.rawAttributes).length === 0) {
+        return joinBlocks(convertNodes(node.childNodes, mediaIds));
+      }
+      return htmlBlock(node.outerHTML);
+  }
+}
+
+/**
+ * Convert a list of sibling nodes into blocks
+ * Runs of loose text and inline elements become a paragraph; <!--more--> becomes a More block.
+ */
+function convertNodes(nodes, mediaIds) {
+  const blocks = [];
+  let inline = [];
+
+  const flushInline = () => {
+    const html = inline.map(node => (node.nodeType === TEXT_NODE ? node.rawText : node.outerHTML)).join('');
+    inline = [];
+    if (!html.trim()) return;
+
+    const wrapper = parse(`<p>${html.trim()}</p>`).firstChild;
+    blocks.push(convertElement(wrapper, mediaIds));
+  };
+
+  for (const node of nodes) {
+    if (node.nodeType === COMMENT_NODE) {
+      if (/^\s*more\b/.test(node.rawText)) {
+        flushInline();
+        blocks.push(serializeBlock('more', null, `<!--${node.rawText}-->`));
+      }
+      continue;
+    }
+    if (isInline(node)) {
+      inline.push(node);
+      continue;
+    }
+    flushInline();
+    blocks.push(convertElement(node, mediaIds));
+  }
+  flushInline();
+
+  return blocks.filter(Boolean);
+}
+
+/**
+ * Convert HTML content into serialized block editor (Gutenberg) markup
+ * Headings, paragraphs, images, lists, quotes, tables, code, separators and provider embeds (YouTube,
+ * Vimeo, X/Twitter, Spotify, ...) become their core blocks; anything else is kept in Custom HTML blocks.
+ * mediaIds maps the URLs of images uploaded in this run to their attachment IDs, so their image blocks
+ * reference the attachment. Content that already contains blocks is returned unchanged.
+ */
+export function convertToBlocks(html, mediaIds = new Map()) {
+  if (!html || /<!--\s*wp:/.test(html)) return html;
+
+  const root = parse(html, { comment: true });
+  return joinBlocks(convertNodes(root.childNodes, mediaIds));
+}
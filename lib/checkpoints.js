@@ -0,0 +1,192 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Use /tmp on Vercel (serverless), or checkpoints/ in the project root for local development
+const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+const CHECKPOINTS_DIR = isVercel ? path.join('/tmp', 'checkpoints') : path.resolve(__dirname, '..', 'checkpoints');
+
+/**
+ * Ensure the checkpoint directory exists
+ */
+function ensureDir() {
+  if (!fs.existsSync(CHECKPOINTS_DIR)) {
+    fs.mkdirSync(CHECKPOINTS_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Get the path of a checkpoint file
+ */
+function checkpointPath(checkpointId) {
+  return path.join(CHECKPOINTS_DIR, `${path.basename(checkpointId)}.json`);
+}
+
+/**
+ * Write a checkpoint to disk
+ * Written synchronously after every row so a crash loses at most the row in flight.
+ */
+function saveCheckpoint(checkpoint) {
+  ensureDir();
+  checkpoint.updatedAt = new Date().toISOString();
+  fs.writeFileSync(checkpointPath(checkpoint.id), JSON.stringify(checkpoint, null, 2));
+}
+
+/**
+ * Compute the checkpoint ID for a file
+ * The same file contents run in the same mode against the same site always map to the same checkpoint; each
+ * sheet of a workbook has a checkpoint of its own.
+ */
+export function getCheckpointId(mode, clientId, filePath, sheet = null) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${mode}\n${clientId || ''}\n`);
+  if (sheet) hash.update(`sheet:${sheet}\n`);
+  if (fs.statSync(filePath).isDirectory()) {
+    // A folder of Markdown files is identified by its file names and contents
+    for (const file of fs.readdirSync(filePath).sort()) {
+      const fullPath = path.join(filePath, file);
+      if (!fs.statSync(fullPath).isFile()) continue;
+      hash.update(`${file}\n`);
+      hash.update(fs.readFileSync(fullPath));
+    }
+  } else {
+    hash.update(fs.readFileSync(filePath));
+  }
+  return `${mode}-${hash.digest('hex').slice(0, 16)}`;
+}
+
+/**
+ * Load a checkpoint by ID
+ */
+export function getCheckpoint(checkpointId) {
+  const filePath = checkpointPath(checkpointId);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    console.warn(`⚠️  Could not read checkpoint ${checkpointId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Start a checkpoint for a run, or reopen the existing one when resuming
+ * Returns { checkpoint, replaced } where replaced tells whether an unfinished checkpoint was discarded.
+ * A copy of the source file is kept next to the checkpoint so the run can be resumed
+ * after the uploaded file has been cleaned up.
+ */
+export function openCheckpoint({ mode, clientId, filePath, fileName, sheet = null, totalRows, selectedRows = null, schedule = null, sideloadImages = false, contentFormat = null, convertToBlocks = false, preserveOriginal = false, mapping = null, resume = false }) {
+  const id = getCheckpointId(mode, clientId, filePath, sheet);
+  const existing = getCheckpoint(id);
+
+  if (resume) {
+    if (!existing) {
+      throw new Error('No checkpoint found for this file. Run it without resume first.');
+    }
+    return { checkpoint: existing, replaced: false };
+  }
+
+  ensureDir();
+  const isFolder = fs.statSync(filePath).isDirectory();
+  // <id>.source.json, not <id>.json, so the copy of a JSON file is not overwritten by the checkpoint itself
+  const sourceFile = path.join(CHECKPOINTS_DIR, `${id}.source${isFolder ? '' : path.extname(filePath) || '.csv'}`);
+  if (path.resolve(filePath) !== path.resolve(sourceFile)) {
+    if (isFolder) {
+      fs.cpSync(filePath, sourceFile, { recursive: true });
+    } else {
+      fs.copyFileSync(filePath, sourceFile);
+    }
+  }
+
+  const checkpoint = {
+    id,
+    mode,
+    clientId: clientId || null,
+    fileName: fileName || path.basename(filePath),
+    sheet: sheet || null,
+    sourceFile,
+    totalRows,
+    selectedRows: selectedRows || null,
+    schedule: schedule || null,
+    sideloadImages: Boolean(sideloadImages),
+    contentFormat: contentFormat || null,
+    convertToBlocks: Boolean(convertToBlocks),
+    preserveOriginal: Boolean(preserveOriginal),
+    mapping: mapping || null,
+    completed: false,
+    createdAt: new Date().toISOString(),
+    updatedAt: null,
+    rows: {},
+  };
+
+  saveCheckpoint(checkpoint);
+  return { checkpoint, replaced: Boolean(existing && !existing.completed) };
+}
+
+/**
+ * Record the outcome of a row
+ */
+export function recordRow(checkpoint, result) {
+  checkpoint.rows[result.rowNumber] = {
+    ...result,
+    processedAt: new Date().toISOString(),
+  };
+  saveCheckpoint(checkpoint);
+}
+
+/**
+ * Get the recorded outcome of a row, or null if it has not been processed yet
+ */
+export function getRecordedRow(checkpoint, rowNumber) {
+  return checkpoint.rows[rowNumber] || null;
+}
+
+/**
+ * Get the first row number without a recorded outcome (1-based)
+ * Rows left out of the run's selection are never processed and do not count.
+ */
+export function getFirstUnprocessedRow(checkpoint) {
+  for (let rowNumber = 1; rowNumber <= checkpoint.totalRows; rowNumber++) {
+    if (checkpoint.selectedRows && !checkpoint.selectedRows.includes(rowNumber)) continue;
+    if (!checkpoint.rows[rowNumber]) return rowNumber;
+  }
+  return null;
+}
+
+/**
+ * Mark a checkpoint as completed
+ * The copied source file is no longer needed once every row has been processed.
+ */
+export function completeCheckpoint(checkpoint) {
+  checkpoint.completed = true;
+  checkpoint.completedAt = new Date().toISOString();
+  if (checkpoint.sourceFile && fs.existsSync(checkpoint.sourceFile)) {
+    fs.rmSync(checkpoint.sourceFile, { recursive: true });
+  }
+  checkpoint.sourceFile = null;
+  saveCheckpoint(checkpoint);
+}
+
+/**
+ * List checkpoints (newest first) without their per-row outcomes
+ */
+export function listCheckpoints({ includeCompleted = false } = {}) {
+  if (!fs.existsSync(CHECKPOINTS_DIR)) return [];
+
+  return fs.readdirSync(CHECKPOINTS_DIR)
+    // Skip the copies of source files (<id>.source.json and the like)
+    .filter(file => file.endsWith('.json') && !file.includes('.source'))
+    .map(file => getCheckpoint(path.basename(file, '.json')))
+    .filter(checkpoint => checkpoint && (includeCompleted || !checkpoint.completed))
+    .sort((a, b) => (b.updatedAt || b.createdAt).localeCompare(a.updatedAt || a.createdAt))
+    .map(({ rows, ...checkpoint }) => ({
+      ...checkpoint,
+      processedRows: Object.keys(rows).length,
+      nextRow: getFirstUnprocessedRow({ ...checkpoint, rows }),
+    }));
+}
@@ -0,0 +1,206 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// Load environment variables
+dotenv.config();
+
+const DEFAULT_CLIENT_ID = 'default';
+
+// Old environment variable names already warned about, so the warning shows once per process
+const warnedOldNames = new Set();
+
+/**
+ * Normalize the image processing settings of a client
+ * Clients without an image_processing block use IMAGE_PROCESSING, IMAGE_MAX_WIDTH, IMAGE_FORMAT and IMAGE_QUALITY.
+ */
+function normalizeImageProcessing(settings) {
+  const source = settings ?? {
+    enabled: process.env.IMAGE_PROCESSING === 'true',
+    max_width: process.env.IMAGE_MAX_WIDTH,
+    format: process.env.IMAGE_FORMAT,
+    quality: process.env.IMAGE_QUALITY,
+  };
+  const maxWidth = parseInt(source.max_width, 10);
+  const quality = parseInt(source.quality, 10);
+
+  return {
+    // An image_processing block turns processing on unless it sets enabled: false
+    enabled: source.enabled ?? true,
+    max_width: maxWidth > 0 ? maxWidth : null,
+    format: ['webp', 'jpeg'].includes(source.format) ? source.format : 'original',
+    quality: quality >= 1 && quality <= 100 ? quality : 82,
+  };
+}
+
+/**
+ * Normalize the content lint settings of a client
+ * Clients without a content_lint block use CONTENT_LINT_BLOCK and CONTENT_LINT_DISALLOWED_TAGS.
+ */
+function normalizeContentLint(settings) {
+  const source = settings ?? {
+    block: process.env.CONTENT_LINT_BLOCK,
+    disallowed_tags: process.env.CONTENT_LINT_DISALLOWED_TAGS,
+  };
+  const tags = Array.isArray(source.disallowed_tags)
+    ? source.disallowed_tags
+    : String(source.disallowed_tags || '').split(',');
+  const disallowedTags = tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+
+  return {
+    // Rows with issues of this severity or worse are not sent: error, warning or off
+    block: ['error', 'warning', 'off'].includes(source.block) ? source.block : 'error',
+    // null keeps the built-in list
+    disallowed_tags: disallowedTags.length > 0 ? disallowedTags : null,
+  };
+}
+
+/**
+ * Normalize a minimum SEO score setting; anything but a whole number from 0 to 100 turns the minimum off
+ */
+function normalizeMinScore(value) {
+  const score = Number(value);
+  return value !== undefined && value !== null && value !== '' && Number.isInteger(score) && score >= 0 && score <= 100 ? score : null;
+}
+
+/**
+ * Normalize a single client entry from the registry
+ */
+function normalizeClient(id, entry) {
+  return {
+    id: String(entry.id || id),
+    name: entry.name || String(entry.id || id),
+    wp_site: (entry.wp_site || entry.url || '').replace(/\/$/, ''),
+    wp_user: entry.wp_user || entry.user || '',
+    wp_app_password: entry.wp_app_password || entry.app_password || '',
+    default_status: entry.default_status || process.env.DEFAULT_STATUS || 'draft',
+    request_delay_ms: parseInt(entry.request_delay_ms ?? process.env.REQUEST_DELAY_MS ?? '300', 10),
+    image_processing: normalizeImageProcessing(entry.image_processing),
+    content_lint: normalizeContentLint(entry.content_lint),
+    // SEO plugin to write meta fields for: auto (detect), yoast, rankmath, aioseo, seopress or none
+    seo_plugin: String(entry.seo_plugin || process.env.SEO_PLUGIN || 'auto').trim().toLowerCase(),
+    // Rows scoring below this SEO score (0-100) are not sent; null scores rows without blocking any
+    seo_min_score: normalizeMinScore(entry.seo_min_score ?? process.env.SEO_MIN_SCORE),
+  };
+}
+
+/**
+ * Read the raw registry from CLIENTS_CONFIG (inline JSON) or a clients.json file
+ * Returns null when no registry is configured
+ */
+function readRegistrySource() {
+  const inline = process.env.CLIENTS_CONFIG?.trim();
+  if (inline) {
+    try {
+      return JSON.parse(inline);
+    } catch (error) {
+      throw new Error(`CLIENTS_CONFIG is not valid JSON: ${error.message}`);
+    }
+  }
+
+  const configPath = process.env.CLIENTS_CONFIG_PATH
+    ? path.resolve(ROOT_DIR, process.env.CLIENTS_CONFIG_PATH)
+    : path.join(ROOT_DIR, 'clients.json');
+
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+  } catch (error) {
+    throw new Error(`Failed to read client registry ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Read an environment variable, falling back to the name older .env files used for it
+ */
+function readEnv(name, oldName) {
+  if (process.env[name]) return process.env[name];
+  if (!process.env[oldName]) return '';
+
+  if (!warnedOldNames.has(oldName)) {
+    warnedOldNames.add(oldName);
+    console.warn(`⚠️  ${oldName} is deprecated; rename it to ${name} in your .env`);
+  }
+  return process.env[oldName];
+}
+
+/**
+ * Load all configured clients
+ * Accepts either an array of clients (each with an "id") or an object keyed by client ID.
+ * Falls back to the single-site environment variables (WP_SITE, WP_USER, WP_APP_PASSWORD).
+ */
+function loadClients() {
+  const source = readRegistrySource();
+
+  if (!source) {
+    return [normalizeClient(DEFAULT_CLIENT_ID, {
+      name: process.env.CLIENT_NAME || 'OMG Nafisas',
+      wp_site: readEnv('WP_SITE', 'WP_URL'),
+      wp_user: process.env.WP_USER || '',
+      wp_app_password: readEnv('WP_APP_PASSWORD', 'WP_PASSWORD'),
+    })];
+  }
+
+  const entries = Array.isArray(source)
+    ? source.map((entry, index) => [entry.id || `client-${index + 1}`, entry])
+    : Object.entries(source);
+
+  return entries.map(([id, entry]) => normalizeClient(id, entry));
+}
+
+/**
+ * Get configuration for a client
+ * Returns the first registered client when no clientId is given.
+ */
+export function getClientConfig(clientId = null) {
+  const clients = loadClients();
+
+  if (!clientId) {
+    return clients[0] || normalizeClient(DEFAULT_CLIENT_ID, {});
+  }
+
+  const client = clients.find(c => c.id === String(clientId));
+  if (!client) {
+    throw new Error(`Unknown client "${clientId}". Check CLIENTS_CONFIG or clients.json.`);
+  }
+
+  return client;
+}
+
+/**
+ * Get all available clients (without credentials) for display in the web interface
+ */
+export function getAvailableClients() {
+  return loadClients()
+    .filter(client => client.wp_site)
+    .map(client => ({
+      id: client.id,
+      name: client.name,
+      site: client.wp_site,
+      defaultStatus: client.default_status,
+    }));
+}
+
+/**
+ * Create axios instance with auth for a specific client
+ */
+export function createApiInstance(clientConfig) {
+  const auth = Buffer.from(`${clientConfig.wp_user}:${clientConfig.wp_app_password}`).toString('base64');
+  return axios.create({
+    baseURL: `${clientConfig.wp_site}/wp-json/wp/v2`,
+    headers: {
+      'Authorization': `Basic ${auth}`,
+      'Content-Type': 'application/json',
+    },
+    timeout: 30000,
+  });
+}
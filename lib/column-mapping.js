@@ -0,0 +1,336 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SEO_COLUMNS } from './seo.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Use /tmp on Vercel (serverless), or mappings/ in the project root for local development
+const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+const MAPPINGS_DIR = isVercel ? path.join('/tmp', 'mappings') : path.resolve(__dirname, '..', 'mappings');
+
+// Fields a column can be mapped to (tax:<taxonomy> columns are accepted as well)
+export const MAPPING_FIELDS = [
+  { field: 'post_id', label: 'Post ID (updates)' },
+  { field: 'post_type', label: 'Post type' },
+  { field: 'title', label: 'Title' },
+  { field: 'content', label: 'Content' },
+  { field: 'content_format', label: 'Content format' },
+  { field: 'excerpt', label: 'Excerpt' },
+  { field: 'status', label: 'Status' },
+  { field: 'slug', label: 'Slug' },
+  { field: 'author', label: 'Author' },
+  { field: 'publish_date', label: 'Publish date' },
+  { field: 'timezone', label: 'Timezone' },
+  { field: 'categories', label: 'Categories' },
+  { field: 'tags', label: 'Tags' },
+  { field: 'featured_image_path', label: 'Featured image (file path)' },
+  { field: 'featured_image_url', label: 'Featured image (URL)' },
+  { field: 'featured_image_alt', label: 'Featured image alt text' },
+  { field: 'featured_image_title', label: 'Featured image title' },
+  { field: 'featured_image_caption', label: 'Featured image caption' },
+  { field: 'featured_image_description', label: 'Featured image description' },
+  { field: 'acf_json', label: 'ACF fields (JSON)' },
+  { field: 'meta_json', label: 'Custom fields (JSON)' },
+  ...SEO_COLUMNS.map(field => ({ field, label: `SEO: ${field.replace(/_/g, ' ')}` })),
+];
+
+const FIELD_NAMES = new Set(MAPPING_FIELDS.map(({ field }) => field));
+
+// Headers partner exports commonly use for a field, compared after normalizeHeader
+const HEADER_SYNONYMS = {
+  post_id: ['id', 'wp id', 'wordpress id'],
+  post_type: ['type', 'content type'],
+  title: ['post title', 'headline', 'article title', 'name', 'post name'],
+  content: ['body', 'post content', 'post body', 'article', 'article body', 'html', 'text', 'copy'],
+  excerpt: ['summary', 'teaser', 'intro', 'standfirst', 'post excerpt'],
+  status: ['post status', 'state'],
+  slug: ['url slug', 'post slug', 'permalink'],
+  author: ['writer', 'byline', 'author email', 'created by'],
+  publish_date: ['date', 'publish date', 'published', 'publish on', 'post date', 'go live date'],
+  categories: ['category', 'section', 'sections'],
+  tags: ['tag', 'post tags', 'labels'],
+  featured_image_url: ['hero image', 'hero image url', 'featured image', 'featured image url', 'image', 'image url', 'main image', 'thumbnail'],
+  featured_image_alt: ['alt', 'alt text', 'image alt', 'hero image alt'],
+  featured_image_title: ['image title'],
+  featured_image_caption: ['caption', 'image caption'],
+  meta_title: ['seo title', 'page title'],
+  meta_description: ['seo desc', 'seo description', 'meta desc', 'search description'],
+  focus_keyword: ['keyword', 'focus keyphrase', 'keyphrase', 'target keyword', 'primary keyword'],
+  og_title: ['social title', 'open graph title'],
+  og_description: ['social description', 'open graph description'],
+  og_image: ['social image', 'open graph image'],
+  canonical_url: ['canonical'],
+  noindex: ['no index'],
+  nofollow: ['no follow'],
+};
+
+/**
+ * Normalize a header for matching: lowercase words separated by single spaces ("SEO_Desc" → "seo desc")
+ */
+function normalizeHeader(header) {
+  return String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+const FIELDS_BY_HEADER = new Map();
+for (const field of FIELD_NAMES) FIELDS_BY_HEADER.set(normalizeHeader(field), field);
+for (const [field, headers] of Object.entries(HEADER_SYNONYMS)) {
+  headers.forEach(header => FIELDS_BY_HEADER.set(header, field));
+}
+
+/**
+ * Check whether a field is one a column can be mapped to
+ */
+function isMappingField(field) {
+  return FIELD_NAMES.has(field) || /^tax:[a-z0-9_-]+$/i.test(field);
+}
+
+/**
+ * Check a column mapping ({ header → field, or null to ignore the column })
+ * Blank fields mean ignore. Throws on unknown fields and on two columns mapped to the same field.
+ */
+export function normalizeMapping(mapping) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('A column mapping must be an object of header → field');
+  }
+
+  // Headers are user input, so "__proto__" or "constructor" must stay plain keys
+  const normalized = Object.create(null);
+  const mappedFrom = new Map();
+  for (const [header, value] of Object.entries(mapping)) {
+    if (!header.trim()) continue;
+    const field = typeof value === 'string' && value.trim() ? value.trim() : null;
+    if (field !== null && !isMappingField(field)) {
+      throw new Error(`Unknown field "${field}" for column "${header}"`);
+    }
+    if (field !== null && mappedFrom.has(field)) {
+      throw new Error(`Columns "${mappedFrom.get(field)}" and "${header}" are both mapped to ${field}`);
+    }
+    if (field !== null) mappedFrom.set(field, header);
+    normalized[header] = field;
+  }
+  return normalized;
+}
+
+/**
+ * Get the column headers of rows, in the order they first appear
+ */
+export function getHeaders(rows) {
+  const headers = new Set();
+  rows.forEach(row => Object.keys(row).forEach(header => headers.add(header)));
+  return [...headers];
+}
+
+/**
+ * Rename the columns of rows to the fields they are mapped to, dropping ignored columns
+ * Columns the mapping does not mention are kept as they are, unless a mapped column takes their name.
+ */
+export function applyMapping(rows, mapping) {
+  const mappedFields = new Set(Object.values(mapping).filter(Boolean));
+  return rows.map(row => {
+    const mapped = {};
+    for (const [header, value] of Object.entries(row)) {
+      if (!Object.hasOwn(mapping, header) && !mappedFields.has(header)) mapped[header] = value;
+    }
+    for (const [header, value] of Object.entries(row)) {
+      if (Object.hasOwn(mapping, header) && mapping[header]) mapped[mapping[header]] = value;
+    }
+    return mapped;
+  });
+}
+
+/**
+ * Guess the field of a header from its name and common synonyms (null when nothing matches)
+ */
+function guessField(header) {
+  if (/^tax:[a-z0-9_-]+$/i.test(header.trim())) return header.trim();
+  return FIELDS_BY_HEADER.get(normalizeHeader(header)) || null;
+}
+
+/**
+ * Suggest a mapping for the headers of a file
+ * The saved profile that knows the most of the headers (at least half) is used, and headers it does not know
+ * are guessed by name. Returns { profile (name or null), mapping }.
+ */
+export function suggestMapping(headers, profiles = []) {
+  let best = null;
+  let bestMatches = 0;
+  for (const profile of profiles) {
+    const matches = headers.filter(header => Object.hasOwn(profile.columns, header)).length;
+    if (matches > bestMatches && matches * 2 >= headers.length) {
+      best = profile;
+      bestMatches = matches;
+    }
+  }
+
+  const mapping = Object.create(null);
+  const usedFields = new Set();
+  if (best) {
+    for (const header of headers) {
+      if (!Object.hasOwn(best.columns, header)) continue;
+      mapping[header] = best.columns[header];
+      if (mapping[header]) usedFields.add(mapping[header]);
+    }
+  }
+  // Headers that already are field names keep them before synonyms are guessed
+  const guessed = [...headers.filter(header => isMappingField(header)), ...headers.filter(header => !isMappingField(header))];
+  for (const header of guessed) {
+    if (Object.hasOwn(mapping, header)) continue;
+    const field = guessField(header);
+    mapping[header] = field && !usedFields.has(field) ? field : null;
+    if (mapping[header]) usedFields.add(field);
+  }
+
+  return { profile: best?.name || null, mapping: Object.fromEntries(headers.map(header => [header, mapping[header]])) };
+}
+
+/**
+ * Find problems with the headers of a file before any row is processed
+ * A repeated header is an error (only its first column would be read). Columns without a header, and columns that
+ * are neither a field nor named in the mapping, are ignored and reported as warnings.
+ * Returns [{ severity, message }].
+ */
+export function findHeaderProblems(headers, mapping = null) {
+  const problems = [];
+
+  const counts = new Map();
+  headers.filter(Boolean).forEach(header => counts.set(header, (counts.get(header) || 0) + 1));
+  for (const [header, count] of counts) {
+    if (count > 1) {
+      problems.push({ severity: 'error', message: `Column "${header}" appears ${count} times. Rename or remove the extra columns.` });
+    }
+  }
+
+  const unnamed = headers.map((header, index) => (header ? null : index + 1)).filter(Boolean);
+  if (unnamed.length > 0) {
+    problems.push({ severity: 'warning', message: `${unnamed.length} column(s) without a header are ignored (column ${unnamed.join(', ')})` });
+  }
+
+  const unknown = [...counts.keys()].filter(header => !isMappingField(header) && !(mapping && Object.hasOwn(mapping, header)));
+  if (unknown.length > 0) {
+    const described = unknown.map(header => (guessField(header) ? `"${header}" (map it to ${guessField(header)})` : `"${header}"`));
+    problems.push({ severity: 'warning', message: `Unknown column(s) are ignored: ${described.join(', ')}` });
+  }
+
+  return problems;
+}
+
+/**
+ * Report the header problems of a file as progress messages
+ * Throws when a problem is an error, before anything has been checkpointed or sent.
+ */
+export function reportHeaderProblems(headers, mapping = null, progressCallback = null) {
+  const problems = findHeaderProblems(headers, mapping);
+  const errors = problems.filter(problem => problem.severity === 'error');
+  if (errors.length > 0) {
+    throw new Error(`Header problems: ${errors.map(problem => problem.message).join(' ')}`);
+  }
+  if (progressCallback) {
+    problems.forEach(problem => progressCallback({ type: 'info', message: `⚠️  ${problem.message}` }));
+  }
+  return problems;
+}
+
+/**
+ * Get the path of a site's profile file
+ */
+function profilesPath(clientId) {
+  return path.join(MAPPINGS_DIR, `${path.basename(clientId || 'default')}.json`);
+}
+
+/**
+ * Load a site's profiles ({ name → { columns, updatedAt } })
+ * Profile names are user input, so they are read into an object without a prototype: "__proto__" or "constructor"
+ * are names like any other.
+ */
+function readProfiles(clientId) {
+  const profiles = Object.create(null);
+  const filePath = profilesPath(clientId);
+  if (!fs.existsSync(filePath)) return profiles;
+
+  try {
+    return Object.assign(profiles, JSON.parse(fs.readFileSync(filePath, 'utf-8')));
+  } catch (error) {
+    console.warn(`⚠️  Could not read mapping profiles of ${clientId || 'default'}: ${error.message}`);
+    return profiles;
+  }
+}
+
+/**
+ * Save a site's profiles
+ */
+function writeProfiles(clientId, profiles) {
+  if (!fs.existsSync(MAPPINGS_DIR)) {
+    fs.mkdirSync(MAPPINGS_DIR, { recursive: true });
+  }
+  fs.writeFileSync(profilesPath(clientId), JSON.stringify(profiles, null, 2));
+}
+
+/**
+ * List the mapping profiles saved for a site, by name
+ */
+export function listProfiles(clientId) {
+  return Object.entries(readProfiles(clientId))
+    .map(([name, profile]) => ({ name, ...profile }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a saved mapping profile by name
+ */
+export function getProfile(clientId, name) {
+  const profiles = readProfiles(clientId);
+  return Object.hasOwn(profiles, name) ? { name, ...profiles[name] } : null;
+}
+
+/**
+ * Save a named mapping profile for a site, replacing one with the same name
+ */
+export function saveProfile(clientId, name, columns) {
+  const profileName = typeof name === 'string' ? name.trim() : '';
+  if (!profileName) {
+    throw new Error('A mapping profile needs a name');
+  }
+
+  const profiles = readProfiles(clientId);
+  profiles[profileName] = { columns: normalizeMapping(columns), updatedAt: new Date().toISOString() };
+  writeProfiles(clientId, profiles);
+  return { name: profileName, ...profiles[profileName] };
+}
+
+/**
+ * Delete a saved mapping profile; returns false when there is none with that name
+ */
+export function deleteProfile(clientId, name) {
+  const profiles = readProfiles(clientId);
+  if (!Object.hasOwn(profiles, name)) return false;
+
+  delete profiles[name];
+  writeProfiles(clientId, profiles);
+  return true;
+}
+
+/**
+ * Load a mapping for the command line: a JSON file ({ "columns": { header → field } }, or the columns alone) or the
+ * name of a profile saved for the site
+ */
+export function loadMapping(value, clientId) {
+  const filePath = path.resolve(value);
+  if (!fs.existsSync(filePath)) {
+    const profile = getProfile(clientId, value);
+    if (!profile) {
+      throw new Error(`Mapping file or profile not found: ${value}`);
+    }
+    return profile.columns;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf-8').replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`Invalid mapping file: ${error.message}`);
+  }
+  const columns = data?.columns && typeof data.columns === 'object' && !Array.isArray(data.columns) ? data.columns : data;
+  return normalizeMapping(columns);
+}
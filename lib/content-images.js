@@ -0,0 +1,156 @@
+import { uploadMediaItem, checkMedia } from './media.js';
+
+const IMG_TAG = /<img\b[^>]*>/gi;
+
+/**
+ * Read an attribute of an HTML tag (double-quoted, single-quoted or unquoted)
+ */
+function getAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i'));
+  return match ? (match[1] ?? match[2] ?? match[3]) : null;
+}
+
+/**
+ * Set an attribute of an HTML tag, adding it when missing
+ */
+function setAttribute(tag, name, value) {
+  const escaped = value.replace(/"/g, '&quot;');
+  const pattern = new RegExp(`(\\s${name}\\s*=\\s*)(?:"[^"]*"|'[^']*'|[^\\s"'>]+)`, 'i');
+  if (pattern.test(tag)) {
+    return tag.replace(pattern, (_, prefix) => `${prefix}"${escaped}"`);
+  }
+  return tag.replace(/^<img\b/i, `<img ${name}="${escaped}"`);
+}
+
+/**
+ * Decode the entities that commonly appear in attribute URLs
+ */
+function decodeUrl(value) {
+  return value.replace(/&amp;/g, '&').replace(/&#0?38;/g, '&').trim();
+}
+
+/**
+ * Resolve an image URL and check that it lives outside the WordPress site
+ * Returns the absolute URL, or null for relative and same-site images.
+ */
+function getExternalUrl(value, siteUrl) {
+  const url = decodeUrl(value || '');
+  const absolute = url.startsWith('//') ? `https:${url}` : url;
+  if (!/^https?:\/\//i.test(absolute)) return null;
+
+  try {
+    return new URL(absolute).host === new URL(siteUrl).host ? null : absolute;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Split a srcset into its candidates ([{ url, descriptor }])
+ */
+function parseSrcset(srcset) {
+  return srcset.split(',').map(candidate => candidate.trim()).filter(Boolean).map(candidate => {
+    const [url, ...descriptor] = candidate.split(/\s+/);
+    return { url, descriptor: descriptor.join(' ') };
+  });
+}
+
+/**
+ * Move one external image into the media library, once per run
+ * An image already in the library (same bytes) reuses that attachment. Dry runs only check that the image can be downloaded.
+ */
+async function sideloadImage(url, apiInstance, clientConfig, runContext, createdMedia, reusedMedia) {
+  const cache = runContext.sideloadedImages || (runContext.sideloadedImages = new Map());
+  if (cache.has(url)) {
+    return { ...cache.get(url), reused: true };
+  }
+
+  let entry;
+  if (runContext.dryRun) {
+    const check = await checkMedia(url, runContext.mediaLibrary, clientConfig);
+    entry = {
+      source: url,
+      attachmentId: check.existingMediaId,
+      url: null,
+      existing: Boolean(check.existingMediaId),
+      bytesSaved: check.bytesSaved,
+      error: check.valid ? null : check.error,
+    };
+  } else {
+    const media = await uploadMediaItem(url, apiInstance, clientConfig, runContext.mediaLibrary);
+    entry = media
+      ? { source: url, attachmentId: media.id, url: media.url, existing: media.reused, bytesSaved: media.bytesSaved, error: null }
+      : { source: url, attachmentId: null, url: null, error: 'Image could not be downloaded or uploaded' };
+    // Attachments that were already in the library are not this run's to remove on rollback, but are recorded so
+    // rolling back the run that uploaded them keeps them
+    if (media) (media.reused ? reusedMedia : createdMedia).push(media.id);
+  }
+
+  cache.set(url, entry);
+  if (entry.url) runContext.uploadedMedia?.set(entry.url, entry.attachmentId);
+  return entry;
+}
+
+/**
+ * Move external <img> images of post content into the WordPress media library
+ * Each external src and srcset URL is uploaded once per run and rewritten to the attachment URL;
+ * the alt text and other attributes are kept. Images that fail keep their original URL.
+ * Returns { content, images } where images lists { source, attachmentId, url, existing, bytesSaved, error } per external
+ * URL; existing is set when the image was found in the media library instead of uploaded, and reused when an
+ * earlier row of the run already moved it.
+ * Attachments uploaded are added to createdMedia, and attachments already in the library to reusedMedia.
+ */
+export async function sideloadContentImages(html, apiInstance, clientConfig, runContext = {}, createdMedia = [], reusedMedia = []) {
+  const images = [];
+  const seen = new Set();
+  let content = html;
+
+  const moveImage = async (value) => {
+    const url = getExternalUrl(value, clientConfig.wp_site);
+    if (!url) return null;
+
+    const entry = await sideloadImage(url, apiInstance, clientConfig, runContext, createdMedia, reusedMedia);
+    if (!seen.has(url)) {
+      seen.add(url);
+      images.push(entry);
+      if (entry.error) {
+        console.error(`   ⚠️  Could not move image ${url}: ${entry.error}`);
+      } else if (entry.url) {
+        console.log(`   🖼️  ${entry.reused ? 'Reused moved image' : entry.existing ? 'Image already in media library' : 'Moved image'} ${url} → ${entry.url}`);
+      }
+    }
+    return entry.url ? entry : null;
+  };
+
+  for (const tag of new Set(html.match(IMG_TAG) || [])) {
+    let newTag = tag;
+
+    const src = getAttribute(tag, 'src');
+    const movedSrc = src ? await moveImage(src) : null;
+    if (movedSrc) {
+      newTag = setAttribute(newTag, 'src', movedSrc.url);
+
+      // Link the image to its attachment the way the block editor does
+      const classes = (getAttribute(newTag, 'class') || '').split(/\s+/).filter(c => c && !/^wp-image-\d+$/.test(c));
+      newTag = setAttribute(newTag, 'class', [...classes, `wp-image-${movedSrc.attachmentId}`].join(' '));
+    }
+
+    const srcset = getAttribute(tag, 'srcset');
+    if (srcset) {
+      const candidates = [];
+      let changed = false;
+      for (const candidate of parseSrcset(srcset)) {
+        const moved = await moveImage(candidate.url);
+        changed = changed || Boolean(moved);
+        candidates.push([moved ? moved.url : candidate.url, candidate.descriptor].filter(Boolean).join(' '));
+      }
+      if (changed) newTag = setAttribute(newTag, 'srcset', candidates.join(', '));
+    }
+
+    if (newTag !== tag) {
+      content = content.split(tag).join(newTag);
+    }
+  }
+
+  return { content, images };
+}
@@ -0,0 +1,221 @@
+import { renderRowContent } from './markdown.js';
+
+const SEVERITY_RANK = { info: 0, warning: 1, error: 2 };
+
+// Severities that can block a row; "off" never blocks
+const BLOCK_LEVELS = ['error', 'warning', 'off'];
+
+// Tags that do not belong in post content (WordPress strips most of them for users without unfiltered_html)
+export const DEFAULT_DISALLOWED_TAGS = [
+  'script', 'style', 'object', 'embed', 'applet', 'form', 'input', 'button', 'select', 'textarea',
+  'meta', 'link', 'base', 'frame', 'frameset',
+];
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+
+// Tags whose end tag HTML lets you leave out; leaving it out is reported as a warning only
+const OPTIONAL_END_TAGS = new Set(['p', 'li', 'dt', 'dd', 'tr', 'td', 'th', 'thead', 'tbody', 'tfoot', 'option', 'colgroup', 'rp', 'rt']);
+
+// Tags whose content is text, not markup
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+
+const TOKEN = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href'];
+
+/**
+ * Check a blocking severity ("error", "warning" or "off")
+ */
+export function normalizeLintBlock(value) {
+  const level = String(value || 'error').trim().toLowerCase();
+  if (!BLOCK_LEVELS.includes(level)) {
+    throw new Error(`Unknown lint blocking level "${value}". Use error, warning or off.`);
+  }
+  return level;
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  for (const match of source.matchAll(ATTRIBUTE)) {
+    attributes[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? '';
+  }
+  return attributes;
+}
+
+/**
+ * Decode the entities and strip the whitespace browsers ignore in a URL, so "jav&#x61;script:" is caught
+ */
+function normalizeUrl(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&tab;|&newline;/gi, '')
+    .replace(/[\u0000- ]/g, '');
+}
+
+function truncate(text, length = 60) {
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+/**
+ * Lint the HTML of a post
+ * Returns a list of { rule, severity, message } issues: unclosed tags (error, warning for tags with an optional
+ * end tag), images without alt (warning), more than one <h1> (warning), inline styles (warning), empty headings
+ * (warning), javascript: URLs (error) and disallowed tags (error).
+ */
+export function lintContent(html, { disallowedTags = DEFAULT_DISALLOWED_TAGS } = {}) {
+  const issues = [];
+  const add = (rule, severity, message) => issues.push({ rule, severity, message });
+  const disallowed = new Set(disallowedTags.map(tag => tag.toLowerCase()));
+
+  const stack = [];
+  const disallowedCounts = new Map();
+  let h1Count = 0;
+  let styledElements = 0;
+
+  const reportUnclosed = (element) => {
+    if (OPTIONAL_END_TAGS.has(element.name)) {
+      add('unclosed-tag', 'warning', `<${element.name}> is not closed`);
+    } else {
+      add('unclosed-tag', 'error', `<${element.name}> is not closed`);
+    }
+  };
+
+  TOKEN.lastIndex = 0;
+  let match;
+  while ((match = TOKEN.exec(html)) !== null) {
+    if (match[0].startsWith('<!--')) continue;
+
+    const [token, closing, rawName, attributeSource] = match;
+    const name = rawName.toLowerCase();
+
+    if (closing) {
+      const openIndex = stack.map(element => element.name).lastIndexOf(name);
+      if (openIndex === -1) {
+        if (!VOID_TAGS.has(name)) add('unclosed-tag', 'error', `</${name}> has no matching opening tag`);
+        continue;
+      }
+
+      // Elements opened inside this one and never closed
+      stack.splice(openIndex + 1).forEach(reportUnclosed);
+      const element = stack.pop();
+
+      if (/^h[1-6]$/.test(name)) {
+        const inner = html.slice(element.contentStart, match.index);
+        const text = inner.replace(/<[^>]*>/g, '').replace(/&nbsp;|&#160;/g, '').trim();
+        if (!text && !/<img\b/i.test(inner)) {
+          add('empty-heading', 'warning', `Empty <${name}> heading`);
+        }
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(attributeSource);
+
+    if (disallowed.has(name)) {
+      disallowedCounts.set(name, (disallowedCounts.get(name) || 0) + 1);
+    }
+    if (name === 'h1') h1Count++;
+    if ('style' in attributes) styledElements++;
+
+    if (name === 'img' && !('alt' in attributes)) {
+      add('img-alt', 'warning', `<img src="${truncate(attributes.src || '')}"> has no alt text`);
+    }
+
+    for (const attribute of URL_ATTRIBUTES) {
+      if (attributes[attribute] !== undefined && /^javascript:/i.test(normalizeUrl(attributes[attribute]))) {
+        add('javascript-url', 'error', `<${name} ${attribute}> uses a javascript: URL`);
+      }
+    }
+
+    const selfClosing = /\/\s*$/.test(attributeSource);
+    if (VOID_TAGS.has(name) || selfClosing) continue;
+
+    stack.push({ name, contentStart: match.index + token.length });
+
+    // Skip to the end tag of raw text elements so their content is not read as markup
+    if (RAW_TEXT_TAGS.has(name)) {
+      const end = html.toLowerCase().indexOf(`</${name}`, TOKEN.lastIndex);
+      if (end !== -1) TOKEN.lastIndex = end;
+    }
+  }
+  stack.forEach(reportUnclosed);
+
+  for (const [tag, count] of disallowedCounts) {
+    add('disallowed-tag', 'error', `Disallowed tag <${tag}>${count > 1 ? ` (${count}×)` : ''}`);
+  }
+  if (h1Count > 1) {
+    add('multiple-h1', 'warning', `${h1Count} <h1> headings (the theme already shows the title as the page's <h1>)`);
+  }
+  if (styledElements > 0) {
+    add('inline-style', 'warning', `${styledElements} element(s) with an inline style attribute`);
+  }
+
+  return issues.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+}
+
+/**
+ * Check whether a row's issues reach the blocking severity
+ */
+function isBlocked(issues, block) {
+  if (block === 'off') return false;
+  return issues.some(issue => SEVERITY_RANK[issue.severity] >= SEVERITY_RANK[block]);
+}
+
+/**
+ * Lint the content of every row before anything is sent
+ * Markdown content is linted after it is converted to HTML. settings: { block, disallowed_tags } of the site,
+ * contentFormat: the run's default content format.
+ * Returns { rows: [{ rowNumber, title, issues, errors, warnings, blocked }], errors, warnings, blockedRows, block }
+ */
+export function lintRows(rows, settings = {}, contentFormat = 'html') {
+  const block = normalizeLintBlock(settings.block);
+  const disallowedTags = settings.disallowed_tags || DEFAULT_DISALLOWED_TAGS;
+
+  const report = rows.map((row, index) => {
+    let issues = [];
+    if (row.content?.trim()) {
+      try {
+        issues = lintContent(renderRowContent(row.content.trim(), row, contentFormat), { disallowedTags });
+      } catch (error) {
+        issues = [{ rule: 'content-format', severity: 'error', message: error.message }];
+      }
+    }
+    return {
+      rowNumber: index + 1,
+      title: row.title || 'Untitled',
+      issues,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length,
+      blocked: isBlocked(issues, block),
+    };
+  });
+
+  return {
+    rows: report,
+    errors: report.reduce((sum, row) => sum + row.errors, 0),
+    warnings: report.reduce((sum, row) => sum + row.warnings, 0),
+    blockedRows: report.filter(row => row.blocked).length,
+    block,
+  };
+}
+
+/**
+ * Summarize a lint report in one line
+ */
+export function describeLintReport(report) {
+  if (report.errors === 0 && report.warnings === 0) {
+    return '✅ Content lint: no issues found';
+  }
+  const blocked = report.blockedRows > 0 ? `, ${report.blockedRows} row(s) blocked` : '';
+  return `🔎 Content lint: ${report.errors} error(s), ${report.warnings} warning(s)${blocked}`;
+}
+
+/**
+ * Get the error message of a row blocked by the lint
+ */
+export function describeBlockedRow(lintRow) {
+  const reasons = lintRow.issues.filter(issue => issue.severity === 'error' || lintRow.errors === 0).map(issue => issue.message);
+  return `Blocked by content lint: ${reasons.join('; ')}`;
+}
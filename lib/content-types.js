@@ -0,0 +1,122 @@
+// Used when the site does not expose /types or /taxonomies
+const DEFAULT_POST_TYPES = [
+  { slug: 'post', name: 'Posts', restBase: 'posts', taxonomies: ['category', 'post_tag'] },
+  { slug: 'page', name: 'Pages', restBase: 'pages', taxonomies: [] },
+];
+const DEFAULT_TAXONOMIES = [
+  { slug: 'category', name: 'Categories', restBase: 'categories', hierarchical: true },
+  { slug: 'post_tag', name: 'Tags', restBase: 'tags', hierarchical: false },
+];
+
+/**
+ * Build the lookup tables for a list of post types and taxonomies
+ */
+function createContentTypes(postTypes, taxonomies) {
+  return {
+    postTypes: new Map(postTypes.map(type => [type.slug, type])),
+    taxonomies: new Map(taxonomies.map(taxonomy => [taxonomy.slug, taxonomy])),
+  };
+}
+
+/**
+ * Get the built-in post types and taxonomies (posts, pages, categories and tags)
+ */
+export function getDefaultContentTypes() {
+  return createContentTypes(DEFAULT_POST_TYPES, DEFAULT_TAXONOMIES);
+}
+
+/**
+ * Load the REST-enabled post types and taxonomies of a site
+ * Falls back to the built-in types when the site does not expose them.
+ */
+export async function loadContentTypes(apiInstance) {
+  try {
+    const [typesResponse, taxonomiesResponse] = await Promise.all([
+      apiInstance.get('/types'),
+      apiInstance.get('/taxonomies'),
+    ]);
+
+    const postTypes = Object.values(typesResponse.data).map(type => ({
+      slug: type.slug,
+      name: type.name || type.slug,
+      restBase: type.rest_base || type.slug,
+      taxonomies: type.taxonomies || [],
+    }));
+    const taxonomies = Object.values(taxonomiesResponse.data).map(taxonomy => ({
+      slug: taxonomy.slug,
+      name: taxonomy.name || taxonomy.slug,
+      restBase: taxonomy.rest_base || taxonomy.slug,
+      hierarchical: Boolean(taxonomy.hierarchical),
+    }));
+
+    return createContentTypes(postTypes, taxonomies);
+  } catch (error) {
+    console.warn(`⚠️  Could not load post types and taxonomies (${error.message}). Only posts, pages, categories and tags are available.`);
+    return getDefaultContentTypes();
+  }
+}
+
+/**
+ * Find a post type by slug or REST base ("page" or "pages"), defaulting to posts
+ */
+export function resolvePostType(contentTypes, value) {
+  const name = (value || 'post').trim().toLowerCase();
+  const postType = contentTypes.postTypes.get(name)
+    || [...contentTypes.postTypes.values()].find(type => type.restBase === name);
+
+  if (!postType) {
+    const available = [...contentTypes.postTypes.keys()].join(', ');
+    throw new Error(`Unknown post type "${value}". Available post types: ${available}`);
+  }
+  return postType;
+}
+
+/**
+ * Find a taxonomy by slug or REST base ("post_tag" or "tags")
+ */
+export function resolveTaxonomy(contentTypes, value) {
+  const name = (value || '').trim().toLowerCase();
+  const taxonomy = contentTypes.taxonomies.get(name)
+    || [...contentTypes.taxonomies.values()].find(t => t.restBase === name);
+
+  if (!taxonomy) {
+    const available = [...contentTypes.taxonomies.keys()].join(', ');
+    throw new Error(`Unknown taxonomy "${value}". Available taxonomies: ${available}`);
+  }
+  return taxonomy;
+}
+
+/**
+ * Check whether a taxonomy (by REST base) supports nested terms
+ */
+export function isHierarchicalTaxonomy(contentTypes, restBase) {
+  return [...(contentTypes || getDefaultContentTypes()).taxonomies.values()]
+    .some(taxonomy => taxonomy.restBase === restBase && taxonomy.hierarchical);
+}
+
+/**
+ * Collect the taxonomy terms a row assigns, from the categories and tags columns and any tax:<taxonomy> columns
+ * Returns [{ taxonomy, value }] where taxonomy is the resolved taxonomy. Throws when the post type
+ * does not support a taxonomy the row uses.
+ */
+export function getRowTaxonomies(row, contentTypes, postType) {
+  const columns = [['category', row.categories], ['post_tag', row.tags]];
+  for (const [key, value] of Object.entries(row)) {
+    if (key.startsWith('tax:')) {
+      columns.push([key.slice(4), value]);
+    }
+  }
+
+  const assignments = [];
+  for (const [name, value] of columns) {
+    if (!value?.trim()) continue;
+
+    const taxonomy = resolveTaxonomy(contentTypes, name);
+    if (!postType.taxonomies.includes(taxonomy.slug)) {
+      throw new Error(`Post type "${postType.slug}" does not support the ${taxonomy.slug} taxonomy`);
+    }
+    assignments.push({ taxonomy, value });
+  }
+
+  return assignments;
+}
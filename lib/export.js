@@ -0,0 +1,237 @@
+import { loadContentTypes, resolvePostType } from './content-types.js';
+import { SEO_COLUMNS, detectSeoPlugin, getSeoColumns } from './seo.js';
+import { joinTermNames } from './terms.js';
+
+// Statuses a post can be exported with ("any" is every status but trash)
+const EXPORT_STATUSES = ['publish', 'future', 'draft', 'pending', 'private'];
+
+/**
+ * Decode the HTML entities WordPress adds to term names ("Food &amp; Drink")
+ */
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&#0?39;|&#8217;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Read a YYYY-MM-DD date filter
+ */
+function parseDateFilter(name, value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new Error(`Invalid ${name} date "${value}". Use YYYY-MM-DD.`);
+  }
+  return value;
+}
+
+/**
+ * Check the filters of an export
+ * filters: { type, status (comma-separated), category, tag, search, after, before } (all optional). Blank values
+ * are left out; after and before are YYYY-MM-DD publish dates (inclusive).
+ */
+export function normalizeExportFilters(filters = {}) {
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+  const normalized = {
+    type: text(filters.type),
+    status: 'any',
+    category: text(filters.category),
+    tag: text(filters.tag),
+    search: text(filters.search),
+    after: text(filters.after) && parseDateFilter('after', text(filters.after)),
+    before: text(filters.before) && parseDateFilter('before', text(filters.before)),
+  };
+
+  if (text(filters.status) && text(filters.status).toLowerCase() !== 'any') {
+    const statuses = text(filters.status).toLowerCase().split(',').map(status => status.trim()).filter(Boolean);
+    const unknown = statuses.filter(status => !EXPORT_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown status "${unknown[0]}". Use ${EXPORT_STATUSES.join(', ')} or any.`);
+    }
+    normalized.status = statuses.join(',');
+  }
+  return normalized;
+}
+
+/**
+ * Load every term of a taxonomy ({ id → { id, name, slug, parent } })
+ */
+async function loadTerms(apiInstance, restBase) {
+  const terms = new Map();
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const response = await apiInstance.get(`/${restBase}`, {
+      params: { per_page: 100, page, hide_empty: false, _fields: 'id,name,slug,parent' },
+    });
+    totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+    response.data.forEach(term => terms.set(term.id, { ...term, name: decodeEntities(term.name) }));
+    page++;
+  } while (page <= totalPages);
+  return terms;
+}
+
+/**
+ * Get a term's name as the update columns take it: with its parents for hierarchical taxonomies ("Food > Brunch")
+ */
+function termName(terms, id, hierarchical) {
+  const term = terms.get(id);
+  if (!term) return null;
+  if (!hierarchical) return term.name;
+
+  const names = [term.name];
+  const seen = new Set([term.id]);
+  let parent = terms.get(term.parent);
+  while (parent && !seen.has(parent.id)) {
+    names.unshift(parent.name);
+    seen.add(parent.id);
+    parent = terms.get(parent.parent);
+  }
+  return names.join(' > ');
+}
+
+/**
+ * Find the ID of a term filter (ID, slug or name)
+ */
+function findTermId(terms, value, label) {
+  const key = value.toLowerCase();
+  const term = [...terms.values()].find(candidate => String(candidate.id) === value || candidate.slug === key || candidate.name.toLowerCase() === key);
+  if (!term) throw new Error(`${label} "${value}" not found`);
+  return term.id;
+}
+
+/**
+ * Get the source URLs of attachments ({ id → url }), 100 at a time
+ */
+async function loadMediaUrls(apiInstance, ids) {
+  const urls = new Map();
+  const unique = [...new Set(ids.filter(Boolean))];
+  for (let i = 0; i < unique.length; i += 100) {
+    const response = await apiInstance.get('/media', {
+      params: { include: unique.slice(i, i + 100).join(','), per_page: 100, _fields: 'id,source_url' },
+    });
+    response.data.forEach(media => urls.set(media.id, media.source_url));
+  }
+  return urls;
+}
+
+/**
+ * Export posts as rows in the column format of bulk-update.js
+ * Columns: post_id, post_type, title, content, status, slug, excerpt, the taxonomies of the post type (categories,
+ * tags, tax:<taxonomy>, terms by name), featured_image_url, acf_json (when the site exposes ACF fields) and the SEO
+ * columns of the site's SEO plugin. Content, title and excerpt are the raw (editable) values.
+ * Returns { columns, rows, postType, seoPlugin }.
+ */
+export async function exportPosts(apiInstance, clientConfig, filters = {}, progressCallback = null) {
+  const options = normalizeExportFilters(filters);
+  const contentTypes = await loadContentTypes(apiInstance);
+  const postType = resolvePostType(contentTypes, options.type);
+
+  // The post type's taxonomies, each exported under the column bulk-update.js reads it from
+  const taxonomies = [...contentTypes.taxonomies.values()]
+    .filter(taxonomy => postType.taxonomies.includes(taxonomy.slug))
+    .map(taxonomy => ({
+      ...taxonomy,
+      column: taxonomy.slug === 'category' ? 'categories' : taxonomy.slug === 'post_tag' ? 'tags' : `tax:${taxonomy.slug}`,
+    }));
+  const terms = new Map();
+  for (const taxonomy of taxonomies) {
+    terms.set(taxonomy.restBase, await loadTerms(apiInstance, taxonomy.restBase));
+  }
+
+  const params = { per_page: 100, context: 'edit', status: options.status, orderby: 'date', order: 'desc' };
+  if (options.search) params.search = options.search;
+  if (options.after) params.after = `${options.after}T00:00:00`;
+  if (options.before) params.before = `${options.before}T23:59:59`;
+  if (options.category) {
+    if (!terms.has('categories')) throw new Error(`Post type "${postType.slug}" has no categories`);
+    params.categories = findTermId(terms.get('categories'), options.category, 'Category');
+  }
+  if (options.tag) {
+    if (!terms.has('tags')) throw new Error(`Post type "${postType.slug}" has no tags`);
+    params.tags = findTermId(terms.get('tags'), options.tag, 'Tag');
+  }
+
+  const posts = [];
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const response = await apiInstance.get(`/${postType.restBase}`, { params: { ...params, page } });
+    totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+    posts.push(...response.data);
+    if (progressCallback && totalPages > 1) {
+      progressCallback({ type: 'info', message: `📥 Fetching ${postType.restBase}: page ${page} of ${totalPages}` });
+    }
+    page++;
+  } while (page <= totalPages);
+
+  const mediaUrls = await loadMediaUrls(apiInstance, posts.map(post => post.featured_media));
+  const seoPlugin = posts.length > 0 ? await detectSeoPlugin(apiInstance, clientConfig) : null;
+  const hasAcf = posts.some(post => post.acf && !Array.isArray(post.acf));
+
+  const columns = [
+    'post_id', 'post_type', 'title', 'content', 'status', 'slug', 'excerpt',
+    ...taxonomies.map(taxonomy => taxonomy.column),
+    'featured_image_url',
+    ...(hasAcf ? ['acf_json'] : []),
+    ...(seoPlugin ? SEO_COLUMNS : []),
+  ];
+
+  const rows = posts.map(post => {
+    const row = {
+      post_id: String(post.id),
+      post_type: postType.slug,
+      title: post.title?.raw ?? post.title?.rendered ?? '',
+      content: post.content?.raw ?? post.content?.rendered ?? '',
+      status: post.status,
+      slug: post.slug,
+      excerpt: post.excerpt?.raw ?? '',
+      featured_image_url: mediaUrls.get(post.featured_media) || '',
+    };
+    for (const taxonomy of taxonomies) {
+      row[taxonomy.column] = joinTermNames((post[taxonomy.restBase] || [])
+        .map(id => termName(terms.get(taxonomy.restBase), id, taxonomy.hierarchical))
+        .filter(Boolean));
+    }
+    if (hasAcf) {
+      row.acf_json = post.acf && !Array.isArray(post.acf) && Object.keys(post.acf).length > 0 ? JSON.stringify(post.acf) : '';
+    }
+    if (seoPlugin) {
+      Object.assign(row, Object.fromEntries(SEO_COLUMNS.map(column => [column, ''])), getSeoColumns(post, seoPlugin));
+    }
+    return row;
+  });
+
+  return { columns, rows, postType, seoPlugin };
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote, line break or leading/trailing space
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV text (header row first, CRLF line endings)
+ * Starts with a UTF-8 byte order mark so Excel does not read accented characters as Windows-1252;
+ * the CSV reader skips it.
+ */
+export function toCsv(columns, rows) {
+  const lines = [columns.map(csvField).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvField(row[column])).join(','));
+  }
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Name an export file, e.g. "export-acme-posts-2025-03-14.csv"
+ */
+export function getExportFileName(clientConfig, postType) {
+  const date = new Date().toISOString().slice(0, 10);
+  return `export-${clientConfig.id || 'default'}-${postType.restBase}-${date}.csv`;
+}
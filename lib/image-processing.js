@@ -0,0 +1,83 @@
+import path from 'path';
+
+// Formats that are re-encoded; animated GIFs and SVGs are uploaded as they are
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff', 'image/avif'];
+
+const OUTPUT_TYPES = {
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+};
+
+let sharp = null;
+
+/**
+ * Load sharp the first time an image is processed
+ */
+async function loadSharp() {
+  if (!sharp) {
+    try {
+      sharp = (await import('sharp')).default;
+    } catch (error) {
+      throw new Error(`Image processing needs the sharp package (npm install sharp): ${error.message}`);
+    }
+  }
+  return sharp;
+}
+
+/**
+ * Resize, strip metadata from and re-encode an image before it is uploaded
+ * - Rotates the pixels to match the EXIF orientation, then drops EXIF, GPS and other metadata
+ * - Scales down to settings.max_width (never up)
+ * - Encodes to settings.format: webp, jpeg, or original (same format, JPEG and WebP capped at settings.quality)
+ * Returns a new { buffer, fileName, mimeType, originalBytes } source, or the source unchanged when
+ * processing is off, the format is not processed, or processing fails. An image that needs no resize, format
+ * change or metadata stripping is also kept as it is when re-encoding does not make it smaller.
+ */
+export async function processImage(source, settings) {
+  if (!settings?.enabled || !PROCESSABLE_TYPES.includes(source.mimeType)) {
+    return source;
+  }
+
+  try {
+    const sharpImage = await loadSharp();
+    let image = sharpImage(source.buffer, { failOn: 'none' }).rotate();
+    const metadata = await image.metadata();
+    // Orientations 5-8 turn the image on its side, so its height becomes the width
+    const width = metadata.orientation >= 5 ? metadata.height : metadata.width;
+
+    if (settings.max_width) {
+      image = image.resize({ width: settings.max_width, withoutEnlargement: true });
+    }
+
+    const format = OUTPUT_TYPES[settings.format] ? settings.format : source.mimeType.split('/')[1];
+    if (format === 'webp') {
+      image = image.webp({ quality: settings.quality });
+    } else if (format === 'jpeg') {
+      image = image.jpeg({ quality: settings.quality, mozjpeg: true });
+    } else {
+      image = image.toFormat(format);
+    }
+
+    const buffer = await image.toBuffer();
+    const output = OUTPUT_TYPES[format];
+
+    const resized = Boolean(settings.max_width) && width > settings.max_width;
+    const converted = Boolean(output) && output.mimeType !== source.mimeType;
+    const hasMetadata = Boolean(metadata.exif || metadata.xmp || metadata.iptc);
+    if (buffer.length >= source.buffer.length && !resized && !converted && !hasMetadata) {
+      return source;
+    }
+
+    return {
+      buffer,
+      fileName: output
+        ? `${path.basename(source.fileName, path.extname(source.fileName))}.${output.extension}`
+        : source.fileName,
+      mimeType: output ? output.mimeType : source.mimeType,
+      originalBytes: source.buffer.length,
+    };
+  } catch (error) {
+    console.warn(`⚠️  Could not process image ${source.fileName} (${error.message}). Uploading the original.`);
+    return source;
+  }
+}
@@ -0,0 +1,255 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Use /tmp on Vercel (serverless), or jobs/ in the project root for local development
+const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+const JOBS_DIR = isVercel ? path.join('/tmp', 'jobs') : path.resolve(__dirname, '..', 'jobs');
+
+// Keep at most this many progress events per job for replay to late SSE subscribers
+const MAX_EVENTS = 1000;
+const MAX_LISTED_JOBS = 50;
+
+const jobs = new Map();
+const listeners = new Map();
+const queue = [];
+let isProcessing = false;
+
+/**
+ * Generate a job ID
+ */
+function generateJobId() {
+  return Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Persist a job snapshot so it can still be listed after a restart
+ */
+function saveJob(job) {
+  try {
+    if (!fs.existsSync(JOBS_DIR)) {
+      fs.mkdirSync(JOBS_DIR, { recursive: true });
+    }
+    fs.writeFileSync(path.join(JOBS_DIR, `${job.id}.json`), JSON.stringify(job, null, 2));
+  } catch (error) {
+    console.warn(`⚠️  Could not save job ${job.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Load jobs persisted by a previous process
+ * Jobs that were still queued or running when the process stopped are marked as interrupted.
+ */
+function loadSavedJobs() {
+  if (!fs.existsSync(JOBS_DIR)) return;
+
+  for (const file of fs.readdirSync(JOBS_DIR)) {
+    if (!file.endsWith('.json')) continue;
+    try {
+      const job = JSON.parse(fs.readFileSync(path.join(JOBS_DIR, file), 'utf-8'));
+      if (job.state === 'queued' || job.state === 'running') {
+        job.state = 'interrupted';
+        job.error = 'The server stopped before this job finished';
+        job.finishedAt = job.finishedAt || new Date().toISOString();
+        saveJob(job);
+      }
+      jobs.set(job.id, job);
+    } catch (error) {
+      console.warn(`⚠️  Could not read job file ${file}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Send an event to everyone following a job and keep it for replay
+ */
+function emit(job, event) {
+  const stamped = { ...event, jobId: job.id, timestamp: new Date().toISOString() };
+  job.events.push(stamped);
+  if (job.events.length > MAX_EVENTS) {
+    job.events.splice(0, job.events.length - MAX_EVENTS);
+  }
+
+  const jobListeners = listeners.get(job.id);
+  if (jobListeners) {
+    jobListeners.forEach(listener => {
+      try {
+        listener(stamped);
+      } catch (error) {
+        console.error('Error sending job event:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Update job counts and per-row results from a progress event
+ */
+function trackProgress(job, progress) {
+  if (progress.total !== undefined) {
+    job.counts.total = progress.total;
+  }
+
+  if (progress.rowNumber !== undefined && (progress.type === 'success' || progress.type === 'error')) {
+    job.results.push({
+      rowNumber: progress.rowNumber,
+      title: progress.title,
+      postId: progress.postId || null,
+      error: progress.error || null,
+    });
+    job.counts.processed++;
+    if (progress.type === 'success') {
+      job.counts.success++;
+    } else {
+      job.counts.failed++;
+    }
+  }
+}
+
+/**
+ * Run queued jobs one at a time
+ * Runs share the WordPress request delay and module-level run state, so they never overlap.
+ */
+async function processQueue() {
+  if (isProcessing) return;
+  isProcessing = true;
+
+  while (queue.length > 0) {
+    const { job, task } = queue.shift();
+
+    job.state = 'running';
+    job.startedAt = new Date().toISOString();
+    saveJob(job);
+    emit(job, { type: 'job', state: job.state, message: `▶️ Job started (${job.type})` });
+
+    try {
+      const summary = await task((progress) => {
+        trackProgress(job, progress);
+        emit(job, progress);
+      });
+
+      job.state = 'completed';
+      job.summary = summary;
+      job.results = summary?.results || job.results;
+      if (summary) {
+        job.counts = {
+          total: summary.total,
+          processed: summary.results?.length ?? job.counts.processed,
+          success: summary.success,
+          failed: summary.failed,
+        };
+      }
+    } catch (error) {
+      job.state = 'failed';
+      job.error = error.message || 'Job failed';
+      console.error(`Job ${job.id} failed:`, error);
+    }
+
+    job.finishedAt = new Date().toISOString();
+    saveJob(job);
+    emit(job, {
+      type: job.state === 'completed' ? 'complete' : 'failed',
+      state: job.state,
+      message: job.state === 'completed' ? '🏁 Job completed' : `❌ Job failed: ${job.error}`,
+      error: job.error,
+    });
+  }
+
+  isProcessing = false;
+}
+
+/**
+ * Queue a new job
+ * The task receives a progress callback and resolves with the run summary.
+ */
+export function enqueueJob({ type, clientId = null, fileName = null, options = {} }, task) {
+  const job = {
+    id: generateJobId(),
+    type,
+    state: 'queued',
+    clientId,
+    fileName,
+    options,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null,
+    counts: { total: 0, processed: 0, success: 0, failed: 0 },
+    results: [],
+    summary: null,
+    error: null,
+    events: [],
+  };
+
+  jobs.set(job.id, job);
+  saveJob(job);
+  // The job being run has already left the queue but is still ahead of this one
+  const ahead = queue.length + (isProcessing ? 1 : 0);
+  emit(job, { type: 'job', state: job.state, message: `⏳ Job queued (${ahead} ahead)` });
+
+  queue.push({ job, task });
+  processQueue();
+
+  return job;
+}
+
+/**
+ * Get a job by ID
+ */
+export function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+/**
+ * Find a queued or running job of a type whose options match, or null
+ */
+export function findActiveJob(type, options) {
+  for (const job of jobs.values()) {
+    if (job.type === type && !isJobFinished(job) && Object.entries(options).every(([key, value]) => job.options?.[key] === value)) {
+      return job;
+    }
+  }
+  return null;
+}
+
+/**
+ * List recent jobs (newest first) without their event history or per-row results
+ */
+export function listJobs(limit = MAX_LISTED_JOBS) {
+  return Array.from(jobs.values())
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(({ events, results, summary, ...job }) => job);
+}
+
+/**
+ * Follow a job's progress events
+ * Returns an unsubscribe function.
+ */
+export function subscribeToJob(jobId, listener) {
+  if (!listeners.has(jobId)) {
+    listeners.set(jobId, new Set());
+  }
+  listeners.get(jobId).add(listener);
+
+  return () => {
+    const jobListeners = listeners.get(jobId);
+    if (jobListeners) {
+      jobListeners.delete(listener);
+      if (jobListeners.size === 0) {
+        listeners.delete(jobId);
+      }
+    }
+  };
+}
+
+/**
+ * Check whether a job has finished (successfully or not)
+ */
+export function isJobFinished(job) {
+  return ['completed', 'failed', 'interrupted'].includes(job.state);
+}
+
+loadSavedJobs();
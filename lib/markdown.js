@@ -0,0 +1,107 @@
+import fs from 'fs';
+import path from 'path';
+import { marked } from 'marked';
+import YAML from 'yaml';
+
+const CONTENT_FORMATS = ['html', 'markdown'];
+
+/**
+ * Check a content format name ("html" or "markdown", "md" accepted), defaulting to html
+ */
+export function normalizeContentFormat(value) {
+  const format = (value || 'html').trim().toLowerCase();
+  const normalized = format === 'md' ? 'markdown' : format;
+  if (!CONTENT_FORMATS.includes(normalized)) {
+    throw new Error(`Unknown content format "${value}". Use html or markdown.`);
+  }
+  return normalized;
+}
+
+/**
+ * Convert Markdown to HTML (GitHub-flavored: tables, fenced code, strikethrough and autolinks)
+ */
+export function renderMarkdown(markdown) {
+  return marked.parse(markdown, { gfm: true, async: false }).trim();
+}
+
+/**
+ * Get the HTML to send for a row's content
+ * The row's content_format column wins over the run's default format.
+ */
+export function renderRowContent(content, row, defaultFormat = 'html') {
+  const format = normalizeContentFormat(row.content_format?.trim() || defaultFormat);
+  return format === 'markdown' ? renderMarkdown(content) : content;
+}
+
+/**
+ * Convert a front-matter value to a CSV-style cell
+ * Lists become comma-separated values, dates become "YYYY-MM-DD HH:MM" and objects become JSON.
+ */
+function toCellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toCellValue).join(', ');
+  if (value instanceof Date) return value.toISOString().slice(0, 16).replace('T', ' ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Parse a Markdown file with optional YAML front-matter into a row
+ * Front-matter keys map to the CSV columns (an acf key maps to acf_json) and the body becomes the
+ * Markdown content. Without a title key, a leading "# Heading" is used as the title.
+ */
+export function parseMarkdownFile(text, fileName) {
+  const source = text.replace(/^\uFEFF/, '');
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/);
+
+  let frontMatter = {};
+  if (match) {
+    try {
+      frontMatter = YAML.parse(match[1]) || {};
+    } catch (error) {
+      throw new Error(`Invalid front-matter in ${fileName}: ${error.message}`);
+    }
+    if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+      throw new Error(`Invalid front-matter in ${fileName}: expected key: value pairs`);
+    }
+  }
+
+  const row = {};
+  for (const [key, value] of Object.entries(frontMatter)) {
+    row[key === 'acf' ? 'acf_json' : key] = toCellValue(value);
+  }
+
+  let body = (match ? source.slice(match[0].length) : source).trim();
+  if (!row.title) {
+    const heading = body.match(/^#\s+(.+?)\s*#*\s*(?:\r?\n|$)/);
+    if (heading) {
+      row.title = heading[1];
+      body = body.slice(heading[0].length).trim();
+    }
+  }
+
+  row.content = body;
+  row.content_format = row.content_format || 'markdown';
+  return row;
+}
+
+/**
+ * List the .md files of a folder in name order
+ */
+export function listMarkdownFiles(folderPath) {
+  return fs.readdirSync(folderPath)
+    .filter(file => /\.(md|markdown)$/i.test(file))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(file => path.join(folderPath, file));
+}
+
+/**
+ * Load a folder of Markdown files as rows, one row per file
+ */
+export function loadMarkdownFolder(folderPath) {
+  const files = listMarkdownFiles(folderPath);
+  if (files.length === 0) {
+    throw new Error(`No .md files found in ${folderPath}`);
+  }
+  return files.map(file => parseMarkdownFile(fs.readFileSync(file, 'utf-8'), path.basename(file)));
+}
@@ -0,0 +1,172 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Use /tmp on Vercel (serverless), or media-hashes/ in the project root for local development
+const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+const HASHES_DIR = isVercel ? path.join('/tmp', 'media-hashes') : path.resolve(__dirname, '..', 'media-hashes');
+
+/**
+ * Hash image bytes for duplicate detection
+ */
+export function hashImage(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Get the path of a site's hash file
+ */
+function hashFilePath(clientId) {
+  return path.join(HASHES_DIR, `${path.basename(clientId || 'default')}.json`);
+}
+
+/**
+ * Load the stored hashes of a site's attachments
+ * A file written for a different site URL is ignored.
+ */
+function readHashFile(clientConfig) {
+  const filePath = hashFilePath(clientConfig.id);
+  if (!fs.existsSync(filePath)) return {};
+
+  try {
+    const stored = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return stored.site === clientConfig.wp_site ? stored.attachments || {} : {};
+  } catch (error) {
+    console.warn(`⚠️  Could not read media hashes for ${clientConfig.id}: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * Save a site's attachment hashes
+ */
+function writeHashFile(library) {
+  try {
+    if (!fs.existsSync(HASHES_DIR)) {
+      fs.mkdirSync(HASHES_DIR, { recursive: true });
+    }
+    fs.writeFileSync(hashFilePath(library.clientId), JSON.stringify({
+      site: library.site,
+      updatedAt: new Date().toISOString(),
+      attachments: library.attachments,
+    }, null, 2));
+  } catch (error) {
+    console.warn(`⚠️  Could not save media hashes: ${error.message}`);
+  }
+}
+
+/**
+ * Add an attachment to the hash lookup; the oldest attachment with a hash wins
+ */
+function indexAttachment(library, id, { hash, url }) {
+  if (!hash) return;
+  const existing = library.byHash.get(hash);
+  if (!existing || existing.id > id) {
+    library.byHash.set(hash, { id, url });
+  }
+}
+
+/**
+ * Download the bytes of an existing attachment, or null when it cannot be read
+ */
+async function downloadAttachment(url) {
+  try {
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load a site's media library index (content hash → attachment)
+ * Hashes are kept in media-hashes/<client>.json between runs. Every load lists the library's images:
+ * attachments without a stored hash are downloaded and hashed once, deleted ones are dropped.
+ */
+export async function loadMediaLibrary(apiInstance, clientConfig, progressCallback = null) {
+  const stored = readHashFile(clientConfig);
+  const library = {
+    clientId: clientConfig.id,
+    site: clientConfig.wp_site,
+    attachments: {},
+    byHash: new Map(),
+  };
+
+  const missing = [];
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const response = await apiInstance.get('/media', {
+      params: { per_page: 100, page, media_type: 'image', _fields: 'id,source_url' },
+    });
+    totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+
+    for (const item of response.data) {
+      const known = stored[item.id];
+      if (known && known.url === item.source_url) {
+        library.attachments[item.id] = known;
+      } else {
+        missing.push(item);
+      }
+    }
+    page++;
+  } while (page <= totalPages);
+
+  if (missing.length > 0 && progressCallback) {
+    progressCallback({ type: 'info', message: `🔎 Hashing ${missing.length} media library image(s) for duplicate detection...` });
+  }
+  for (const item of missing) {
+    const buffer = await downloadAttachment(item.source_url);
+    // Unreadable files are remembered without a hash so they are not downloaded on every run
+    library.attachments[item.id] = { hash: buffer ? hashImage(buffer) : null, url: item.source_url };
+  }
+
+  for (const [id, attachment] of Object.entries(library.attachments)) {
+    indexAttachment(library, Number(id), attachment);
+  }
+
+  writeHashFile(library);
+  return library;
+}
+
+/**
+ * Get the run's media library index, loading it the first time a row has an image
+ * The index is kept in runContext.mediaLibrary.
+ */
+export async function getMediaLibrary(runContext, apiInstance, clientConfig, progressCallback = null) {
+  if (!runContext.mediaLibrary) {
+    try {
+      runContext.mediaLibrary = await loadMediaLibrary(apiInstance, clientConfig, progressCallback);
+      if (progressCallback) {
+        progressCallback({ type: 'info', message: `✅ Indexed ${runContext.mediaLibrary.byHash.size} existing image(s) in the media library` });
+      }
+    } catch (error) {
+      // Without the index images are uploaded as before
+      console.warn(`⚠️  Could not index the media library (${error.message}). Images will not be deduplicated.`);
+      runContext.mediaLibrary = { clientId: clientConfig.id, site: clientConfig.wp_site, attachments: {}, byHash: new Map(), unavailable: true };
+    }
+  }
+  return runContext.mediaLibrary;
+}
+
+/**
+ * Find an attachment with the same content
+ */
+export function findMediaByHash(library, hash) {
+  return library?.byHash.get(hash) || null;
+}
+
+/**
+ * Remember a newly uploaded attachment so later rows and runs reuse it
+ */
+export function recordMedia(library, id, url, hash) {
+  if (!library || library.unavailable) return;
+  library.attachments[id] = { hash, url };
+  indexAttachment(library, id, { hash, url });
+  writeHashFile(library);
+}
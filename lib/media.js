@@ -0,0 +1,305 @@
+import axios from 'axios';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import mime from 'mime-types';
+import { hashImage, findMediaByHash, recordMedia } from './media-library.js';
+import { processImage } from './image-processing.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Local image paths in CSV rows are relative to the project root
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a media reference is a remote URL
+ */
+function isRemoteUrl(filePathOrUrl) {
+  return filePathOrUrl.startsWith('http://') || filePathOrUrl.startsWith('https://');
+}
+
+/**
+ * Convert Google Drive URL to direct download URL
+ */
+export function convertGoogleDriveUrl(url) {
+  if (!url) return url;
+
+  // Check if it's a Google Drive URL
+  if (url.includes('drive.google.com')) {
+    // Try to extract the ID
+    // Matches /file/d/ID/view or /open?id=ID
+    const idMatch = url.match(/\/d\/([a-zA-Z0-9_-]+)/) || url.match(/id=([a-zA-Z0-9_-]+)/);
+
+    if (idMatch && idMatch[1]) {
+      const fileId = idMatch[1];
+      console.log(`   🔄 Converting Google Drive URL to direct link (ID: ${fileId})`);
+      return `https://drive.google.com/uc?export=download&id=${fileId}`;
+    }
+  }
+
+  return url;
+}
+
+/**
+ * Download image from URL
+ */
+export async function downloadImageFromUrl(imageUrl) {
+  try {
+    const response = await axios.get(imageUrl, {
+      responseType: 'arraybuffer',
+      timeout: 30000,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
+      }
+    });
+
+    const contentType = response.headers['content-type'];
+
+    // Check for HTML content (indicates error/login page)
+    if (contentType && contentType.includes('text/html')) {
+      console.warn(`⚠️  Downloaded content is HTML, not an image. This usually means the Google Drive link is private.`);
+      console.warn(`   URL: ${imageUrl}`);
+      console.warn(`   Action: Please change permissions to "Anyone with the link" on Google Drive.`);
+      return null;
+    }
+
+    let fileName = 'image.jpg';
+    const contentDisposition = response.headers['content-disposition'];
+
+    // Try to get filename from Content-Disposition
+    if (contentDisposition) {
+      const filenameMatch = contentDisposition.match(/filename="?([^"]+)"?/);
+      if (filenameMatch && filenameMatch[1]) {
+        fileName = filenameMatch[1];
+      }
+    } else {
+      // Fallback to URL path
+      const urlPath = new URL(imageUrl).pathname;
+      fileName = path.basename(urlPath) || 'image';
+    }
+
+    // Ensure filename has correct extension based on Content-Type
+    const extFromMime = mime.extension(contentType);
+    if (extFromMime) {
+      const currentExt = path.extname(fileName).replace('.', '');
+      if (currentExt !== extFromMime) {
+        // If no extension or wrong extension, append the correct one
+        if (!currentExt || currentExt === 'uc') { // 'uc' is common for GDrive export links
+          fileName = `${fileName}.${extFromMime}`;
+        } else {
+          // Replace extension
+          fileName = fileName.replace(new RegExp(`\\.${currentExt}$`), `.${extFromMime}`);
+        }
+      }
+    }
+
+    return {
+      buffer: Buffer.from(response.data),
+      mimeType: contentType || mime.lookup(imageUrl) || 'image/jpeg',
+      fileName: fileName,
+    };
+  } catch (error) {
+    console.error(`⚠️  Failed to download image from URL "${imageUrl}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Load image bytes from a local file path or URL
+ * Returns { buffer, fileName, mimeType } or null when the image is unavailable
+ */
+async function loadMediaSource(filePathOrUrl) {
+  let processedUrl = filePathOrUrl.trim();
+
+  if (isRemoteUrl(processedUrl)) {
+    // Handle Google Drive URLs
+    processedUrl = convertGoogleDriveUrl(processedUrl);
+    return downloadImageFromUrl(processedUrl);
+  }
+
+  // Local file path
+  const fullPath = path.resolve(ROOT_DIR, processedUrl);
+
+  if (!fs.existsSync(fullPath)) {
+    console.error(`⚠️  Image file not found: ${fullPath}`);
+    return null;
+  }
+
+  return {
+    buffer: fs.readFileSync(fullPath),
+    fileName: path.basename(fullPath),
+    mimeType: mime.lookup(fullPath) || 'application/octet-stream',
+  };
+}
+
+/**
+ * Upload an image to the WordPress media library (from local file or URL)
+ * The image is first resized and re-encoded when the site has image processing turned on. With a media
+ * library index, an image whose (processed) bytes match an existing attachment reuses it instead.
+ * Returns { id, url, reused, originalBytes, bytes, bytesSaved } of the attachment, or null when the image could not be
+ * loaded or uploaded; originalBytes and bytes are the sizes before and after processing, and bytesSaved what
+ * processing saved on the upload (0 for a reused attachment, never negative)
+ */
+export async function uploadMediaItem(filePathOrUrl, apiInstance, clientConfig, mediaLibrary = null) {
+  if (!filePathOrUrl || !filePathOrUrl.trim()) return null;
+
+  const original = await loadMediaSource(filePathOrUrl);
+  if (!original) return null;
+
+  const source = await processImage(original, clientConfig.image_processing);
+  const sizes = { originalBytes: original.buffer.length, bytes: source.buffer.length };
+  const bytesSaved = Math.max(0, sizes.originalBytes - sizes.bytes);
+
+  const hash = hashImage(source.buffer);
+  const existing = findMediaByHash(mediaLibrary, hash);
+  if (existing) {
+    console.log(`   ♻️  Reusing attachment ${existing.id} (the same image is already in the media library)`);
+    return { id: existing.id, url: existing.url, reused: true, ...sizes, bytesSaved: 0 };
+  }
+
+  try {
+    await sleep(clientConfig.request_delay_ms);
+
+    const response = await apiInstance.post('/media', source.buffer, {
+      headers: {
+        'Content-Type': source.mimeType,
+        'Content-Disposition': `attachment; filename="${source.fileName}"`,
+      },
+      maxBodyLength: Infinity,
+      maxContentLength: Infinity,
+    });
+
+    if (source !== original) {
+      console.log(`   🗜️  Processed ${source.fileName}: ${formatBytes(sizes.originalBytes)} → ${formatBytes(sizes.bytes)}`);
+    }
+
+    recordMedia(mediaLibrary, response.data.id, response.data.source_url, hash);
+    return { id: response.data.id, url: response.data.source_url, reused: false, ...sizes, bytesSaved };
+  } catch (error) {
+    console.error(`⚠️  Failed to upload media "${filePathOrUrl}": ${error.message}`);
+    if (error.response?.data) {
+      console.error(`   Error details: ${JSON.stringify(error.response.data)}`);
+    }
+    return null;
+  }
+}
+
+/**
+ * Format a byte count for logs ("1.4 MB", "320 KB")
+ */
+export function formatBytes(bytes) {
+  if (Math.abs(bytes) >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${Math.round(bytes / 1024)} KB`;
+}
+
+// Row columns that set attachment fields of the featured image
+const MEDIA_DETAIL_COLUMNS = [
+  ['featured_image_alt', 'alt_text'],
+  ['featured_image_caption', 'caption'],
+  ['featured_image_title', 'title'],
+  ['featured_image_description', 'description'],
+];
+
+/**
+ * Get the attachment fields a row sets (alt_text, caption, title, description)
+ */
+export function getMediaDetails(row) {
+  const details = {};
+  for (const [column, field] of MEDIA_DETAIL_COLUMNS) {
+    if (row[column]?.trim()) {
+      details[field] = row[column].trim();
+    }
+  }
+  return details;
+}
+
+/**
+ * Read the current raw values of attachment fields
+ */
+export async function getMediaDetailValues(mediaId, fields, apiInstance) {
+  const response = await apiInstance.get(`/media/${mediaId}`, { params: { context: 'edit' } });
+  const values = {};
+  for (const field of fields) {
+    const value = response.data[field];
+    values[field] = (value && typeof value === 'object' ? value.raw ?? value.rendered : value) ?? '';
+  }
+  return values;
+}
+
+/**
+ * Set alt text, caption, title and description on an attachment
+ * Attachments the run did not upload have their previous values returned so a rollback can restore them.
+ * Failures are logged and do not fail the row, like a failed image upload.
+ * Returns { id, previous } for a reused attachment, otherwise null
+ */
+export async function applyMediaDetails(media, details, apiInstance, clientConfig) {
+  if (!media || Object.keys(details).length === 0) return null;
+
+  try {
+    const previous = media.reused ? await getMediaDetailValues(media.id, Object.keys(details), apiInstance) : null;
+
+    await sleep(clientConfig.request_delay_ms);
+    await apiInstance.post(`/media/${media.id}`, details);
+
+    return previous ? { id: media.id, previous } : null;
+  } catch (error) {
+    console.error(`⚠️  Failed to set alt text/caption/title/description of media ${media.id}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Validate a featured image without uploading it (used by dry runs)
+ * Returns { source, valid, fileName, mimeType, bytes, processedBytes, bytesSaved, existingMediaId, error }; processedBytes
+ * is the size after the site's image processing, bytesSaved what a real run would save (0 when it would reuse an
+ * attachment, never negative) and existingMediaId the attachment a real run would reuse
+ */
+export async function checkMedia(filePathOrUrl, mediaLibrary = null, clientConfig = null) {
+  const result = {
+    source: filePathOrUrl.trim(),
+    valid: false,
+    fileName: null,
+    mimeType: null,
+    bytes: 0,
+    processedBytes: 0,
+    bytesSaved: 0,
+    existingMediaId: null,
+    error: null,
+  };
+
+  const source = await loadMediaSource(filePathOrUrl);
+  if (!source) {
+    result.error = isRemoteUrl(result.source)
+      ? 'Image could not be downloaded'
+      : 'Image file not found';
+    return result;
+  }
+
+  result.fileName = source.fileName;
+  result.mimeType = source.mimeType;
+  result.bytes = source.buffer.length;
+
+  if (!source.mimeType.startsWith('image/')) {
+    result.error = `Not an image (${source.mimeType})`;
+    return result;
+  }
+  if (source.buffer.length === 0) {
+    result.error = 'Image is empty';
+    return result;
+  }
+
+  const processed = await processImage(source, clientConfig?.image_processing);
+  result.valid = true;
+  result.processedBytes = processed.buffer.length;
+  result.existingMediaId = findMediaByHash(mediaLibrary, hashImage(processed.buffer))?.id || null;
+  result.bytesSaved = result.existingMediaId ? 0 : Math.max(0, result.bytes - result.processedBytes);
+  return result;
+}
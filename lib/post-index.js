@@ -0,0 +1,121 @@
+/**
+ * Normalize a title for duplicate comparison (remove HTML entities and tags, collapse whitespace, lowercase)
+ */
+export function normalizeTitle(str) {
+  if (!str) return '';
+  // Handle common HTML entities first, then remove any remaining
+  return str
+    .replace(/<[^>]*>/g, '') // Remove HTML tags
+    .replace(/&nbsp;/g, ' ') // Replace &nbsp; with space
+    .replace(/&amp;/g, '&') // Replace &amp; with &
+    .replace(/&quot;/g, '"') // Replace &quot; with "
+    .replace(/&#8217;/g, "'") // Replace &#8217; (right single quotation) with '
+    .replace(/&#8216;/g, "'") // Replace &#8216; (left single quotation) with '
+    .replace(/&#39;/g, "'") // Replace &#39; with '
+    .replace(/&#038;/g, '&') // Replace &#038; with &
+    .replace(/&[^;]+;/g, '') // Remove any other HTML entities
+    .replace(/\s+/g, ' ') // Normalize whitespace
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Create an empty post index
+ */
+function createPostIndex() {
+  return { byTitle: new Map(), bySlug: new Map(), byId: new Map() };
+}
+
+/**
+ * Add a post to the index, or refresh it after its title or slug changed
+ * Entries are { id, title, slug, status, rowNumber }; rows planned by a dry run have id null and their row number.
+ * The first post indexed under a title or slug wins, matching the newest-first order the index is built in.
+ */
+export function indexPost(index, post) {
+  const title = post.title?.raw ?? post.title?.rendered ?? post.title ?? '';
+  const entry = {
+    id: post.id ?? null,
+    title,
+    slug: post.slug || '',
+    status: post.status || null,
+    rowNumber: post.rowNumber ?? null,
+  };
+
+  // Drop the keys of the previous version of this post
+  const previous = entry.id ? index.byId.get(entry.id) : null;
+  if (previous) {
+    const previousTitle = normalizeTitle(previous.title);
+    if (index.byTitle.get(previousTitle) === previous) index.byTitle.delete(previousTitle);
+    if (index.bySlug.get(previous.slug.toLowerCase()) === previous) index.bySlug.delete(previous.slug.toLowerCase());
+  }
+
+  const normalizedTitle = normalizeTitle(title);
+  if (normalizedTitle && !index.byTitle.has(normalizedTitle)) index.byTitle.set(normalizedTitle, entry);
+  const slugKey = entry.slug.toLowerCase();
+  if (slugKey && !index.bySlug.has(slugKey)) index.bySlug.set(slugKey, entry);
+  if (entry.id) index.byId.set(entry.id, entry);
+
+  return entry;
+}
+
+/**
+ * Find an indexed post by title (compared after normalization)
+ */
+export function findIndexedPostByTitle(index, title) {
+  return index.byTitle.get(normalizeTitle(title)) || null;
+}
+
+/**
+ * Find an indexed post by slug
+ */
+export function findIndexedPostBySlug(index, slug) {
+  if (!slug || !slug.trim()) return null;
+  return index.bySlug.get(slug.trim().toLowerCase()) || null;
+}
+
+/**
+ * Build an index of every post of a post type (all statuses except trash) by normalized title and slug
+ * Built once per run so duplicate and slug checks do not page through the whole site for every row.
+ */
+export async function buildPostIndex(apiInstance, progressCallback = null, restBase = 'posts') {
+  const index = createPostIndex();
+
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const response = await apiInstance.get(`/${restBase}`, {
+      params: {
+        per_page: 100,
+        page,
+        status: 'any', // Include all statuses: publish, draft, private, pending, future
+        orderby: 'date',
+        order: 'desc',
+        _fields: 'id,title,slug,status',
+      },
+    });
+    totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+
+    response.data.forEach(post => indexPost(index, post));
+
+    if (progressCallback && totalPages > 1) {
+      progressCallback({ type: 'info', message: `🗂️  Indexing existing ${restBase}: page ${page} of ${totalPages}` });
+    }
+    page++;
+  } while (page <= totalPages);
+
+  return index;
+}
+
+/**
+ * Get the run's index for a post type, building it the first time a row needs it
+ * Indexes are kept in runContext.postIndexes, keyed by REST base.
+ */
+export async function getPostIndex(runContext, restBase, apiInstance, progressCallback = null) {
+  if (!runContext.postIndexes.has(restBase)) {
+    if (progressCallback) progressCallback({ type: 'info', message: `🗂️  Indexing existing ${restBase}...` });
+    const index = await buildPostIndex(apiInstance, progressCallback, restBase);
+    runContext.postIndexes.set(restBase, index);
+    if (progressCallback) progressCallback({ type: 'info', message: `✅ Indexed ${index.byId.size} existing ${restBase}` });
+  }
+  return runContext.postIndexes.get(restBase);
+}
@@ -0,0 +1,241 @@
+import { loadContentTypes } from './content-types.js';
+import { getMediaReusedByOtherRuns } from './run-history.js';
+
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Capture the current values of the fields an update is about to overwrite
+ * Only fields the REST API exposes can be restored; raw values are used when the post
+ * was fetched with context=edit.
+ */
+export function capturePreviousValues(existingPost, updateData) {
+  const previous = {};
+
+  for (const key of Object.keys(updateData)) {
+    const value = existingPost[key];
+    if (value === undefined) continue;
+
+    if (value && typeof value === 'object' && ('raw' in value || 'rendered' in value)) {
+      previous[key] = value.raw ?? value.rendered;
+    } else {
+      previous[key] = value;
+    }
+  }
+
+  return previous;
+}
+
+/**
+ * Get the URLs of attachments ({ id → source_url }), 100 at a time
+ */
+async function loadMediaUrls(apiInstance, ids) {
+  const urls = new Map();
+  for (let i = 0; i < ids.length; i += 100) {
+    const response = await apiInstance.get('/media', {
+      params: { include: ids.slice(i, i + 100).join(','), per_page: 100, _fields: 'id,source_url' },
+    });
+    response.data.forEach(media => urls.set(media.id, media.source_url));
+  }
+  return urls;
+}
+
+/**
+ * Find the attachments a post's content or meta refers to: by the wp-image-<id> class or block "id" the editor
+ * adds, or by URL (without the extension, so resized copies such as photo-300x200.jpg count)
+ */
+function findMediaReferences(post, mediaUrls, used) {
+  const text = `${post.content?.raw ?? post.content?.rendered ?? ''}\n${JSON.stringify(post.meta || {})}`;
+  for (const [id, url] of mediaUrls) {
+    const stem = url ? url.replace(/\.[a-z0-9]+$/i, '') : null;
+    if (new RegExp(`wp-image-${id}\\b|"id":${id}\\b`).test(text) || (stem && text.includes(stem))) {
+      used.media.add(id);
+    }
+  }
+}
+
+/**
+ * Collect the media and term IDs still used by posts on the site (trashed posts excluded)
+ * Only the post types and taxonomies the run touched are scanned. Attachments count as used when they are a
+ * featured image, or when mediaUrls lists them and a post's content or meta refers to them.
+ */
+async function collectUsedIds(apiInstance, postTypes, taxonomies, mediaUrls = new Map()) {
+  const used = { media: new Set(), terms: new Map(taxonomies.map(taxonomy => [taxonomy, new Set()])) };
+  const fields = ['id', 'featured_media', ...taxonomies, ...(mediaUrls.size > 0 ? ['content', 'meta'] : [])];
+
+  for (const postType of postTypes) {
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const response = await apiInstance.get(`/${postType}`, {
+        params: { per_page: 100, page, status: 'any', _fields: fields.join(',') },
+      });
+      totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+
+      for (const post of response.data) {
+        if (post.featured_media) used.media.add(post.featured_media);
+        if (mediaUrls.size > 0) findMediaReferences(post, mediaUrls, used);
+        for (const taxonomy of taxonomies) {
+          (post[taxonomy] || []).forEach(id => used.terms.get(taxonomy).add(id));
+        }
+      }
+      page++;
+    } while (page <= totalPages);
+  }
+
+  return used;
+}
+
+/**
+ * Roll back a completed upload or update run
+ * - Posts the run created are trashed (or permanently deleted with force)
+ * - Posts the run updated get their previous field values back
+ * - Existing attachments the run edited get their previous alt text, caption, title and description back
+ * - Media and terms the run created are deleted when no remaining post uses them (as featured image or in its
+ *   content or meta) and no other run reused them
+ */
+export async function rollbackRun(run, apiInstance, clientConfig, { force = false, progressCallback = null } = {}) {
+  const startTime = Date.now();
+  const results = [];
+
+  const report = (entry, type = 'success') => {
+    results.push(entry);
+    const message = entry.error
+      ? `❌ Failed to roll back ${entry.title}: ${entry.error}`
+      : `↩️  ${entry.action} ${entry.title}`;
+    if (type === 'error') {
+      console.error(message);
+    } else {
+      console.log(message);
+    }
+    if (progressCallback) progressCallback({ type, message, rowNumber: entry.rowNumber, postId: entry.postId, title: entry.title, error: entry.error });
+  };
+
+  // Undo posts in reverse order so later rows are rolled back first
+  const rows = [...run.results].reverse();
+  for (const row of rows) {
+    if (row.error || !row.postId) continue;
+
+    const entry = { rowNumber: row.rowNumber, title: row.title, action: null, postId: row.postId, status: null, error: null };
+    // Runs recorded before post types were supported only touched posts
+    const endpoint = `/${row.postType || 'posts'}/${row.postId}`;
+
+    try {
+      if (row.action === 'created') {
+        await sleep(clientConfig.request_delay_ms);
+        await apiInstance.delete(endpoint, { params: { force } });
+        entry.action = force ? 'deleted post' : 'trashed post';
+        entry.status = force ? 'deleted' : 'trash';
+      } else if (row.action === 'updated' && row.previous && Object.keys(row.previous).length > 0) {
+        await sleep(clientConfig.request_delay_ms);
+        const response = await apiInstance.post(endpoint, row.previous);
+        entry.action = 'restored post';
+        entry.status = response.data.status;
+      } else {
+        continue;
+      }
+      report(entry);
+    } catch (error) {
+      entry.error = error.response?.status === 404 ? 'Post no longer exists' : error.message;
+      report(entry, 'error');
+    }
+  }
+
+  // Attachments the run reused or edited get their previous alt text, caption, title and description back
+  const runMedia = new Set(run.results.flatMap(r => r.createdMedia || []));
+  for (const { id, previous } of run.results.flatMap(r => r.updatedMedia || []).reverse()) {
+    // Attachments the run uploaded itself are deleted below instead
+    if (runMedia.has(id)) continue;
+
+    const entry = { rowNumber: null, title: `media ${id}`, action: null, postId: null, status: null, error: null };
+    try {
+      await sleep(clientConfig.request_delay_ms);
+      await apiInstance.post(`/media/${id}`, previous);
+      entry.action = 'restored media details';
+      report(entry);
+    } catch (error) {
+      entry.error = error.response?.status === 404 ? 'Media no longer exists' : error.message;
+      report(entry, 'error');
+    }
+  }
+
+  // Media and terms created by the run, newest first so child categories go before their parents
+  const createdMedia = run.results.flatMap(r => r.createdMedia || []).reverse();
+  const createdTerms = run.results.flatMap(r => r.createdTerms || []).reverse();
+
+  if (createdMedia.length > 0 || createdTerms.length > 0) {
+    // Scan posts, pages, the post types the run wrote to and every post type using a created term's taxonomy
+    const contentTypes = await loadContentTypes(apiInstance);
+    const taxonomies = [...new Set(createdTerms.map(term => term.taxonomy))];
+    const taxonomySlugs = [...contentTypes.taxonomies.values()]
+      .filter(taxonomy => taxonomies.includes(taxonomy.restBase))
+      .map(taxonomy => taxonomy.slug);
+    const postTypes = [...new Set([
+      'posts',
+      'pages',
+      ...run.results.map(r => r.postType).filter(Boolean),
+      ...[...contentTypes.postTypes.values()]
+        .filter(type => type.taxonomies.some(slug => taxonomySlugs.includes(slug)))
+        .map(type => type.restBase),
+    ])];
+    const mediaUrls = createdMedia.length > 0 ? await loadMediaUrls(apiInstance, createdMedia) : new Map();
+    const used = await collectUsedIds(apiInstance, postTypes, taxonomies, mediaUrls);
+
+    // Later runs may have found this run's uploads in the media library and used them too
+    const reusedByOtherRuns = getMediaReusedByOtherRuns(run);
+
+    for (const mediaId of createdMedia) {
+      const entry = { rowNumber: null, title: `media ${mediaId}`, action: null, postId: null, status: null, error: null };
+      if (used.media.has(mediaId) || reusedByOtherRuns.has(mediaId)) {
+        entry.action = 'kept (still in use)';
+        report(entry);
+        continue;
+      }
+      try {
+        await sleep(clientConfig.request_delay_ms);
+        // Media items do not support trashing
+        await apiInstance.delete(`/media/${mediaId}`, { params: { force: true } });
+        entry.action = 'deleted media';
+        report(entry);
+      } catch (error) {
+        entry.error = error.response?.status === 404 ? 'Media no longer exists' : error.message;
+        report(entry, 'error');
+      }
+    }
+
+    for (const term of createdTerms) {
+      const entry = { rowNumber: null, title: `${term.taxonomy} "${term.name}"`, action: null, postId: null, status: null, error: null };
+      if (used.terms.get(term.taxonomy)?.has(term.id)) {
+        entry.action = 'kept (still in use)';
+        report(entry);
+        continue;
+      }
+      try {
+        await sleep(clientConfig.request_delay_ms);
+        // Terms do not support trashing
+        await apiInstance.delete(`/${term.taxonomy}/${term.id}`, { params: { force: true } });
+        entry.action = 'deleted term';
+        report(entry);
+      } catch (error) {
+        entry.error = error.response?.status === 404 ? 'Term no longer exists' : error.message;
+        report(entry, 'error');
+      }
+    }
+  }
+
+  const duration = ((Date.now() - startTime) / 1000).toFixed(2);
+
+  return {
+    total: results.length,
+    success: results.filter(r => !r.error).length,
+    failed: results.filter(r => r.error).length,
+    duration: parseFloat(duration),
+    results,
+    logPath: null,
+    rollback: true
+  };
+}
@@ -0,0 +1,396 @@
+import csv from 'csv-parser';
+import ExcelJS from 'exceljs';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { getHeaders } from './column-mapping.js';
+import { loadMarkdownFolder } from './markdown.js';
+import { readWxrRows } from './wxr.js';
+
+// File types accepted as input (besides folders of Markdown files)
+export const INPUT_EXTENSIONS = ['.csv', '.xlsx', '.json', '.ndjson', '.xml'];
+
+// Delimiters a CSV file can use, in order of preference when a header line has as many of several
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+const DELIMITER_NAMES = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe' };
+const ENCODING_NAMES = { 'utf-16le': 'UTF-16 LE', 'utf-16be': 'UTF-16 BE', 'windows-1252': 'Windows-1252' };
+
+/**
+ * Check whether a file name has one of the accepted input extensions
+ */
+export function isInputFile(fileName) {
+  return INPUT_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase());
+}
+
+/**
+ * Check whether a file is an Excel workbook
+ */
+export function isWorkbook(filePath) {
+  return path.extname(filePath).toLowerCase() === '.xlsx';
+}
+
+// Characters of Windows-1252 bytes 0x80-0x9F, where it differs from Latin-1 (unassigned bytes are kept)
+const WINDOWS_1252_CHARACTERS = '€\x81‚ƒ„…†‡ˆ‰Š‹Œ\x8DŽ\x8F\x90‘’“”•–—˜™š›œ\x9DžŸ';
+
+/**
+ * Decode Windows-1252 text (TextDecoder reads it as Latin-1 in some Node versions, losing curly quotes and dashes)
+ */
+function decodeWindows1252(buffer) {
+  return buffer.toString('latin1').replace(/[\x80-\x9F]/g, character => WINDOWS_1252_CHARACTERS[character.charCodeAt(0) - 0x80]);
+}
+
+/**
+ * Guess whether text without a byte order mark is UTF-16 from the zero bytes of its ASCII characters
+ * Returns 'utf-16le', 'utf-16be' or null.
+ */
+function detectUtf16(buffer) {
+  const sample = buffer.subarray(0, Math.min(buffer.length, 512) & ~1);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+  const pairs = sample.length / 2;
+  if (pairs === 0) return null;
+  if (oddZeros > pairs / 2 && evenZeros === 0) return 'utf-16le';
+  if (evenZeros > pairs / 2 && oddZeros === 0) return 'utf-16be';
+  return null;
+}
+
+/**
+ * Decode the bytes of a text file, dropping any byte order mark
+ * UTF-8 and UTF-16 are recognised by their byte order mark (or, for UTF-16, its zero bytes); text that is not
+ * valid UTF-8 is read as Windows-1252, the encoding Excel on Windows saves CSV files in.
+ * Returns { text, encoding }.
+ */
+export function decodeText(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { text: buffer.toString('utf-8', 3), encoding: 'utf-8' };
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return { text: new TextDecoder('utf-16le').decode(buffer.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    return { text: new TextDecoder('utf-16be').decode(buffer.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  const utf16 = detectUtf16(buffer);
+  if (utf16) {
+    return { text: new TextDecoder(utf16).decode(buffer).replace(/^\uFEFF/, ''), encoding: utf16 };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(buffer).replace(/^\uFEFF/, ''), encoding: 'utf-8' };
+  } catch {
+    return { text: decodeWindows1252(buffer), encoding: 'windows-1252' };
+  }
+}
+
+/**
+ * Find the delimiter of CSV text: the one named by Excel's "sep=" line, or else the one the header line (outside
+ * quotes) holds most of
+ * Returns { delimiter, text } with any "sep=" line removed.
+ */
+function detectDelimiter(text) {
+  const hint = text.match(/^"?sep=(.)"?\n/i);
+  if (hint) {
+    return { delimiter: hint[1], text: text.slice(hint[0].length) };
+  }
+
+  const counts = new Map(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+  for (const character of text) {
+    if (character === '"') inQuotes = !inQuotes;
+    else if (character === '\n' && !inQuotes) break;
+    else if (!inQuotes && counts.has(character)) counts.set(character, counts.get(character) + 1);
+  }
+
+  const delimiter = CSV_DELIMITERS.reduce((best, candidate) => (counts.get(candidate) > counts.get(best) ? candidate : best));
+  return { delimiter, text };
+}
+
+/**
+ * Turn a JSON value into the text a CSV cell would hold
+ * Lists (e.g. "categories": ["News", "Tips"]) become comma-separated and objects (e.g. "acf_json") JSON.
+ */
+function toCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.map(toCellText).join(',');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Turn a parsed JSON record into a row of text values, as CSV rows are
+ */
+function toRow(record, label) {
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    throw new Error(`${label} is not an object`);
+  }
+  const row = {};
+  for (const [column, value] of Object.entries(record)) {
+    row[column.trim()] = toCellText(value);
+  }
+  return row;
+}
+
+/**
+ * Read a JSON file holding an array of row objects
+ */
+function readJsonRows(fullPath) {
+  let records;
+  try {
+    records = JSON.parse(decodeText(fs.readFileSync(fullPath)).text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(records)) {
+    throw new Error('JSON input must be an array of row objects');
+  }
+  return records.map((record, index) => toRow(record, `Item ${index + 1}`));
+}
+
+/**
+ * Read an NDJSON file: one row object per line, blank lines ignored
+ */
+function readNdjsonRows(fullPath) {
+  const rows = [];
+  const lines = decodeText(fs.readFileSync(fullPath)).text.split(/\r\n?|\n/);
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`Invalid JSON on line ${index + 1}: ${error.message}`);
+    }
+    rows.push(toRow(record, `Line ${index + 1}`));
+  });
+  return rows;
+}
+
+/**
+ * Turn an Excel cell value into text
+ * Dates become "YYYY-MM-DD HH:mm" (or "YYYY-MM-DD" at midnight) in the wall-clock time typed into the sheet,
+ * formulas their result and rich text or hyperlinks their text.
+ */
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const text = value.toISOString().slice(0, 16).replace('T', ' ');
+    return text.endsWith(' 00:00') ? text.slice(0, 10) : text;
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('result' in value) return cellText(value.result);
+    if ('hyperlink' in value) return cellText(value.text ?? value.hyperlink);
+    return '';
+  }
+  return String(value);
+}
+
+/**
+ * Get the column names of a worksheet's first row ({ column number → name }, empty headers left out)
+ */
+function readHeaders(worksheet) {
+  const headers = new Map();
+  worksheet.getRow(1).eachCell((cell, columnNumber) => {
+    const name = cellText(cell.value).trim();
+    if (name) headers.set(columnNumber, name);
+  });
+  return headers;
+}
+
+/**
+ * Load an Excel workbook
+ */
+async function loadWorkbook(fullPath) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.readFile(fullPath);
+  return workbook;
+}
+
+/**
+ * Get the worksheets of a workbook that hold rows (a header row)
+ */
+function getDataSheets(workbook) {
+  return workbook.worksheets.filter(worksheet => readHeaders(worksheet).size > 0);
+}
+
+/**
+ * List the sheets of a workbook that hold rows; each is processed as a batch of its own
+ */
+export async function listSheets(fullPath) {
+  return getDataSheets(await loadWorkbook(fullPath)).map(worksheet => worksheet.name);
+}
+
+/**
+ * Find a worksheet by name (case-insensitively) or 1-based position; workbooks with a single sheet need none
+ */
+function findSheet(workbook, sheet) {
+  const sheets = getDataSheets(workbook);
+  const names = sheets.map(worksheet => worksheet.name).join(', ');
+
+  if (sheet === null || sheet === undefined || String(sheet).trim() === '') {
+    if (sheets.length > 1) {
+      throw new Error(`The workbook has ${sheets.length} sheets (${names}). Choose one with sheet.`);
+    }
+    return sheets[0] || null;
+  }
+
+  const name = String(sheet).trim();
+  const worksheet = sheets.find(candidate => candidate.name === name)
+    || sheets.find(candidate => candidate.name.toLowerCase() === name.toLowerCase())
+    || (/^\d+$/.test(name) ? sheets[parseInt(name, 10) - 1] : null);
+  if (!worksheet) {
+    throw new Error(`Sheet "${name}" not found. Sheets: ${names || 'none'}`);
+  }
+  return worksheet;
+}
+
+/**
+ * Read the rows of a worksheet, the first row holding the column names
+ * Returns { rows, headers } with the headers as named in the sheet (a repeated name is read from its first column).
+ */
+async function readSheetRows(fullPath, sheet) {
+  const worksheet = findSheet(await loadWorkbook(fullPath), sheet);
+  if (!worksheet) return { rows: [], headers: [] };
+
+  const headers = readHeaders(worksheet);
+  const rows = [];
+  worksheet.eachRow((excelRow, rowNumber) => {
+    if (rowNumber === 1) return;
+    const row = {};
+    for (const [columnNumber, name] of headers) {
+      if (!Object.hasOwn(row, name)) row[name] = cellText(excelRow.getCell(columnNumber).value);
+    }
+    // Rows left empty (e.g. formatted but unused) are skipped
+    if (Object.values(row).some(value => value.trim())) rows.push(row);
+  });
+  return { rows, headers: [...headers.values()] };
+}
+
+/**
+ * Read an input with what was learned about its format
+ * Returns { rows, headers, encoding, delimiter }: headers as named in the file, in order (including repeated and,
+ * for CSV files, empty ones), and the text encoding and delimiter of a CSV file (encoding also for JSON and NDJSON).
+ * options as for readRows
+ */
+export async function readInput(fullPath, { sheet = null, preserveOriginal = false } = {}) {
+  if (fs.statSync(fullPath).isDirectory()) {
+    const rows = await loadMarkdownFolder(fullPath);
+    return { rows, headers: getHeaders(rows), encoding: null, delimiter: null };
+  }
+
+  const extension = path.extname(fullPath).toLowerCase();
+  if (extension === '.xlsx') {
+    return { ...(await readSheetRows(fullPath, sheet)), encoding: null, delimiter: null };
+  }
+  if (extension === '.csv' || !['.json', '.ndjson', '.xml'].includes(extension)) {
+    return readCsvRows(fullPath);
+  }
+
+  const rows = await readRows(fullPath, { sheet, preserveOriginal });
+  const encoding = extension === '.xml' ? null : decodeText(fs.readFileSync(fullPath)).encoding;
+  return { rows, headers: getHeaders(rows), encoding, delimiter: null };
+}
+
+/**
+ * Describe how a CSV file was read when it is not comma-separated UTF-8 ("Windows-1252 text, semicolon-separated")
+ * Returns null for comma-separated UTF-8 and other inputs.
+ */
+export function describeInputFormat({ encoding, delimiter }) {
+  const parts = [];
+  if (encoding && encoding !== 'utf-8') parts.push(`${ENCODING_NAMES[encoding] || encoding} text`);
+  if (delimiter && delimiter !== ',') parts.push(`${DELIMITER_NAMES[delimiter] || `"${delimiter}"`}-separated`);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Read the rows of an input: a CSV file, an Excel workbook (.xlsx, one sheet), a JSON array, an NDJSON file, a
+ * WordPress export (WXR .xml, one row per post) or a folder of Markdown files with front-matter (one row per file)
+ * Every format gives the same rows: objects of text values keyed by column name.
+ * options: { sheet } the workbook sheet to read (name or 1-based position), { preserveOriginal } keep the slugs
+ * and dates of a WordPress export
+ */
+export async function readRows(fullPath, { sheet = null, preserveOriginal = false } = {}) {
+  if (fs.statSync(fullPath).isDirectory()) {
+    return loadMarkdownFolder(fullPath);
+  }
+
+  switch (path.extname(fullPath).toLowerCase()) {
+    case '.xlsx':
+      return (await readSheetRows(fullPath, sheet)).rows;
+    case '.json':
+      return readJsonRows(fullPath);
+    case '.ndjson':
+      return readNdjsonRows(fullPath);
+    case '.xml':
+      return readWxrRows(fullPath, { preserveOriginal });
+    default:
+      return (await readCsvRows(fullPath)).rows;
+  }
+}
+
+/**
+ * Split CSV text into lists of cells
+ */
+function parseCsv(text, delimiter) {
+  return new Promise((resolve, reject) => {
+    const records = [];
+    Readable.from([text])
+      .pipe(csv({ separator: delimiter, headers: false }))
+      .on('data', (data) => records.push(Object.keys(data).map(index => data[index])))
+      .on('end', () => resolve(records))
+      .on('error', (error) => reject(error));
+  });
+}
+
+/**
+ * Read the rows of a CSV file in any of the encodings decodeText reads, with any of CSV_DELIMITERS and Windows,
+ * Unix or old Mac line endings
+ * Headers are trimmed; columns without a header are left out and a repeated header is read from its first column.
+ * Lines without any value are skipped. Returns { rows, headers, encoding, delimiter }.
+ */
+async function readCsvRows(fullPath) {
+  const { text, encoding } = decodeText(fs.readFileSync(fullPath));
+  const detected = detectDelimiter(text.replace(/\r\n?/g, '\n'));
+  const [headerCells = [], ...records] = await parseCsv(detected.text, detected.delimiter);
+
+  const headers = headerCells.map(header => header.trim());
+  const rows = records
+    .filter(cells => cells.some(cell => cell.trim()))
+    .map(cells => {
+      const row = {};
+      headers.forEach((header, index) => {
+        if (header && !Object.hasOwn(row, header)) row[header] = cells[index] ?? '';
+      });
+      return row;
+    });
+  return { rows, headers, encoding, delimiter: detected.delimiter };
+}
+
+/**
+ * Get the batches to run an input as: the chosen sheet, every sheet of a workbook, or [null] for inputs without
+ * sheets
+ * A chosen sheet is checked and returned under its name in the workbook.
+ */
+export async function listBatches(fullPath, sheet = null) {
+  if (fs.statSync(fullPath).isDirectory() || !isWorkbook(fullPath)) return [null];
+
+  const workbook = await loadWorkbook(fullPath);
+  if (sheet !== null && sheet !== undefined && String(sheet).trim() !== '') {
+    return [findSheet(workbook, sheet).name];
+  }
+  const sheets = getDataSheets(workbook).map(worksheet => worksheet.name);
+  return sheets.length > 0 ? sheets : [null];
+}
+
+/**
+ * Name an input for logs and lists, with the sheet of a workbook ("posts.xlsx › March")
+ */
+export function describeInput(fileName, sheet = null) {
+  return sheet ? `${fileName} › ${sheet}` : fileName;
+}
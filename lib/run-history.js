@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Use /tmp on Vercel (serverless), or runs/ in the project root for local development
+const isVercel = process.env.VERCEL || process.env.VERCEL_ENV;
+const RUNS_DIR = isVercel ? path.join('/tmp', 'runs') : path.resolve(__dirname, '..', 'runs');
+
+const MAX_LISTED_RUNS = 50;
+
+/**
+ * Get the path of a run file
+ */
+function runPath(runId) {
+  return path.join(RUNS_DIR, `${path.basename(runId)}.json`);
+}
+
+/**
+ * Save a run record
+ */
+function writeRun(run) {
+  if (!fs.existsSync(RUNS_DIR)) {
+    fs.mkdirSync(RUNS_DIR, { recursive: true });
+  }
+  fs.writeFileSync(runPath(run.id), JSON.stringify(run, null, 2));
+}
+
+/**
+ * Record a completed upload or update run so it can be reviewed or rolled back later
+ */
+export function saveRun({ mode, clientId, fileName, startedAt, results }) {
+  const run = {
+    id: `${mode}-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`,
+    mode,
+    clientId: clientId || null,
+    fileName: fileName || null,
+    startedAt: startedAt || null,
+    finishedAt: new Date().toISOString(),
+    total: results.length,
+    success: results.filter(r => !r.error).length,
+    failed: results.filter(r => r.error).length,
+    rolledBackAt: null,
+    rollback: null,
+    results,
+  };
+
+  writeRun(run);
+  return run;
+}
+
+/**
+ * Load a run record by ID
+ */
+export function getRun(runId) {
+  const filePath = runPath(runId);
+  if (!fs.existsSync(filePath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  } catch (error) {
+    console.warn(`⚠️  Could not read run ${runId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List recent runs (newest first) without their per-row results
+ */
+export function listRuns(limit = MAX_LISTED_RUNS) {
+  if (!fs.existsSync(RUNS_DIR)) return [];
+
+  return fs.readdirSync(RUNS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => getRun(path.basename(file, '.json')))
+    .filter(Boolean)
+    .sort((a, b) => b.finishedAt.localeCompare(a.finishedAt))
+    .slice(0, limit)
+    .map(({ results, ...run }) => run);
+}
+
+/**
+ * Collect the attachments that other runs of the same site reused from the media library
+ * Runs that have been rolled back no longer use theirs.
+ */
+export function getMediaReusedByOtherRuns(run) {
+  const reused = new Set();
+  if (!fs.existsSync(RUNS_DIR)) return reused;
+
+  for (const file of fs.readdirSync(RUNS_DIR).filter(name => name.endsWith('.json'))) {
+    const other = getRun(path.basename(file, '.json'));
+    if (!other || other.id === run.id || other.rolledBackAt || other.clientId !== run.clientId) continue;
+    other.results.flatMap(result => result.reusedMedia || []).forEach(id => reused.add(id));
+  }
+  return reused;
+}
+
+/**
+ * Mark a run as rolled back and keep the rollback report with it
+ */
+export function markRunRolledBack(runId, report) {
+  const run = getRun(runId);
+  if (!run) return;
+
+  run.rolledBackAt = new Date().toISOString();
+  run.rollback = report;
+  writeRun(run);
+}
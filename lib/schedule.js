@@ -0,0 +1,218 @@
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Statuses that keep a post unpublished even when it has a future date
+const UNSCHEDULED_STATUSES = ['draft', 'pending', 'private'];
+
+/**
+ * Parse a fixed UTC offset such as "+05:30", "-0800", "UTC+2" or "UTC" into minutes
+ * Returns null when the value is not an offset.
+ */
+function parseOffset(timeZone) {
+  const value = timeZone.trim().toUpperCase();
+  if (value === 'UTC' || value === 'GMT' || value === 'Z') return 0;
+
+  const match = value.match(/^(?:UTC|GMT)?\s*([+-])(\d{1,2})(?::?(\d{2}))?$/);
+  if (!match) return null;
+
+  const minutes = parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10);
+  return match[1] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Get the UTC offset of a timezone (IANA name or fixed offset) at a moment, in minutes
+ */
+function getTimeZoneOffset(date, timeZone) {
+  const fixed = parseOffset(timeZone);
+  if (fixed !== null) return fixed;
+
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }).formatToParts(date);
+  } catch (error) {
+    throw new Error(`Unknown timezone "${timeZone}". Use a name like "Europe/London" or an offset like "+05:30".`);
+  }
+
+  const field = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  const asUtc = Date.UTC(field('year'), field('month') - 1, field('day'), field('hour'), field('minute'), field('second'));
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Convert a wall-clock time in a timezone to the moment it happens
+ */
+function zonedTimeToDate(year, month, day, hour, minute, second, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstOffset = getTimeZoneOffset(new Date(guess), timeZone);
+  let time = guess - firstOffset * 60000;
+
+  // Around a DST change the offset at the result can differ from the offset at the guess
+  const secondOffset = getTimeZoneOffset(new Date(time), timeZone);
+  if (secondOffset !== firstOffset) {
+    time = guess - secondOffset * 60000;
+  }
+  return new Date(time);
+}
+
+/**
+ * Get the wall-clock fields of a moment in a timezone
+ */
+function getWallClock(date, timeZone) {
+  const local = new Date(date.getTime() + getTimeZoneOffset(date, timeZone) * 60000);
+  return {
+    year: local.getUTCFullYear(),
+    month: local.getUTCMonth() + 1,
+    day: local.getUTCDate(),
+    hour: local.getUTCHours(),
+    minute: local.getUTCMinutes(),
+    second: local.getUTCSeconds(),
+    weekday: local.getUTCDay(),
+  };
+}
+
+/**
+ * Format a moment as a WordPress date (YYYY-MM-DDTHH:mm:ss) in a timezone
+ */
+export function formatWpDate(date, timeZone) {
+  const t = getWallClock(date, timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${t.year}-${pad(t.month)}-${pad(t.day)}T${pad(t.hour)}:${pad(t.minute)}:${pad(t.second)}`;
+}
+
+/**
+ * Describe a scheduled time for logs and reports ("2025-03-14 09:30 Europe/London")
+ */
+export function describeScheduledTime(date, timeZone) {
+  return `${formatWpDate(date, timeZone).slice(0, 16).replace('T', ' ')} ${timeZone}`;
+}
+
+/**
+ * Get the timezone configured in WordPress (Settings → General)
+ * Sites set to a manual UTC offset get an offset such as "+05:30". Falls back to UTC.
+ */
+export async function loadSiteTimezone(apiInstance, clientConfig) {
+  try {
+    const response = await apiInstance.get('', { baseURL: `${clientConfig.wp_site}/wp-json/` });
+    if (response.data?.timezone_string) {
+      return response.data.timezone_string;
+    }
+
+    const offset = parseFloat(response.data?.gmt_offset);
+    if (!Number.isNaN(offset)) {
+      const minutes = Math.round(Math.abs(offset) * 60);
+      return `${offset < 0 ? '-' : '+'}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+  } catch (error) {
+    console.warn(`⚠️  Could not read the site timezone (${error.message}). Using UTC.`);
+  }
+  return 'UTC';
+}
+
+/**
+ * Parse a publish_date value ("2025-03-14", "2025-03-14 09:30", "2025-03-14T09:30:00+01:00")
+ * Dates without an offset are read in the given timezone.
+ */
+export function parsePublishDate(value, timeZone) {
+  const match = value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!match) {
+    throw new Error(`Invalid publish_date "${value}". Use YYYY-MM-DD HH:MM.`);
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0', offset] = match;
+  const date = zonedTimeToDate(+year, +month, +day, +hour, +minute, +second, offset || timeZone);
+
+  // Reject dates such as 2025-02-30 that JavaScript would roll over
+  if (Number.isNaN(date.getTime()) || formatWpDate(date, offset || timeZone).slice(0, 10) !== `${year}-${month}-${day}`) {
+    throw new Error(`Invalid publish_date "${value}"`);
+  }
+  return date;
+}
+
+/**
+ * Set date, date_gmt and status on post data for a publish date
+ * A date ahead of now schedules the post (status future) unless the row asks for draft, pending or private;
+ * a past date with status future publishes it.
+ */
+export function applyPublishDate(postData, date, siteTimeZone, requestedStatus = '') {
+  postData.date = formatWpDate(date, siteTimeZone);
+  postData.date_gmt = formatWpDate(date, 'UTC');
+
+  if (date.getTime() > Date.now()) {
+    if (!UNSCHEDULED_STATUSES.includes(requestedStatus)) {
+      postData.status = 'future';
+    }
+  } else if (postData.status === 'future') {
+    postData.status = 'publish';
+  }
+}
+
+/**
+ * Parse a publishing cadence such as "Tue/Thu/Sat at 10:00", "Mon-Fri at 09:00, 15:30" or "daily at 8:00"
+ */
+export function parseCadence(text) {
+  const invalid = () => new Error(`Invalid schedule "${text}". Use a format like "Tue/Thu/Sat at 10:00".`);
+
+  const match = String(text || '').trim().toLowerCase().match(/^(.+?)\s+at\s+(.+)$/);
+  if (!match) throw invalid();
+
+  const days = new Set();
+  if (['daily', 'every day', 'everyday'].includes(match[1].trim())) {
+    DAY_NAMES.forEach((_, index) => days.add(index));
+  } else {
+    for (const part of match[1].split(/[\/,\s]+/).filter(Boolean)) {
+      const [from, to] = part.split('-').map(name => DAY_NAMES.indexOf(name.slice(0, 3)));
+      if (from < 0 || (to !== undefined && to < 0)) throw invalid();
+      // Ranges such as Mon-Fri, including ones that wrap around the week (Fri-Mon)
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (to === undefined || day === to) break;
+      }
+    }
+  }
+
+  const times = match[2].split(/\s*(?:,|and)\s*/).filter(Boolean).map(time => {
+    const parts = time.match(/^(\d{1,2}):(\d{2})$/);
+    if (!parts || +parts[1] > 23 || +parts[2] > 59) throw invalid();
+    return { hour: +parts[1], minute: +parts[2] };
+  }).sort((a, b) => a.hour * 60 + a.minute - (b.hour * 60 + b.minute));
+
+  if (days.size === 0 || times.length === 0) throw invalid();
+  return { days, times };
+}
+
+/**
+ * Create a scheduler that hands out the publishing slots of a cadence in order
+ * Slots are wall-clock times in the site timezone, starting after startAfter.
+ */
+export function createScheduler(cadenceText, timeZone, startAfter = new Date()) {
+  const cadence = parseCadence(cadenceText);
+  let last = startAfter;
+
+  return {
+    next() {
+      const start = getWallClock(last, timeZone);
+      for (let dayOffset = 0; dayOffset <= 7; dayOffset++) {
+        // Date.UTC rolls the day over into the next month or year
+        const day = new Date(Date.UTC(start.year, start.month - 1, start.day + dayOffset));
+        if (!cadence.days.has(day.getUTCDay())) continue;
+
+        for (const { hour, minute } of cadence.times) {
+          const slot = zonedTimeToDate(day.getUTCFullYear(), day.getUTCMonth() + 1, day.getUTCDate(), hour, minute, 0, timeZone);
+          if (slot.getTime() > last.getTime()) {
+            last = slot;
+            return slot;
+          }
+        }
+      }
+      throw new Error('No publishing slot found for this schedule');
+    },
+  };
+}
@@ -0,0 +1,330 @@
+import { renderRowContent } from './markdown.js';
+import { normalizeTitle } from './post-index.js';
+import { getSeoValue } from './seo.js';
+
+// Google cuts titles and descriptions by width, not length: titles are shown in 20px Arial up to about 580px,
+// descriptions in 14px Arial up to about 920px
+const TITLE_FONT_SIZE = 20;
+const TITLE_MAX_PIXELS = 580;
+const DESCRIPTION_FONT_SIZE = 14;
+const DESCRIPTION_MAX_PIXELS = 920;
+
+const TITLE_LENGTH = { min: 30, max: 60 };
+const DESCRIPTION_LENGTH = { min: 120, max: 160 };
+const SLUG_MAX_LENGTH = 75;
+const KEYWORD_DENSITY = { min: 0.5, max: 3 };
+
+// Arial advance widths in thousandths of an em (characters not listed count as 556, CJK as a full em)
+const CHARACTER_WIDTHS = {
+  ' ': 278, '!': 278, '"': 355, '#': 556, '$': 556, '%': 889, '&': 667, '\'': 191, '(': 333, ')': 333,
+  '*': 389, '+': 584, ',': 278, '-': 333, '.': 278, '/': 278, ':': 278, ';': 278, '<': 584, '=': 584,
+  '>': 584, '?': 556, '@': 1015, '[': 278, '\\': 278, ']': 278, '^': 469, '_': 556, '`': 333, '{': 334,
+  '|': 260, '}': 334, '~': 584, '–': 556, '—': 1000, '’': 222, '‘': 222, '“': 333, '”': 333, '…': 1000,
+  A: 667, B: 667, C: 722, D: 722, E: 667, F: 611, G: 778, H: 722, I: 278, J: 500, K: 667, L: 556, M: 833,
+  N: 722, O: 778, P: 667, Q: 778, R: 722, S: 667, T: 611, U: 722, V: 667, W: 944, X: 667, Y: 667, Z: 611,
+  a: 556, b: 556, c: 500, d: 556, e: 556, f: 278, g: 556, h: 556, i: 222, j: 222, k: 500, l: 222, m: 833,
+  n: 556, o: 556, p: 556, q: 556, r: 333, s: 500, t: 278, u: 556, v: 500, w: 722, x: 500, y: 500, z: 500,
+};
+
+// Points of each check; rows score the share of points of the checks that apply to them
+const CHECK_WEIGHTS = {
+  'title-length': 10,
+  'title-width': 5,
+  'description-length': 10,
+  'description-width': 5,
+  'description-unique': 10,
+  'keyword-in-title': 15,
+  'keyword-in-slug': 10,
+  'keyword-in-first-paragraph': 10,
+  'keyword-in-headings': 5,
+  'keyword-density': 10,
+  'slug-length': 10,
+};
+
+const KEYWORD_CHECKS = ['keyword-in-title', 'keyword-in-slug', 'keyword-in-first-paragraph', 'keyword-in-headings', 'keyword-density'];
+
+/**
+ * Check a minimum SEO score (0 to 100); empty values turn the minimum off
+ */
+export function normalizeSeoMinScore(value) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const score = Number(String(value).trim());
+  if (!Number.isInteger(score) || score < 0 || score > 100) {
+    throw new Error(`Invalid minimum SEO score "${value}". Use a whole number from 0 to 100.`);
+  }
+  return score;
+}
+
+/**
+ * Estimate how many pixels wide a text is in Arial at a font size
+ */
+export function measurePixelWidth(text, fontSize) {
+  let units = 0;
+  for (const character of text) {
+    const code = character.codePointAt(0);
+    units += CHARACTER_WIDTHS[character] ?? (code >= 0x2e80 ? 1000 : 556);
+  }
+  return Math.round((units * fontSize) / 1000);
+}
+
+/**
+ * Turn a text into the slug WordPress would give it (lowercase, accents removed, letters of other scripts kept,
+ * words joined by hyphens)
+ */
+function slugify(text) {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/<[^>]*>/g, '')
+    .replace(/&[^;\s]+;/g, '')
+    .replace(/[^\p{L}\p{M}\p{N}\s-]/gu, '')
+    .trim()
+    .replace(/[\s-]+/g, '-');
+}
+
+/**
+ * Decode a slug as WordPress stores it (non-Latin letters percent-encoded) so it compares with slugify's output
+ */
+function decodeSlug(slug) {
+  try {
+    return decodeURIComponent(slug).toLowerCase();
+  } catch {
+    return slug.toLowerCase();
+  }
+}
+
+/**
+ * Normalize a meta description for duplicate comparison
+ */
+function normalizeDescription(text) {
+  return normalizeTitle(String(text || ''));
+}
+
+/**
+ * Count the occurrences of a keyword phrase in a normalized text, on word boundaries
+ */
+function countKeyword(text, keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return (text.match(new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}(?=$|[^\\p{L}\\p{N}])`, 'gu')) || []).length;
+}
+
+function check(id, passed, message) {
+  return { id, passed, message, weight: CHECK_WEIGHTS[id] };
+}
+
+function checkLength(id, label, length, limits) {
+  if (length < limits.min) return check(id, false, `${label} is short (${length} characters, aim for ${limits.min}–${limits.max})`);
+  if (length > limits.max) return check(id, false, `${label} is long (${length} characters, aim for ${limits.min}–${limits.max})`);
+  return check(id, true, `${label} length is good (${length} characters)`);
+}
+
+function checkWidth(id, label, text, fontSize, maxPixels) {
+  const width = measurePixelWidth(text, fontSize);
+  return width > maxPixels
+    ? check(id, false, `${label} is about ${width}px wide and will be cut off in search results (max ${maxPixels}px)`)
+    : check(id, true, `${label} fits in search results (about ${width}px of ${maxPixels}px)`);
+}
+
+/**
+ * Score the on-page SEO of a row without contacting WordPress
+ * Checks the meta title and description (characters and pixel width), the focus keyword in the title, slug,
+ * first paragraph and subheadings, keyword density, slug length and duplicate meta descriptions.
+ * context: { contentFormat, partial (update rows: columns left blank keep the post's value, so their checks are
+ * skipped), duplicateOf (description of where the row's meta description is already used, or null) }
+ * Returns { score (0-100, null when no check applies), checks: [{ id, passed, message, weight }] }
+ */
+export function scoreSeoRow(row, { contentFormat = 'html', partial = false, duplicateOf = null } = {}) {
+  const checks = [];
+  const title = (row.meta_title || row.title || '').trim();
+  const description = (row.meta_description || '').trim();
+  const keyword = normalizeTitle(row.focus_keyword || '');
+  // New posts without a slug get one from their title; updates keep the post's slug
+  const slug = row.slug?.trim() ? decodeSlug(row.slug.trim()) : partial ? '' : slugify(row.title || '');
+  // A keyword made only of punctuation has no slug form to look for
+  const keywordSlug = slugify(keyword);
+
+  let html = '';
+  if (row.content?.trim()) {
+    try {
+      html = renderRowContent(row.content.trim(), row, contentFormat);
+    } catch {
+      // Unreadable content is reported by the content lint
+    }
+  }
+
+  if (title) {
+    checks.push(checkLength('title-length', 'SEO title', title.length, TITLE_LENGTH));
+    checks.push(checkWidth('title-width', 'SEO title', title, TITLE_FONT_SIZE, TITLE_MAX_PIXELS));
+  }
+
+  if (description) {
+    checks.push(checkLength('description-length', 'Meta description', description.length, DESCRIPTION_LENGTH));
+    checks.push(checkWidth('description-width', 'Meta description', description, DESCRIPTION_FONT_SIZE, DESCRIPTION_MAX_PIXELS));
+    checks.push(duplicateOf
+      ? check('description-unique', false, `Meta description is also used by ${duplicateOf}`)
+      : check('description-unique', true, 'Meta description is unique'));
+  } else if (!partial) {
+    const weight = CHECK_WEIGHTS['description-length'] + CHECK_WEIGHTS['description-width'];
+    checks.push({ id: 'meta-description', passed: false, message: 'No meta description', weight });
+  }
+
+  if (slug) {
+    checks.push(slug.length > SLUG_MAX_LENGTH
+      ? check('slug-length', false, `Slug is long (${slug.length} characters, aim for ${SLUG_MAX_LENGTH} or fewer)`)
+      : check('slug-length', true, `Slug length is good (${slug.length} characters)`));
+  }
+
+  if (keyword) {
+    if (title) {
+      checks.push(countKeyword(normalizeTitle(title), keyword) > 0
+        ? check('keyword-in-title', true, 'Focus keyword appears in the SEO title')
+        : check('keyword-in-title', false, 'Focus keyword is missing from the SEO title'));
+    }
+    if (slug && keywordSlug) {
+      checks.push(slug.includes(keywordSlug)
+        ? check('keyword-in-slug', true, 'Focus keyword appears in the slug')
+        : check('keyword-in-slug', false, 'Focus keyword is missing from the slug'));
+    }
+    if (html) {
+      const firstParagraph = html.match(/<p\b[^>]*>([\s\S]*?)<\/p>/i)?.[1] ?? html.split(/\n\s*\n/)[0];
+      checks.push(countKeyword(normalizeTitle(firstParagraph), keyword) > 0
+        ? check('keyword-in-first-paragraph', true, 'Focus keyword appears in the first paragraph')
+        : check('keyword-in-first-paragraph', false, 'Focus keyword is missing from the first paragraph'));
+
+      const headings = [...html.matchAll(/<h[2-6]\b[^>]*>([\s\S]*?)<\/h[2-6]>/gi)].map(match => normalizeTitle(match[1]));
+      if (headings.length > 0) {
+        checks.push(headings.some(heading => countKeyword(heading, keyword) > 0)
+          ? check('keyword-in-headings', true, 'Focus keyword appears in a subheading')
+          : check('keyword-in-headings', false, `Focus keyword is missing from all ${headings.length} subheading(s)`));
+      }
+
+      const text = normalizeTitle(html.replace(/<\/?(p|div|li|h[1-6]|br|td|th|blockquote|figcaption)\b[^>]*>/gi, ' '));
+      const words = text.split(/\s+/).filter(Boolean).length;
+      if (words > 0) {
+        const occurrences = countKeyword(text, keyword);
+        const density = Math.round(((occurrences * keyword.split(' ').length) / words) * 1000) / 10;
+        const detail = `${density}%, ${occurrences} time(s) in ${words} words`;
+        if (density < KEYWORD_DENSITY.min) {
+          checks.push(check('keyword-density', false, `Keyword density is low (${detail}, aim for ${KEYWORD_DENSITY.min}–${KEYWORD_DENSITY.max}%)`));
+        } else if (density > KEYWORD_DENSITY.max) {
+          checks.push(check('keyword-density', false, `Keyword density is high (${detail}, aim for ${KEYWORD_DENSITY.min}–${KEYWORD_DENSITY.max}%)`));
+        } else {
+          checks.push(check('keyword-density', true, `Keyword density is good (${detail})`));
+        }
+      }
+    }
+  } else if (!partial) {
+    // Without a focus keyword none of the keyword checks can pass
+    const weight = KEYWORD_CHECKS.reduce((sum, id) => sum + CHECK_WEIGHTS[id], 0);
+    checks.push({ id: 'focus-keyword', passed: false, message: 'No focus keyword', weight });
+  }
+
+  const total = checks.reduce((sum, item) => sum + item.weight, 0);
+  const earned = checks.filter(item => item.passed).reduce((sum, item) => sum + item.weight, 0);
+  return { score: total > 0 ? Math.round((earned / total) * 100) : null, checks };
+}
+
+/**
+ * Score every row before anything is sent
+ * settings: { contentFormat, partial (update runs), minScore (rows scoring below it are blocked, null for none),
+ * existingDescriptions (from loadExistingDescriptions, or null) }
+ * Returns { rows: [{ rowNumber, title, score, checks, blocked }], average, blockedRows, minScore }
+ */
+export function scoreSeoRows(rows, { contentFormat = 'html', partial = false, minScore = null, existingDescriptions = null } = {}) {
+  // Meta descriptions by normalized text, to find the ones used by more than one row
+  const descriptionRows = new Map();
+  rows.forEach((row, index) => {
+    const key = normalizeDescription(row.meta_description);
+    if (!key) return;
+    if (!descriptionRows.has(key)) descriptionRows.set(key, []);
+    descriptionRows.get(key).push(index + 1);
+  });
+
+  const report = rows.map((row, index) => {
+    const rowNumber = index + 1;
+    const key = normalizeDescription(row.meta_description);
+    const duplicates = [];
+    if (key) {
+      const otherRows = descriptionRows.get(key).filter(number => number !== rowNumber);
+      if (otherRows.length > 0) duplicates.push(`row ${otherRows.join(', ')}`);
+
+      // A post is not a duplicate of itself: updates skip the post the row targets
+      const rowSlug = row.slug?.trim().toLowerCase();
+      const posts = (existingDescriptions?.get(key) || []).filter(post => String(post.id) !== String(row.post_id || '').trim()
+        && !(rowSlug && post.slug === rowSlug));
+      if (posts.length > 0) duplicates.push(`existing ${posts.map(post => `"${post.title}" (ID: ${post.id})`).join(', ')}`);
+    }
+
+    const { score, checks } = scoreSeoRow(row, { contentFormat, partial, duplicateOf: duplicates.join(' and ') || null });
+    return {
+      rowNumber,
+      title: row.title || (row.post_id ? `Post ${row.post_id}` : 'Untitled'),
+      score,
+      checks,
+      blocked: minScore !== null && score !== null && score < minScore,
+    };
+  });
+
+  const scored = report.filter(row => row.score !== null);
+  return {
+    rows: report,
+    average: scored.length > 0 ? Math.round(scored.reduce((sum, row) => sum + row.score, 0) / scored.length) : null,
+    blockedRows: report.filter(row => row.blocked).length,
+    minScore,
+  };
+}
+
+/**
+ * Read the meta descriptions of the site's existing posts, so rows that reuse one can be flagged
+ * Returns a Map of normalized description → [{ id, title, slug }]
+ */
+export async function loadExistingDescriptions(apiInstance, plugin, restBases, progressCallback = null) {
+  const descriptions = new Map();
+  const key = plugin.keys.meta_description;
+
+  for (const restBase of restBases) {
+    let page = 1;
+    let totalPages = 1;
+    do {
+      const response = await apiInstance.get(`/${restBase}`, {
+        params: { per_page: 100, page, status: 'any', context: 'edit', _fields: `id,title,slug,meta,${key}` },
+      });
+      totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+
+      for (const post of response.data) {
+        const description = normalizeDescription(getSeoValue(post, plugin, 'meta_description'));
+        if (!description) continue;
+        if (!descriptions.has(description)) descriptions.set(description, []);
+        descriptions.get(description).push({ id: post.id, title: post.title?.raw ?? post.title?.rendered ?? '', slug: post.slug || '' });
+      }
+
+      if (progressCallback && totalPages > 1) {
+        progressCallback({ type: 'info', message: `🗂️  Reading meta descriptions of existing ${restBase}: page ${page} of ${totalPages}` });
+      }
+      page++;
+    } while (page <= totalPages);
+  }
+
+  return descriptions;
+}
+
+/**
+ * Summarize an SEO score report in one line
+ */
+export function describeSeoReport(report) {
+  if (report.average === null) return '📈 SEO score: nothing to score';
+  const below = report.minScore !== null
+    ? `, ${report.blockedRows} row(s) below the minimum of ${report.minScore}`
+    : '';
+  return `📈 SEO score: average ${report.average}/100 over ${report.rows.filter(row => row.score !== null).length} row(s)${below}`;
+}
+
+/**
+ * Get the error message of a row blocked by its SEO score
+ */
+export function describeLowScoreRow(scoreRow, minScore) {
+  const failed = scoreRow.checks.filter(item => !item.passed).map(item => item.message);
+  return `SEO score ${scoreRow.score} is below the minimum of ${minScore}: ${failed.join('; ')}`;
+}
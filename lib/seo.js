@@ -0,0 +1,365 @@
+import { uploadMediaItem, checkMedia } from './media.js';
+
+// Row columns handled by the SEO adapters
+export const SEO_COLUMNS = [
+  'meta_title', 'meta_description', 'focus_keyword',
+  'og_title', 'og_description', 'og_image', 'twitter_title', 'twitter_image',
+  'canonical_url', 'noindex', 'nofollow',
+];
+
+// Columns holding an image path or URL, uploaded through the media pipeline like a featured image
+export const SEO_IMAGE_COLUMNS = ['og_image', 'twitter_image'];
+
+// Yes/no columns
+const SEO_FLAG_COLUMNS = ['noindex', 'nofollow'];
+
+// Post meta keys of each supported SEO plugin; namespace is the REST namespace that reveals the plugin.
+// imageIdKeys hold the attachment ID next to an image URL, robots the [yes, no] values of noindex and nofollow
+// (Rank Math keeps both in one list instead) and extraFields the keys a column also needs to take effect.
+const SEO_PLUGINS = {
+  yoast: {
+    id: 'yoast',
+    name: 'Yoast SEO',
+    namespace: 'yoast/v1',
+    keys: {
+      meta_title: '_yoast_wpseo_title',
+      meta_description: '_yoast_wpseo_metadesc',
+      focus_keyword: '_yoast_wpseo_focuskw',
+      og_title: '_yoast_wpseo_opengraph-title',
+      og_description: '_yoast_wpseo_opengraph-description',
+      og_image: '_yoast_wpseo_opengraph-image',
+      twitter_title: '_yoast_wpseo_twitter-title',
+      twitter_image: '_yoast_wpseo_twitter-image',
+      canonical_url: '_yoast_wpseo_canonical',
+      noindex: '_yoast_wpseo_meta-robots-noindex',
+      nofollow: '_yoast_wpseo_meta-robots-nofollow',
+    },
+    imageIdKeys: { og_image: '_yoast_wpseo_opengraph-image-id', twitter_image: '_yoast_wpseo_twitter-image-id' },
+    robots: { noindex: ['1', '2'], nofollow: ['1', '0'] },
+  },
+  rankmath: {
+    id: 'rankmath',
+    name: 'Rank Math',
+    namespace: 'rankmath/v1',
+    keys: {
+      meta_title: 'rank_math_title',
+      meta_description: 'rank_math_description',
+      focus_keyword: 'rank_math_focus_keyword',
+      og_title: 'rank_math_facebook_title',
+      og_description: 'rank_math_facebook_description',
+      og_image: 'rank_math_facebook_image',
+      twitter_title: 'rank_math_twitter_title',
+      twitter_image: 'rank_math_twitter_image',
+      canonical_url: 'rank_math_canonical_url',
+      noindex: 'rank_math_robots',
+      nofollow: 'rank_math_robots',
+    },
+    imageIdKeys: { og_image: 'rank_math_facebook_image_id', twitter_image: 'rank_math_twitter_image_id' },
+    robotsList: true,
+    // Rank Math ignores the Twitter fields while the post reuses its Facebook ones
+    extraFields: {
+      twitter_title: { rank_math_twitter_use_facebook: 'off' },
+      twitter_image: { rank_math_twitter_use_facebook: 'off' },
+    },
+  },
+  aioseo: {
+    id: 'aioseo',
+    name: 'All in One SEO',
+    namespace: 'aioseo/v1',
+    keys: {
+      meta_title: '_aioseo_title',
+      meta_description: '_aioseo_description',
+      focus_keyword: '_aioseo_keywords',
+      og_title: '_aioseo_og_title',
+      og_description: '_aioseo_og_description',
+      og_image: '_aioseo_og_image_custom_url',
+      twitter_title: '_aioseo_twitter_title',
+      twitter_image: '_aioseo_twitter_image_custom_url',
+      canonical_url: '_aioseo_canonical_url',
+      noindex: '_aioseo_robots_noindex',
+      nofollow: '_aioseo_robots_nofollow',
+    },
+    robots: { noindex: ['1', '0'], nofollow: ['1', '0'] },
+    // Custom images and robots settings only apply once the post stops using the defaults
+    extraFields: {
+      og_image: { _aioseo_og_image_type: 'custom_image' },
+      twitter_image: { _aioseo_twitter_image_type: 'custom_image', _aioseo_twitter_use_og: '0' },
+      twitter_title: { _aioseo_twitter_use_og: '0' },
+      noindex: { _aioseo_robots_default: '0' },
+      nofollow: { _aioseo_robots_default: '0' },
+    },
+  },
+  seopress: {
+    id: 'seopress',
+    name: 'SEOPress',
+    namespace: 'seopress/v1',
+    keys: {
+      meta_title: '_seopress_titles_title',
+      meta_description: '_seopress_titles_desc',
+      focus_keyword: '_seopress_analysis_target_kw',
+      og_title: '_seopress_social_fb_title',
+      og_description: '_seopress_social_fb_desc',
+      og_image: '_seopress_social_fb_img',
+      twitter_title: '_seopress_social_twitter_title',
+      twitter_image: '_seopress_social_twitter_img',
+      canonical_url: '_seopress_robots_canonical',
+      noindex: '_seopress_robots_index',
+      nofollow: '_seopress_robots_follow',
+    },
+    imageIdKeys: { og_image: '_seopress_social_fb_img_attachment_id', twitter_image: '_seopress_social_twitter_img_attachment_id' },
+    robots: { noindex: ['yes', ''], nofollow: ['yes', ''] },
+  },
+};
+
+/**
+ * Read a yes/no column ("yes", "no", "true", "false", "1", "0")
+ */
+function parseFlag(column, value) {
+  const flag = value.trim().toLowerCase();
+  if (['yes', 'y', 'true', '1', 'on'].includes(flag)) return true;
+  if (['no', 'n', 'false', '0', 'off'].includes(flag)) return false;
+  throw new Error(`Invalid ${column} value "${value}". Use yes or no.`);
+}
+
+/**
+ * Check whether a row sets any SEO column, without reading the values (a bad noindex or nofollow value fails its
+ * own row when getSeoValues reads it)
+ */
+export function hasSeoValues(row) {
+  return SEO_COLUMNS.some(column => row[column]?.trim());
+}
+
+/**
+ * Get the SEO values a row sets (blank columns left out)
+ * Text columns are trimmed, noindex and nofollow become booleans and og_image and twitter_image stay the path or
+ * URL of the image until uploadSeoImages replaces them with the attachment.
+ */
+export function getSeoValues(row) {
+  const values = {};
+  for (const column of SEO_COLUMNS) {
+    if (row[column]?.trim()) {
+      values[column] = SEO_FLAG_COLUMNS.includes(column) ? parseFlag(column, row[column]) : row[column].trim();
+    }
+  }
+  return values;
+}
+
+/**
+ * Turn a stored meta value back into the text of its SEO column ("yes"/"no" for noindex and nofollow), or null
+ * when it holds nothing the column can express (e.g. robots left at the plugin's default)
+ * decode turns stored values into lists (Rank Math's robots are a serialized array in an export).
+ */
+function readSeoColumn(plugin, column, value, decode = entry => entry) {
+  if (value === null || value === undefined) return null;
+  if (!SEO_FLAG_COLUMNS.includes(column)) {
+    return String(value).trim() || null;
+  }
+  if (plugin.robotsList) {
+    const list = [].concat(decode(value) || []);
+    return list.length > 0 ? (list.includes(column) ? 'yes' : 'no') : null;
+  }
+  const flag = String(value);
+  return flag !== '' && plugin.robots[column].includes(flag) ? (flag === plugin.robots[column][0] ? 'yes' : 'no') : null;
+}
+
+/**
+ * Read the SEO columns back out of the post meta of any supported plugin (e.g. the postmeta of a WordPress export)
+ * The first plugin with a value wins. Returns { values: { column: text }, keys: Set of the meta keys used }.
+ */
+export function readSeoMeta(meta, decode = value => value) {
+  const values = {};
+  const keys = new Set();
+
+  for (const plugin of Object.values(SEO_PLUGINS)) {
+    for (const [column, key] of Object.entries(plugin.keys)) {
+      if (!(key in meta)) continue;
+      keys.add(key);
+      if (column in values) continue;
+
+      const value = readSeoColumn(plugin, column, meta[key], decode);
+      if (value !== null) values[column] = value;
+    }
+    Object.values(plugin.imageIdKeys || {}).forEach(key => keys.add(key));
+    Object.values(plugin.extraFields || {}).forEach(fields => Object.keys(fields).forEach(key => keys.add(key)));
+  }
+
+  return { values, keys };
+}
+
+/**
+ * Find the SEO plugin a site runs
+ * The site's seo_plugin setting (yoast, rankmath, aioseo, seopress or none) wins; with "auto" the plugin is
+ * detected from the REST namespaces the site announces. Returns the plugin's adapter, or null when there is none.
+ */
+export async function detectSeoPlugin(apiInstance, clientConfig) {
+  const setting = clientConfig.seo_plugin || 'auto';
+  if (setting === 'none') return null;
+  if (setting !== 'auto') {
+    if (!SEO_PLUGINS[setting]) {
+      throw new Error(`Unknown SEO plugin "${setting}". Use auto, yoast, rankmath, aioseo, seopress or none.`);
+    }
+    return SEO_PLUGINS[setting];
+  }
+
+  try {
+    const response = await apiInstance.get('', { baseURL: `${clientConfig.wp_site}/wp-json/` });
+    const namespaces = response.data?.namespaces || [];
+    return Object.values(SEO_PLUGINS).find(plugin => namespaces.includes(plugin.namespace)) || null;
+  } catch (error) {
+    console.warn(`⚠️  Could not detect the SEO plugin (${error.message}).`);
+    return null;
+  }
+}
+
+/**
+ * Upload the og_image and twitter_image of a row through the media pipeline (processing and reuse of identical
+ * attachments included) and replace their path or URL in the values with the attachment's { id, url }
+ * Dry runs only check the images and list them in the plan. Images that cannot be uploaded are left out of the
+ * values and returned, so the row is flagged rather than failed, like a featured image.
+ */
+export async function uploadSeoImages(values, apiInstance, clientConfig, mediaLibrary, rowContext, result) {
+  const failed = [];
+  for (const column of SEO_IMAGE_COLUMNS) {
+    if (!values[column]) continue;
+
+    if (rowContext.plan) {
+      const image = { field: column, ...await checkMedia(values[column], mediaLibrary, clientConfig) };
+      rowContext.plan.seoImages = [...(rowContext.plan.seoImages || []), image];
+      result.imageBytesSaved += image.bytesSaved;
+      continue;
+    }
+
+    const media = await uploadMediaItem(values[column], apiInstance, clientConfig, mediaLibrary);
+    if (!media) {
+      failed.push(column);
+      delete values[column];
+      continue;
+    }
+    values[column] = { id: media.id, url: media.url };
+    rowContext.uploadedMedia.set(media.url, media.id);
+    if (media.reused) {
+      result.reusedMedia.push(media.id);
+    } else {
+      result.createdMedia.push(media.id);
+      result.imageBytesSaved += media.bytesSaved;
+    }
+  }
+  return failed;
+}
+
+/**
+ * Map a row's SEO values to the plugin's meta keys
+ * Returns [{ field, key, value }]: field is the row column (or "robots" for Rank Math's combined list). Images
+ * uploaded by uploadSeoImages set their URL and attachment ID; images not uploaded yet (dry runs) only their URL.
+ * Rank Math keeps noindex and nofollow in one list, so a row setting only one of them resets the other.
+ */
+export function buildSeoFields(plugin, values) {
+  const fields = new Map();
+  const add = (field, key, value) => fields.set(key, { field, key, value });
+  const addExtras = (column) => {
+    for (const [key, value] of Object.entries(plugin.extraFields?.[column] || {})) add(column, key, value);
+  };
+
+  for (const [column, value] of Object.entries(values)) {
+    if (SEO_FLAG_COLUMNS.includes(column)) continue;
+    if (SEO_IMAGE_COLUMNS.includes(column) && typeof value === 'object') {
+      add(column, plugin.keys[column], value.url);
+      if (plugin.imageIdKeys?.[column]) add(column, plugin.imageIdKeys[column], value.id);
+    } else {
+      add(column, plugin.keys[column], value);
+    }
+    addExtras(column);
+  }
+
+  const flags = SEO_FLAG_COLUMNS.filter(column => column in values);
+  if (flags.length > 0 && plugin.robotsList) {
+    add('robots', plugin.keys.noindex, [values.noindex ? 'noindex' : 'index', ...(values.nofollow ? ['nofollow'] : [])]);
+  } else {
+    for (const column of flags) {
+      add(column, plugin.keys[column], plugin.robots[column][values[column] ? 0 : 1]);
+      addExtras(column);
+    }
+  }
+
+  return [...fields.values()];
+}
+
+/**
+ * Add a row's SEO values to the post data under the plugin's keys
+ * Values are sent as top-level fields (exposed by the helper plugin with register_rest_field) and as post meta
+ * (for sites that register the keys with show_in_rest).
+ */
+export function applySeoFields(postData, plugin, values) {
+  for (const { key, value } of buildSeoFields(plugin, values)) {
+    postData[key] = value;
+    postData.meta = { ...postData.meta, [key]: value };
+  }
+}
+
+/**
+ * Read the current value of an SEO meta key from a post, or null when the REST API does not return it
+ */
+export function getSeoMetaValue(post, key) {
+  const value = post[key] ?? post.meta?.[key];
+  // Meta registered without single => true comes back as a list of values
+  if (Array.isArray(value) && value.length <= 1) return value[0] ?? null;
+  return value ?? null;
+}
+
+/**
+ * Read the current value of an SEO column from a post, or null when the REST API does not return it
+ */
+export function getSeoValue(post, plugin, column) {
+  return getSeoMetaValue(post, plugin.keys[column]);
+}
+
+/**
+ * Read a post's SEO values as row columns, the way getSeoValues reads them from a row (blank ones left out)
+ */
+export function getSeoColumns(post, plugin) {
+  const values = {};
+  for (const column of SEO_COLUMNS) {
+    const value = readSeoColumn(plugin, column, getSeoValue(post, plugin, column));
+    if (value !== null) values[column] = value;
+  }
+  return values;
+}
+
+/**
+ * Check whether a value read back matches the value sent
+ */
+function isSavedValue(actual, expected) {
+  if (actual === null) return false;
+  if (Array.isArray(expected)) return [].concat(actual).sort().join(',') === [...expected].sort().join(',');
+  return String(actual).trim() === String(expected);
+}
+
+/**
+ * Read a saved post back and check that its SEO values persisted
+ * Returns { plugin, fields: [{ field, key, expected, actual, saved }], unsaved: [field names] }; a field written
+ * to several keys (an image URL and its attachment ID) is saved when all of them are, and reports the first that
+ * is not.
+ */
+export async function verifySeoFields(apiInstance, endpoint, postId, plugin, values) {
+  const response = await apiInstance.get(`${endpoint}/${postId}`, { params: { context: 'edit' } });
+  const byField = new Map();
+  for (const { field, key, value } of buildSeoFields(plugin, values)) {
+    const actual = getSeoMetaValue(response.data, key);
+    const entry = { field, key, expected: value, actual, saved: isSavedValue(actual, value) };
+    const previous = byField.get(field);
+    if (!previous || (previous.saved && !entry.saved)) byField.set(field, entry);
+  }
+  const fields = [...byField.values()];
+
+  return { plugin: plugin.name, fields, unsaved: fields.filter(field => !field.saved).map(field => field.field) };
+}
+
+/**
+ * Describe why SEO fields did not persist, for log messages and row warnings
+ */
+export function describeUnsavedSeo(seo) {
+  const details = seo.fields.filter(field => !field.saved).map(field => (field.actual === null
+    ? `${field.field} (${field.key} is not returned by the REST API)`
+    : `${field.field} (saved as "${field.actual}")`));
+  return `${seo.plugin} did not save ${details.join(', ')}`;
+}
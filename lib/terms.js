@@ -0,0 +1,211 @@
+import { isHierarchicalTaxonomy } from './content-types.js';
+
+/**
+ * Sleep for specified milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Normalize a term name for comparison (WordPress returns names HTML-encoded)
+ */
+function normalizeTermName(name) {
+  return String(name || '')
+    .replace(/&amp;/g, '&')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .toLowerCase()
+    .trim();
+}
+
+/**
+ * Create an empty per-run term cache
+ * Each taxonomy is loaded in full the first time a row uses it.
+ */
+export function createTermCache() {
+  return { taxonomies: new Map() };
+}
+
+/**
+ * Add a term to a taxonomy's cache
+ */
+function cacheTerm(taxonomyCache, term) {
+  const entry = { id: term.id, name: term.name, parent: term.parent || 0 };
+  const key = normalizeTermName(term.name);
+
+  if (!taxonomyCache.byName.has(key)) {
+    taxonomyCache.byName.set(key, []);
+  }
+  taxonomyCache.byName.get(key).push(entry);
+  return entry;
+}
+
+/**
+ * Get the cached terms of a taxonomy, loading every term from WordPress on first use
+ */
+async function loadTaxonomy(termCache, taxonomy, apiInstance) {
+  if (termCache.taxonomies.has(taxonomy)) {
+    return termCache.taxonomies.get(taxonomy);
+  }
+
+  const taxonomyCache = { byName: new Map() };
+  let page = 1;
+  let totalPages = 1;
+  do {
+    const response = await apiInstance.get(`/${taxonomy}`, {
+      params: { per_page: 100, page, hide_empty: false, _fields: 'id,name,parent' },
+    });
+    totalPages = parseInt(response.headers?.['x-wp-totalpages'] || '1', 10);
+    response.data.forEach(term => cacheTerm(taxonomyCache, term));
+    page++;
+  } while (page <= totalPages);
+
+  termCache.taxonomies.set(taxonomy, taxonomyCache);
+  return taxonomyCache;
+}
+
+/**
+ * Find a cached term by name
+ * With a parent ID only a child of that parent matches; without one, top-level terms are preferred.
+ */
+function findCachedTerm(taxonomyCache, name, parent) {
+  const candidates = taxonomyCache.byName.get(normalizeTermName(name)) || [];
+  if (parent !== undefined) {
+    return candidates.find(term => term.parent === parent) || null;
+  }
+  return candidates.find(term => term.parent === 0) || candidates[0] || null;
+}
+
+/**
+ * Create a term and add it to the cache
+ * A term WordPress already has (created since the cache was loaded) is reused instead.
+ */
+async function createTerm(taxonomyCache, taxonomy, name, parent, apiInstance, clientConfig, runContext) {
+  await sleep(clientConfig.request_delay_ms);
+
+  let term;
+  try {
+    const createResponse = await apiInstance.post(`/${taxonomy}`, parent ? { name, parent } : { name });
+    term = createResponse.data;
+
+    // Remember terms this run created so a rollback can remove them again
+    runContext.createdTerms?.push({ taxonomy, id: term.id, name });
+  } catch (error) {
+    const existingId = error.response?.data?.code === 'term_exists' ? error.response.data.data?.term_id : null;
+    if (!existingId) throw error;
+    term = { id: existingId, name, parent };
+  }
+
+  return cacheTerm(taxonomyCache, { ...term, parent: term.parent ?? parent });
+}
+
+/**
+ * Get or create a taxonomy term (category, tag or custom taxonomy, by REST base)
+ * For hierarchical taxonomies a "Food > Brunch > Weekend" path creates any missing parents
+ * and returns the ID of the leaf. Dry runs record the terms that would be created and return null.
+ */
+export async function getOrCreateTerm(name, taxonomy, apiInstance, clientConfig, runContext = {}) {
+  if (!name || !name.trim()) return null;
+
+  const trimmedName = name.trim();
+  const termCache = runContext.termCache || createTermCache();
+
+  try {
+    const taxonomyCache = await loadTaxonomy(termCache, taxonomy, apiInstance);
+
+    const segments = isHierarchicalTaxonomy(runContext.contentTypes, taxonomy)
+      ? trimmedName.split('>').map(s => s.trim()).filter(Boolean)
+      : [trimmedName];
+
+    // A plain name matches the term wherever it sits in the hierarchy
+    if (segments.length === 1) {
+      const existing = findCachedTerm(taxonomyCache, segments[0]);
+      if (existing) return existing.id;
+    }
+
+    let parent = 0;
+    for (let i = 0; i < segments.length; i++) {
+      const existing = findCachedTerm(taxonomyCache, segments[i], parent);
+      if (existing) {
+        parent = existing.id;
+        continue;
+      }
+
+      // Dry run: record the term that would be created instead of creating it
+      if (runContext.dryRun) {
+        runContext.plan?.termsToCreate.push({ taxonomy, name: segments.slice(0, i + 1).join(' > ') });
+        // Children of a term that does not exist yet cannot exist either
+        segments.slice(i + 1).forEach((segment, offset) => {
+          runContext.plan?.termsToCreate.push({ taxonomy, name: segments.slice(0, i + offset + 2).join(' > ') });
+        });
+        return null;
+      }
+
+      const created = await createTerm(taxonomyCache, taxonomy, segments[i], parent, apiInstance, clientConfig, runContext);
+      parent = created.id;
+    }
+
+    return parent || null;
+  } catch (error) {
+    console.error(`⚠️  Failed to get/create ${taxonomy} "${trimmedName}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Split a comma-separated term list into names
+ * A comma that is part of a name is written "\," and a backslash "\\" (as joinTermNames writes them); other
+ * backslashes are kept as they are.
+ */
+export function splitTermNames(termString) {
+  const names = [];
+  let name = '';
+  const text = String(termString || '');
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\\' && (text[i + 1] === ',' || text[i + 1] === '\\')) {
+      name += text[++i];
+    } else if (text[i] === ',') {
+      names.push(name);
+      name = '';
+    } else {
+      name += text[i];
+    }
+  }
+  names.push(name);
+  return names.map(n => n.trim()).filter(Boolean);
+}
+
+/**
+ * Join term names into a comma-separated term list that splitTermNames reads back ("Food\, Drink,News")
+ */
+export function joinTermNames(names) {
+  return names.map(name => String(name).replace(/[\\,]/g, '\\$&')).join(',');
+}
+
+/**
+ * Resolve multiple terms from comma-separated string
+ */
+export async function resolveTerms(termString, taxonomy, apiInstance, clientConfig, runContext = {}) {
+  if (!termString || !termString.trim()) return [];
+
+  const names = splitTermNames(termString);
+  const termIds = [];
+
+  for (const name of names) {
+    const id = await getOrCreateTerm(name, taxonomy, apiInstance, clientConfig, runContext);
+    if (id && !termIds.includes(id)) {
+      termIds.push(id);
+    }
+  }
+
+  return termIds;
+}
+
+/**
+ * Get the leaf name of a term path ("Food > Brunch" → "Brunch")
+ */
+export function getTermLeafName(name, taxonomy, contentTypes = null) {
+  return isHierarchicalTaxonomy(contentTypes, taxonomy) ? name.split('>').pop().trim() : name.trim();
+}
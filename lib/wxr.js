@@ -0,0 +1,280 @@
+import fs from 'fs';
+import { XMLParser } from 'fast-xml-parser';
+import { readSeoMeta } from './seo.js';
+import { joinTermNames } from './terms.js';
+
+// Post types of an export that are not content of their own (attachments are read for their URLs only)
+const SKIPPED_POST_TYPES = new Set([
+  'attachment', 'revision', 'nav_menu_item', 'custom_css', 'customize_changeset', 'oembed_cache', 'user_request',
+  'wp_block', 'wp_template', 'wp_template_part', 'wp_global_styles', 'wp_navigation', 'wp_font_family', 'wp_font_face',
+]);
+
+// Statuses of posts that are not imported
+const SKIPPED_STATUSES = new Set(['trash', 'auto-draft', 'inherit']);
+
+// Taxonomies with a column of their own; post formats and menus are not imported
+const TAXONOMY_COLUMNS = { category: 'categories', post_tag: 'tags' };
+const SKIPPED_TAXONOMIES = new Set(['post_format', 'nav_menu', 'link_category', 'wp_theme', 'wp_template_part_area', 'wp_pattern_category']);
+
+// Elements that can repeat, read as lists even when an export has only one
+const LIST_ELEMENTS = new Set(['item', 'category', 'wp:author', 'wp:category', 'wp:tag', 'wp:term', 'wp:postmeta', 'wp:comment']);
+
+/**
+ * Get the text of a parsed element ('' when it is empty or missing)
+ */
+function text(node) {
+  if (node === undefined || node === null) return '';
+  if (typeof node === 'object') return String(node['#text'] ?? '');
+  return String(node);
+}
+
+/**
+ * Decode a PHP-serialized value, as WordPress stores arrays in post meta ('a:1:{i:0;s:7:"noindex";}')
+ * Arrays with keys 0..n-1 become lists, other arrays objects. Returns undefined for values that are not serialized
+ * or hold PHP objects.
+ */
+export function unserializePhp(value) {
+  if (typeof value !== 'string' || !/^(a:\d+:\{|s:\d+:"|i:-?\d+;|d:[^;]+;|b:[01];|N;)/.test(value)) return undefined;
+
+  const bytes = Buffer.from(value, 'utf-8');
+  let position = 0;
+  const readUntil = (character) => {
+    const end = bytes.indexOf(character, position);
+    if (end === -1) throw new Error('Truncated value');
+    const part = bytes.toString('utf-8', position, end);
+    position = end + 1;
+    return part;
+  };
+
+  const read = () => {
+    const type = String.fromCharCode(bytes[position]);
+    position += 2;
+    switch (type) {
+      case 'N':
+        return null;
+      case 'b':
+        return readUntil(';') === '1';
+      case 'i':
+        return parseInt(readUntil(';'), 10);
+      case 'd':
+        return parseFloat(readUntil(';'));
+      case 's': {
+        // String lengths count bytes, not characters
+        const length = parseInt(readUntil(':'), 10);
+        const string = bytes.toString('utf-8', position + 1, position + 1 + length);
+        position += length + 3;
+        return string;
+      }
+      case 'a': {
+        const count = parseInt(readUntil(':'), 10);
+        position++;
+        const entries = [];
+        for (let i = 0; i < count; i++) entries.push([read(), read()]);
+        position++;
+        return entries.every(([key], index) => key === index)
+          ? entries.map(([, entry]) => entry)
+          : Object.fromEntries(entries);
+      }
+      default:
+        throw new Error(`Unsupported type ${type}`);
+    }
+  };
+
+  try {
+    const result = read();
+    return position === bytes.length ? result : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Parse a WordPress export (WXR) file
+ * Returns { siteUrl, authors: Map(login → { login, email, displayName }), terms: Map("taxonomy:slug" → { taxonomy,
+ * slug, name, parent }), items: [{ id, type, status, title, slug, content, excerpt, creator, date, dateGmt,
+ * attachmentUrl, terms: [{ taxonomy, slug, name }], meta: { key: value } }] }
+ */
+export function parseWxr(xml) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    parseTagValue: false,
+    isArray: (name) => LIST_ELEMENTS.has(name),
+  });
+
+  const channel = parser.parse(xml)?.rss?.channel;
+  if (!channel || !channel['wp:wxr_version']) {
+    throw new Error('Not a WordPress export (WXR) file');
+  }
+
+  const authors = new Map();
+  for (const author of channel['wp:author'] || []) {
+    const login = text(author['wp:author_login']);
+    authors.set(login, { login, email: text(author['wp:author_email']), displayName: text(author['wp:author_display_name']) });
+  }
+
+  const terms = new Map();
+  const addTerm = (taxonomy, slug, name, parent) => terms.set(`${taxonomy}:${slug}`, { taxonomy, slug, name, parent: parent || null });
+  for (const category of channel['wp:category'] || []) {
+    addTerm('category', text(category['wp:category_nicename']), text(category['wp:cat_name']), text(category['wp:category_parent']));
+  }
+  for (const tag of channel['wp:tag'] || []) {
+    addTerm('post_tag', text(tag['wp:tag_slug']), text(tag['wp:tag_name']));
+  }
+  for (const term of channel['wp:term'] || []) {
+    addTerm(text(term['wp:term_taxonomy']), text(term['wp:term_slug']), text(term['wp:term_name']), text(term['wp:term_parent']));
+  }
+
+  const items = (channel.item || []).map(item => {
+    const meta = {};
+    for (const entry of item['wp:postmeta'] || []) {
+      meta[text(entry['wp:meta_key'])] = text(entry['wp:meta_value']);
+    }
+    return {
+      id: text(item['wp:post_id']),
+      type: text(item['wp:post_type']) || 'post',
+      status: text(item['wp:status']),
+      title: text(item.title),
+      slug: text(item['wp:post_name']),
+      content: text(item['content:encoded']),
+      excerpt: text(item['excerpt:encoded']),
+      creator: text(item['dc:creator']),
+      date: text(item['wp:post_date']),
+      dateGmt: text(item['wp:post_date_gmt']),
+      attachmentUrl: text(item['wp:attachment_url']),
+      terms: (item.category || []).filter(category => typeof category === 'object' && category['@_domain']).map(category => ({
+        taxonomy: category['@_domain'],
+        slug: category['@_nicename'] || '',
+        name: text(category),
+      })),
+      meta,
+    };
+  });
+
+  return { siteUrl: text(channel['wp:base_site_url']) || text(channel.link), authors, terms, items };
+}
+
+/**
+ * Get a term's name with the names of its parents ("Food > Brunch"), as the categories column nests terms
+ */
+function termPath(terms, term) {
+  const names = [term.name];
+  const seen = new Set([term.slug]);
+  let parent = term.parent && terms.get(`${term.taxonomy}:${term.parent}`);
+  while (parent && !seen.has(parent.slug)) {
+    names.unshift(parent.name);
+    seen.add(parent.slug);
+    parent = parent.parent && terms.get(`${parent.taxonomy}:${parent.parent}`);
+  }
+  return names.join(' > ');
+}
+
+/**
+ * Check whether a WXR date is set ("0000-00-00 00:00:00" is WordPress for none)
+ */
+function isSetDate(date) {
+  return /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(date) && !date.startsWith('0000');
+}
+
+/**
+ * Read a meta value, decoding PHP-serialized arrays
+ */
+function metaValue(value) {
+  const decoded = unserializePhp(value);
+  return decoded === undefined ? value : decoded;
+}
+
+/**
+ * Split a post's meta into the row columns it feeds
+ * _thumbnail_id becomes the featured image, SEO plugin keys the SEO columns, ACF fields (a key whose "_key" twin
+ * names an ACF field) acf_json and the remaining public keys meta_json. Other "_" keys are internal and left out.
+ */
+function metaColumns(meta, attachments) {
+  const row = {};
+
+  const thumbnail = attachments.get(meta._thumbnail_id);
+  if (thumbnail?.attachmentUrl) {
+    row.featured_image_url = thumbnail.attachmentUrl;
+    if (thumbnail.meta._wp_attachment_image_alt) row.featured_image_alt = thumbnail.meta._wp_attachment_image_alt;
+    if (thumbnail.title) row.featured_image_title = thumbnail.title;
+    if (thumbnail.excerpt) row.featured_image_caption = thumbnail.excerpt;
+    if (thumbnail.content) row.featured_image_description = thumbnail.content;
+  }
+
+  const seo = readSeoMeta(meta, metaValue);
+  Object.assign(row, seo.values);
+
+  const acf = {};
+  const custom = {};
+  for (const [key, value] of Object.entries(meta)) {
+    if (key.startsWith('_') || seo.keys.has(key)) continue;
+    if (meta[`_${key}`]?.startsWith('field_')) {
+      acf[key] = metaValue(value);
+    } else {
+      custom[key] = metaValue(value);
+    }
+  }
+  if (Object.keys(acf).length > 0) row.acf_json = JSON.stringify(acf);
+  if (Object.keys(custom).length > 0) row.meta_json = JSON.stringify(custom);
+
+  return row;
+}
+
+/**
+ * Turn the posts of a parsed export into rows for the create pipeline
+ * Attachments, menus, revisions and trashed or auto-draft posts are left out. Without preserveOriginal, WordPress
+ * gives every post a new slug and date and scheduled posts come in as drafts; with it, posts keep their slug and
+ * their original (GMT) publish date.
+ */
+export function wxrToRows(wxr, { preserveOriginal = false } = {}) {
+  const attachments = new Map(wxr.items.filter(item => item.type === 'attachment').map(item => [item.id, item]));
+
+  return wxr.items
+    .filter(item => !SKIPPED_POST_TYPES.has(item.type) && !SKIPPED_STATUSES.has(item.status))
+    .map(item => {
+      const row = {
+        title: item.title,
+        content: item.content,
+        status: item.status === 'future' && !preserveOriginal ? 'draft' : item.status,
+      };
+      if (item.type !== 'post') row.post_type = item.type;
+      if (item.excerpt) row.excerpt = item.excerpt;
+
+      // Authors are matched by email (or login) against the users of the site being imported into
+      const author = wxr.authors.get(item.creator);
+      if (author || item.creator) row.author = author?.email || item.creator;
+
+      const termPaths = {};
+      for (const itemTerm of item.terms) {
+        if (SKIPPED_TAXONOMIES.has(itemTerm.taxonomy)) continue;
+        const term = wxr.terms.get(`${itemTerm.taxonomy}:${itemTerm.slug}`) || { ...itemTerm, parent: null };
+        const column = TAXONOMY_COLUMNS[itemTerm.taxonomy] || `tax:${itemTerm.taxonomy}`;
+        (termPaths[column] ||= []).push(termPath(wxr.terms, term));
+      }
+      for (const [column, paths] of Object.entries(termPaths)) {
+        row[column] = joinTermNames(paths);
+      }
+
+      Object.assign(row, metaColumns(item.meta, attachments));
+
+      if (preserveOriginal) {
+        if (item.slug) row.slug = item.slug;
+        if (isSetDate(item.dateGmt)) {
+          row.publish_date = item.dateGmt.slice(0, 16);
+          row.timezone = '+00:00';
+        } else if (isSetDate(item.date) && !['draft', 'pending'].includes(item.status)) {
+          // Dates without a GMT twin are in the old site's timezone, assumed to match the new site's
+          row.publish_date = item.date.slice(0, 16);
+        }
+      }
+
+      return row;
+    });
+}
+
+/**
+ * Read the posts of a WXR file as rows
+ */
+export function readWxrRows(fullPath, options = {}) {
+  return wxrToRows(parseWxr(fs.readFileSync(fullPath, 'utf-8')), options);
+}
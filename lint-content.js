@@ -0,0 +1,93 @@
+import fs from 'fs';
+import path from 'path';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getClientConfig } from './lib/clients.js';
+import { readInput, listBatches, describeInput, describeInputFormat } from './lib/rows.js';
+import { loadMapping, applyMapping, findHeaderProblems } from './lib/column-mapping.js';
+import { normalizeContentFormat } from './lib/markdown.js';
+import { normalizeLintBlock, lintRows, describeLintReport } from './lib/content-lint.js';
+
+dotenv.config();
+
+const { values: args, positionals } = parseArgs({
+  options: {
+    client: { type: 'string' },
+    'content-format': { type: 'string' },
+    'lint-block': { type: 'string' },
+    sheet: { type: 'string' },
+    mapping: { type: 'string' },
+  },
+  allowPositionals: true,
+});
+
+const SEVERITY_ICONS = { error: '❌', warning: '⚠️ ', info: 'ℹ️ ' };
+
+/**
+ * Print the lint report of one input (or workbook sheet), after how it was read and any header problems
+ */
+function printReport(label, { format, headerProblems, report }) {
+  console.log(`🔎 Content lint of ${label} (${report.rows.length} row(s), blocking: ${report.block})\n`);
+
+  if (format) console.log(`🔤 Read as ${format}`);
+  for (const problem of headerProblems) {
+    console.log(`${SEVERITY_ICONS[problem.severity]} ${problem.message}`);
+  }
+
+  for (const row of report.rows) {
+    if (row.issues.length === 0) continue;
+    console.log(`[${row.rowNumber}] ${row.title}${row.blocked ? ' — BLOCKED' : ''}`);
+    for (const issue of row.issues) {
+      console.log(`   ${SEVERITY_ICONS[issue.severity]} ${issue.message} (${issue.rule})`);
+    }
+  }
+
+  console.log(`\n${describeLintReport(report)}`);
+}
+
+/**
+ * Lint the content of an input file (or folder of Markdown files) without contacting WordPress
+ * Every sheet of a workbook is linted unless --sheet picks one. Exits with code 1 when any row has an error or
+ * would be blocked, or a header is repeated.
+ */
+async function main() {
+  if (!positionals[0]) {
+    console.log('Usage: npm run lint-content -- <file.csv | file.xlsx | file.json | file.ndjson | markdown-folder> [--sheet name] [--mapping profile.json] [--content-format markdown] [--lint-block error|warning|off] [--client id]');
+    process.exit(1);
+  }
+
+  const reports = [];
+  try {
+    const clientConfig = getClientConfig(args.client || null);
+    const contentFormat = normalizeContentFormat(args['content-format']);
+    const block = args['lint-block'] ? normalizeLintBlock(args['lint-block']) : clientConfig.content_lint.block;
+    const mapping = args.mapping ? loadMapping(args.mapping, clientConfig.id) : null;
+
+    const fullPath = path.resolve(positionals[0]);
+    if (!fs.existsSync(fullPath)) {
+      throw new Error(`Input file not found: ${fullPath}`);
+    }
+
+    for (const sheet of await listBatches(fullPath, args.sheet)) {
+      const input = await readInput(fullPath, { sheet });
+      reports.push({
+        sheet,
+        format: describeInputFormat(input),
+        headerProblems: findHeaderProblems(input.headers, mapping),
+        report: lintRows(mapping ? applyMapping(input.rows, mapping) : input.rows, { ...clientConfig.content_lint, block }, contentFormat),
+      });
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  reports.forEach(({ sheet, ...result }, index) => {
+    if (index > 0) console.log('');
+    printReport(describeInput(positionals[0], sheet), result);
+  });
+  const failed = reports.some(({ headerProblems, report }) => report.errors > 0 || report.blockedRows > 0 || headerProblems.some(problem => problem.severity === 'error'));
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -1,11 +1,30 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getClientConfig } from './lib/clients.js';
+import { loadContentTypes, resolvePostType } from './lib/content-types.js';
+import { normalizeTitle } from './lib/post-index.js';
 
 dotenv.config();
 
-const WP_SITE = process.env.WP_SITE;
-const WP_USER = process.env.WP_USER;
-const WP_APP_PASSWORD = process.env.WP_APP_PASSWORD;
+const { values: args } = parseArgs({
+  options: {
+    client: { type: 'string' },
+    type: { type: 'string' },
+  },
+});
+
+let clientConfig;
+try {
+  clientConfig = getClientConfig(args.client || null);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const WP_SITE = clientConfig.wp_site;
+const WP_USER = clientConfig.wp_user;
+const WP_APP_PASSWORD = clientConfig.wp_app_password;
 
 if (!WP_SITE || !WP_USER || !WP_APP_PASSWORD) {
   console.error('❌ Missing required environment variables');
@@ -23,7 +42,11 @@ const api = axios.create({
 });
 
 async function listAllPosts() {
-  console.log('📋 Fetching all posts from WordPress...\n');
+  // --type page (or any REST-enabled post type) lists that type instead of posts
+  const postType = resolvePostType(await loadContentTypes(api), args.type);
+  const label = postType.name.toUpperCase();
+
+  console.log(`📋 Fetching all ${postType.name.toLowerCase()} from WordPress...\n`);
   
   let page = 1;
   const perPage = 100;
@@ -32,7 +55,7 @@ async function listAllPosts() {
 
   while (hasMore) {
     try {
-      const response = await api.get('/posts', {
+      const response = await api.get(`/${postType.restBase}`, {
         params: {
           per_page: perPage,
           page: page,
@@ -60,9 +83,9 @@ async function listAllPosts() {
     }
   }
 
-  console.log(`\n📊 Total posts found: ${allPosts.length}\n`);
+  console.log(`\n📊 Total ${postType.name.toLowerCase()} found: ${allPosts.length}\n`);
   console.log('═'.repeat(100));
-  console.log('ALL POSTS:');
+  console.log(`ALL ${label}:`);
   console.log('═'.repeat(100));
 
   // Group by status
@@ -84,7 +107,7 @@ async function listAllPosts() {
 
   // Display published posts
   if (byStatus.publish.length > 0) {
-    console.log(`\n✅ PUBLISHED POSTS (${byStatus.publish.length}):`);
+    console.log(`\n✅ PUBLISHED ${label} (${byStatus.publish.length}):`);
     console.log('-'.repeat(100));
     byStatus.publish.forEach((post, index) => {
       const title = post.title?.rendered || post.title?.raw || post.title || 'No title';
@@ -96,7 +119,7 @@ async function listAllPosts() {
 
   // Display draft posts
   if (byStatus.draft.length > 0) {
-    console.log(`\n📝 DRAFT POSTS (${byStatus.draft.length}):`);
+    console.log(`\n📝 DRAFT ${label} (${byStatus.draft.length}):`);
     console.log('-'.repeat(100));
     byStatus.draft.forEach((post, index) => {
       const title = post.title?.rendered || post.title?.raw || post.title || 'No title';
@@ -109,7 +132,7 @@ async function listAllPosts() {
   // Display other statuses
   ['private', 'pending', 'future', 'trash'].forEach(status => {
     if (byStatus[status].length > 0) {
-      console.log(`\n${status.toUpperCase()} POSTS (${byStatus[status].length}):`);
+      console.log(`\n${status.toUpperCase()} ${label} (${byStatus[status].length}):`);
       console.log('-'.repeat(100));
       byStatus[status].forEach((post, index) => {
         const title = post.title?.rendered || post.title?.raw || post.title || 'No title';
@@ -135,7 +158,8 @@ async function listAllPosts() {
   
   const titleMap = new Map();
   allPosts.forEach(post => {
-    const title = (post.title?.rendered || post.title?.raw || post.title || '').toLowerCase().trim();
+    // Same normalization as the duplicate check of bulk uploads
+    const title = normalizeTitle(post.title?.rendered || post.title?.raw || post.title || '');
     if (title) {
       if (!titleMap.has(title)) {
         titleMap.set(title, []);
@@ -8,6 +8,38 @@ const errorSection = document.getElementById('errorSection');
 const errorMessage = document.getElementById('errorMessage');
 const clientSelector = document.getElementById('clientSelector');
 const clientSelect = document.getElementById('clientSelect');
+const dryRunCheckbox = document.getElementById('dryRunCheckbox');
+const sideloadImagesCheckbox = document.getElementById('sideloadImagesCheckbox');
+const contentFormatSelect = document.getElementById('contentFormatSelect');
+const convertToBlocksCheckbox = document.getElementById('convertToBlocksCheckbox');
+const lintBlockSelect = document.getElementById('lintBlockSelect');
+const lintReport = document.getElementById('lintReport');
+const seoMinScoreInput = document.getElementById('seoMinScoreInput');
+const sheetOption = document.getElementById('sheetOption');
+const sheetSelect = document.getElementById('sheetSelect');
+const preserveOriginalOption = document.getElementById('preserveOriginalOption');
+const preserveOriginalCheckbox = document.getElementById('preserveOriginalCheckbox');
+const modeSelect = document.getElementById('modeSelect');
+const scheduleOption = document.getElementById('scheduleOption');
+const scheduleInput = document.getElementById('scheduleInput');
+const previewActions = document.getElementById('previewActions');
+const applySelectedBtn = document.getElementById('applySelectedBtn');
+const mappingPanel = document.getElementById('mappingPanel');
+const mappingProfileSelect = document.getElementById('mappingProfileSelect');
+const mappingNote = document.getElementById('mappingNote');
+const mappingRows = document.getElementById('mappingRows');
+const mappingProfileName = document.getElementById('mappingProfileName');
+const saveMappingBtn = document.getElementById('saveMappingBtn');
+const deleteMappingBtn = document.getElementById('deleteMappingBtn');
+
+// The fields columns can be mapped to, the site's saved mapping profiles and the mapping of the selected file
+// (header → field, or null to ignore the column); null until the lint has suggested one
+let mappingFields = [];
+let mappingProfiles = [];
+let columnMapping = null;
+
+// The last submitted file and site, so a reviewed preview can be applied without re-uploading
+let lastSubmission = null;
 
 const fileLabel = document.getElementById('fileLabel');
 const fileText = document.getElementById('fileText');
@@ -26,6 +58,13 @@ fileInput.addEventListener('change', (e) => {
         
         // Disable the file input to prevent accidental changes
         fileInput.disabled = true;
+
+        // Lint the content before anything is uploaded; a workbook's sheets and the suggested column mapping
+        // come back with the lint
+        resetSheets();
+        resetMapping();
+        updatePreserveOriginalOption();
+        runLint();
     } else {
         // Reset to default state
         fileLabel.style.display = 'flex';
@@ -34,6 +73,30 @@ fileInput.addEventListener('change', (e) => {
     }
 });
 
+// The lint report depends on the content format, the blocking level and the site's settings
+[sheetSelect, contentFormatSelect, lintBlockSelect].forEach(select => select.addEventListener('change', () => {
+    if (fileInput.files[0]) runLint();
+}));
+
+// Each site has its own mapping profiles, so the mapping is suggested again
+clientSelect.addEventListener('change', async () => {
+    columnMapping = null;
+    await loadMappings();
+    if (fileInput.files[0]) runLint();
+});
+
+// Keeping original slugs and dates applies to new posts from a WordPress export (.xml)
+function updatePreserveOriginalOption() {
+    const isExport = /\.xml$/i.test(fileInput.files[0]?.name || '');
+    preserveOriginalOption.style.display = isExport && modeSelect.value === 'upload' ? 'flex' : 'none';
+}
+
+// Auto-scheduling only applies to new posts
+modeSelect.addEventListener('change', () => {
+    scheduleOption.style.display = modeSelect.value === 'upload' ? 'flex' : 'none';
+    updatePreserveOriginalOption();
+});
+
 // Clear file selection
 clearFileBtn.addEventListener('click', (e) => {
     e.preventDefault();
@@ -46,6 +109,10 @@ clearFileBtn.addEventListener('click', (e) => {
     // Show label again, hide selected file info
     fileLabel.style.display = 'flex';
     selectedFileInfo.style.display = 'none';
+    lintReport.style.display = 'none';
+    resetSheets();
+    resetMapping();
+    updatePreserveOriginalOption();
     
     // Reset form if needed
     if (resultSection.style.display !== 'none') {
@@ -115,8 +182,8 @@ async function loadClients() {
   }
 }
 
-// Load clients when page loads
-loadClients();
+// Load clients when page loads, then the mapping profiles of the selected site
+loadClients().then(loadMappings);
 
 // Handle form submission
 form.addEventListener('submit', async (e) => {
@@ -124,7 +191,7 @@ form.addEventListener('submit', async (e) => {
   
   const file = fileInput.files[0];
   if (!file) {
-    showError('<i class="fas fa-exclamation-circle"></i> Please select a CSV file before uploading');
+    showError('<i class="fas fa-exclamation-circle"></i> Please select a CSV, Excel or JSON file before uploading');
     // Scroll to error section
     errorSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
     // Highlight the file input area
@@ -140,9 +207,85 @@ form.addEventListener('submit', async (e) => {
     return;
   }
 
-  // Always use upload endpoint
-  const endpoint = '/upload';
+  // Require a site selection when several WordPress sites are configured
+  if (multiClientSelector.style.display !== 'none' && !clientSelect.value) {
+    showError('<i class="fas fa-exclamation-circle"></i> Please select a WordPress site before uploading');
+    clientSelect.focus();
+    return;
+  }
+
+  const endpoint = modeSelect.value === 'update' ? '/update' : '/upload';
+
+  const formData = new FormData();
+  formData.append('csvfile', file);
+  
+  // Add client ID if selected
+  const selectedClientId = clientSelect.value;
+  if (selectedClientId) {
+    formData.append('clientId', selectedClientId);
+  }
+
+  // A workbook runs one batch per sheet unless a single sheet is chosen
+  if (sheetSelect.value) {
+    formData.append('sheet', sheetSelect.value);
+  }
+
+  // Rename the file's columns to the fields they are mapped to
+  if (columnMapping) {
+    formData.append('mapping', JSON.stringify(columnMapping));
+  }
+
+  // Keep the slugs and dates of a WordPress export (uploads only)
+  if (modeSelect.value === 'upload' && preserveOriginalOption.style.display !== 'none' && preserveOriginalCheckbox.checked) {
+    formData.append('preserveOriginal', 'true');
+  }
+
+  // Spread new posts without a publish_date across a cadence (uploads only)
+  if (modeSelect.value === 'upload' && scheduleInput.value.trim()) {
+    formData.append('schedule', scheduleInput.value.trim());
+  }
+
+  // Default format of the content column; a content_format column overrides it per row
+  formData.append('contentFormat', contentFormatSelect.value);
+
+  // Download hotlinked <img> images and point the content at the uploaded copies
+  if (sideloadImagesCheckbox.checked) {
+    formData.append('sideloadImages', 'true');
+  }
+
+  // Save the content as blocks instead of one Classic block
+  if (convertToBlocksCheckbox.checked) {
+    formData.append('convertToBlocks', 'true');
+  }
+
+  // Override the site's content lint blocking level
+  if (lintBlockSelect.value) {
+    formData.append('lintBlock', lintBlockSelect.value);
+  }
+
+  // Override the site's minimum SEO score
+  if (seoMinScoreInput.value.trim()) {
+    formData.append('seoMinScore', seoMinScoreInput.value.trim());
+  }
+
+  // Dry run: preview what would happen without writing to WordPress
+  if (dryRunCheckbox.checked) {
+    formData.append('dryRun', 'true');
+  }
+
+  lastSubmission = { file, clientId: selectedClientId, endpoint, sheet: sheetSelect.value, sideloadImages: sideloadImagesCheckbox.checked, contentFormat: contentFormatSelect.value, convertToBlocks: convertToBlocksCheckbox.checked, lintBlock: lintBlockSelect.value, seoMinScore: seoMinScoreInput.value.trim(), mapping: columnMapping };
 
+  // Submitting only queues the job; progress is followed over SSE
+  await runJob(() => fetch(endpoint, {
+    method: 'POST',
+    body: formData,
+    credentials: 'include' // Include cookies for authentication
+  }));
+});
+
+// Queue a job, follow its progress and show its results
+// startRequest performs the POST that queues the job
+async function runJob(startRequest) {
   // Hide previous results/errors
   resultSection.style.display = 'none';
   errorSection.style.display = 'none';
@@ -164,43 +307,37 @@ form.addEventListener('submit', async (e) => {
   uploadBtn.querySelector('.btn-loader').style.display = 'inline';
 
   try {
-    // Generate session ID and connect to SSE FIRST
-    const sessionId = Date.now().toString() + '-' + Math.random().toString(36).substr(2, 9);
-    const eventSource = connectToProgress(sessionId);
-    
-        const formData = new FormData();
-        formData.append('csvfile', file);
-        formData.append('sessionId', sessionId);
-        
-        // Add client ID if selected
-        const selectedClientId = clientSelect.value;
-        if (selectedClientId) {
-          formData.append('clientId', selectedClientId);
-        }
-
-    const response = await fetch(endpoint, {
-      method: 'POST',
-      body: formData,
-      credentials: 'include' // Include cookies for authentication
-    });
-    
+    const response = await startRequest();
     const data = await response.json();
-    
-    // Close SSE connection after processing is complete
-    if (eventSource) {
-      setTimeout(() => {
-        eventSource.close();
-      }, 1000);
+    if (!data.success) {
+      showError(data.error || 'Upload failed');
+      return;
+    }
+
+    // A workbook with several sheets is queued as one job per sheet, followed one after the other
+    const jobIds = data.jobIds || [data.jobId];
+    const summaries = [];
+    const errors = [];
+    for (const jobId of jobIds) {
+      progressText.textContent = 'Job queued...';
+      const finalEvent = await followJob(jobId);
+      const job = await fetchJob(jobId);
+      if (finalEvent.type === 'complete' && job.summary) {
+        summaries.push(job.summary);
+      } else {
+        errors.push(job.error || finalEvent.error || 'Upload failed');
+      }
     }
     
     progressText.textContent = 'Processing complete!';
 
-    if (data.success) {
+    if (summaries.length > 0) {
       setTimeout(() => {
-        showResults(data.result);
+        showResults(summaries.length === 1 ? summaries[0] : mergeSummaries(summaries));
+        if (errors.length > 0) showError(errors.join('<br>'));
       }, 500);
     } else {
-      showError(data.error || 'Upload failed');
+      showError(errors.join('<br>'));
     }
   } catch (error) {
     showError('Error: ' + error.message);
@@ -217,54 +354,624 @@ form.addEventListener('submit', async (e) => {
     } else {
       fileInput.disabled = false;
     }
+
+    // A finished or failed run changes the lists of resumable and past runs
+    loadCheckpoints();
+    loadRuns();
+  }
+}
+
+// Combine the summaries of the sheets of a workbook into one, each row tagged with its sheet
+function mergeSummaries(summaries) {
+  const sum = (field) => summaries.reduce((total, summary) => total + (summary[field] || 0), 0);
+  return {
+    ...summaries[0],
+    success: sum('success'),
+    failed: sum('failed'),
+    total: sum('total'),
+    duration: sum('duration').toFixed(2),
+    imageBytesSaved: sum('imageBytesSaved'),
+    sheets: summaries.map(summary => summary.sheet),
+    results: summaries.flatMap(summary => summary.results.map(r => ({ ...r, sheet: summary.sheet }))),
+  };
+}
+
+// Load unfinished runs that can be resumed
+async function loadCheckpoints() {
+  const checkpointSection = document.getElementById('checkpointSection');
+  const checkpointList = document.getElementById('checkpointList');
+
+  try {
+    const response = await fetch('/api/checkpoints', {
+      credentials: 'include'
+    });
+    const data = await response.json();
+
+    if (!data.success || data.checkpoints.length === 0) {
+      checkpointSection.style.display = 'none';
+      return;
+    }
+
+    checkpointList.innerHTML = data.checkpoints.map(checkpoint => `
+        <div class="checkpoint-item">
+            <div class="checkpoint-info">
+                <strong>${escapeHtml(checkpoint.fileName)}${checkpoint.sheet ? ` › ${escapeHtml(checkpoint.sheet)}` : ''}</strong>
+                <span>${checkpoint.mode === 'update' ? 'Update' : 'Upload'} · ${checkpoint.processedRows} of ${checkpoint.selectedRows ? checkpoint.selectedRows.length : checkpoint.totalRows} row(s) done · stopped ${new Date(checkpoint.updatedAt).toLocaleString()}</span>
+            </div>
+            <button type="button" class="resume-btn" data-checkpoint-id="${escapeHtml(checkpoint.id)}">
+                <i class="fas fa-play"></i> Resume from row ${checkpoint.nextRow}
+            </button>
+        </div>
+    `).join('');
+
+    checkpointList.querySelectorAll('.resume-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        runJob(() => fetch(`/api/checkpoints/${encodeURIComponent(button.dataset.checkpointId)}/resume`, {
+          method: 'POST',
+          credentials: 'include'
+        }));
+      });
+    });
+
+    checkpointSection.style.display = 'block';
+  } catch (error) {
+    console.error('Failed to load checkpoints:', error);
+    checkpointSection.style.display = 'none';
+  }
+}
+
+// Download the filtered posts of the selected site as an update CSV
+document.getElementById('exportForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const params = new URLSearchParams();
+  if (clientSelect.value) params.set('clientId', clientSelect.value);
+  for (const field of ['type', 'status', 'category', 'search', 'after', 'before']) {
+    const value = e.target.elements[field].value.trim();
+    if (value) params.set(field, value);
+  }
+
+  const exportBtn = document.getElementById('exportBtn');
+  exportBtn.disabled = true;
+  try {
+    const response = await fetch(`/api/export?${params}`, { credentials: 'include' });
+    if (!response.ok) {
+      const data = await response.json();
+      throw new Error(data.error || 'Export failed');
+    }
+
+    const fileName = (response.headers.get('Content-Disposition') || '').match(/filename="?([^";]+)"?/)?.[1] || 'export.csv';
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  } catch (error) {
+    showError('Error: ' + escapeHtml(error.message));
+  } finally {
+    exportBtn.disabled = false;
+  }
+});
+
+// Load completed runs that can be rolled back
+async function loadRuns() {
+  const runHistorySection = document.getElementById('runHistorySection');
+  const runHistoryList = document.getElementById('runHistoryList');
+
+  try {
+    const response = await fetch('/api/runs', {
+      credentials: 'include'
+    });
+    const data = await response.json();
+
+    if (!data.success || data.runs.length === 0) {
+      runHistorySection.style.display = 'none';
+      return;
+    }
+
+    runHistoryList.innerHTML = data.runs.map(run => `
+        <div class="checkpoint-item">
+            <div class="checkpoint-info">
+                <strong>${escapeHtml(run.fileName || run.id)}</strong>
+                <span>${run.mode === 'update' ? 'Update' : 'Upload'}${run.clientId ? ' · ' + escapeHtml(run.clientId) : ''} · ${run.success} ok, ${run.failed} failed · ${new Date(run.finishedAt).toLocaleString()}</span>
+            </div>
+            ${run.rolledBackAt
+                ? `<span class="rolled-back-label"><i class="fas fa-undo"></i> Rolled back ${new Date(run.rolledBackAt).toLocaleString()}</span>`
+                : `<button type="button" class="rollback-btn" data-run-id="${escapeHtml(run.id)}" data-run-name="${escapeHtml(run.fileName || run.id)}">
+                <i class="fas fa-undo"></i> Rollback
+            </button>`}
+        </div>
+    `).join('');
+
+    runHistoryList.querySelectorAll('.rollback-btn').forEach(button => {
+      button.addEventListener('click', () => {
+        if (!confirm(`Roll back "${button.dataset.runName}"? Created posts will be moved to the trash and updated posts restored.`)) {
+          return;
+        }
+        const force = confirm('Delete the created posts permanently instead of moving them to the trash?');
+
+        runJob(() => fetch(`/api/runs/${encodeURIComponent(button.dataset.runId)}/rollback`, {
+          method: 'POST',
+          credentials: 'include',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ force })
+        }));
+      });
+    });
+
+    runHistorySection.style.display = 'block';
+  } catch (error) {
+    console.error('Failed to load runs:', error);
+    runHistorySection.style.display = 'none';
   }
+}
+
+// Load resumable and past runs when page loads
+loadCheckpoints();
+loadRuns();
+
+// Escape text before inserting it into HTML
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Summarize a dry-run plan (terms to create, image check) for the results table
+function describePlan(plan) {
+    if (!plan) return '-';
+
+    const parts = [];
+    if (plan.termsToCreate.length > 0) {
+        const taxonomyLabels = { categories: 'category', tags: 'tag' };
+        const terms = plan.termsToCreate.map(t => `${escapeHtml(t.name)} (${escapeHtml(taxonomyLabels[t.taxonomy] || t.taxonomy)})`);
+        parts.push(`<i class="fas fa-plus-circle"></i> New terms: ${terms.join(', ')}`);
+    }
+    if (plan.image) {
+        parts.push(!plan.image.valid
+            ? `<i class="fas fa-exclamation-triangle"></i> Image problem: ${escapeHtml(plan.image.error)}`
+            : plan.image.existingMediaId
+            ? `<i class="fas fa-recycle"></i> Image already in media library: reuses attachment ${plan.image.existingMediaId}`
+            : `<i class="fas fa-image"></i> Image OK: ${escapeHtml(plan.image.fileName)} (${Math.round(plan.image.bytes / 1024)} KB)`);
+
+        const detailLabels = { alt_text: 'Alt text', caption: 'Caption', title: 'Title', description: 'Description' };
+        Object.entries(plan.image.details || {}).forEach(([field, value]) => {
+            parts.push(`<i class="fas fa-tag"></i> ${detailLabels[field] || escapeHtml(field)}: ${escapeHtml(value)}`);
+        });
+    }
+
+    (plan.seoImages || []).forEach(image => {
+        parts.push(!image.valid
+            ? `<i class="fas fa-exclamation-triangle"></i> ${escapeHtml(image.field)} problem: ${escapeHtml(image.error)}`
+            : image.existingMediaId
+            ? `<i class="fas fa-recycle"></i> ${escapeHtml(image.field)} already in media library: reuses attachment ${image.existingMediaId}`
+            : `<i class="fas fa-share-alt"></i> ${escapeHtml(image.field)} OK: ${escapeHtml(image.fileName)} (${Math.round(image.bytes / 1024)} KB)`);
+    });
+
+    return parts.length > 0 ? `<div class="plan-details">${parts.join('<br>')}</div>` : '-';
+}
+
+// List the external content images of a row and where they were moved
+function describeContentImages(images, dryRun) {
+    if (!images || images.length === 0) return '-';
+
+    const items = images.map(image => image.error
+        ? `<i class="fas fa-exclamation-triangle"></i> ${escapeHtml(image.source)}: ${escapeHtml(image.error)}`
+        : dryRun
+        ? `<i class="fas fa-image"></i> ${escapeHtml(image.source)} (${image.attachmentId ? `already in media library as attachment ${image.attachmentId}` : 'will be moved'})`
+        : `<i class="fas fa-image"></i> ${escapeHtml(image.source)} → <a href="${escapeHtml(image.url)}" target="_blank" rel="noopener">${escapeHtml(image.url)}</a>${image.existing ? ' (existing attachment)' : ''}`);
+    // Images found in the media library are linked to, not moved
+    const moved = images.filter(image => !image.error && !image.existing).length;
+    const existing = images.filter(image => !image.error && image.existing).length;
+    const inLibrary = existing > 0 ? `, ${existing} already in media library` : '';
+
+    return `<details class="content-images"><summary>${moved} of ${images.length} ${dryRun ? 'to move' : 'moved'}${inLibrary}</summary>${items.join('<br>')}</details>`;
+}
+
+// List the content lint issues of a row
+function describeLintIssues(issues) {
+    if (!issues || issues.length === 0) return '-';
+
+    return `<div class="lint-issues">${issues.map(issue => `<span class="lint-${issue.severity}"><i class="fas ${issue.severity === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}"></i>${escapeHtml(issue.message)}</span>`).join('<br>')}</div>`;
+}
+
+// Hide the sheet choice until the lint has listed the sheets of a workbook
+function resetSheets() {
+    sheetSelect.innerHTML = '';
+    sheetOption.style.display = 'none';
+}
+
+// List the sheets of a workbook to choose from; with several, every sheet runs as a batch of its own by default
+function showSheets(sheets) {
+    if (sheets.length <= 1 || sheetSelect.options.length > 0) return;
+
+    sheetSelect.innerHTML = `<option value="">All sheets (one batch each)</option>${sheets.map(sheet => `<option value="${escapeHtml(sheet)}">${escapeHtml(sheet)}</option>`).join('')}`;
+    sheetOption.style.display = 'flex';
+}
+
+// Show how a CSV file was read (when not comma-separated UTF-8) and the problems found in its headers
+function describeHeaderProblems(format, problems, sheet) {
+    const label = sheet ? `<strong>${escapeHtml(sheet)}</strong> · ` : '';
+    const lines = problems.map(problem => `<div class="lint-${problem.severity}"><i class="fas ${problem.severity === 'error' ? 'fa-times-circle' : 'fa-exclamation-triangle'}"></i> ${label}${escapeHtml(problem.message)}</div>`);
+    if (format) lines.unshift(`<div><i class="fas fa-font"></i> ${label}Read as ${escapeHtml(format)}</div>`);
+    return lines.join('');
+}
+
+// Render the lint report of one input (or workbook sheet)
+function describeLintReport(report, sheet) {
+    const label = sheet ? `<strong>${escapeHtml(sheet)}</strong> · ` : '';
+    const rows = report.rows.filter(row => row.issues.length > 0);
+    if (rows.length === 0) {
+        return `<div><i class="fas fa-check-circle"></i> ${label}Content lint: no issues in ${report.rows.length} row(s)</div>`;
+    }
+
+    const blocked = report.blockedRows > 0
+        ? ` <strong>${report.blockedRows} row(s) will be skipped</strong> (${report.block === 'warning' ? 'errors and warnings' : 'errors'} block a row).`
+        : '';
+    return `
+        <div><i class="fas fa-search"></i> ${label}Content lint: ${report.errors} error(s), ${report.warnings} warning(s) in ${rows.length} of ${report.rows.length} row(s).${blocked}</div>
+        <table>
+            <thead><tr><th>Row</th><th>Title</th><th>Issues</th><th></th></tr></thead>
+            <tbody>${rows.map(row => `
+                <tr>
+                    <td>${row.rowNumber}</td>
+                    <td>${escapeHtml(row.title)}</td>
+                    <td>${describeLintIssues(row.issues)}</td>
+                    <td>${row.blocked ? '<span class="status-failed">Skipped</span>' : ''}</td>
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
+}
+
+// Lint the selected file's content and show the per-row report above the upload button
+async function runLint() {
+    const formData = new FormData();
+    formData.append('csvfile', fileInput.files[0]);
+    formData.append('contentFormat', contentFormatSelect.value);
+    if (sheetSelect.value) formData.append('sheet', sheetSelect.value);
+    if (clientSelect.value) formData.append('clientId', clientSelect.value);
+    if (lintBlockSelect.value) formData.append('lintBlock', lintBlockSelect.value);
+    if (columnMapping) formData.append('mapping', JSON.stringify(columnMapping));
+
+    try {
+        const response = await fetch('/api/lint', { method: 'POST', body: formData, credentials: 'include' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Content lint failed');
+
+        showSheets(data.sheets);
+        if (!columnMapping) showMapping(data.headers, data.mapping, data.profile);
+        lintReport.innerHTML = data.reports.map(({ sheet, format, headerProblems, report }) => {
+            const label = data.reports.length > 1 ? sheet : null;
+            return describeHeaderProblems(format, headerProblems, label) + describeLintReport(report, label);
+        }).join('');
+        lintReport.style.display = 'block';
+    } catch (error) {
+        lintReport.innerHTML = `<i class="fas fa-exclamation-triangle"></i> ${escapeHtml(error.message)}`;
+        lintReport.style.display = 'block';
+    }
+}
+
+// Load the fields columns can be mapped to and the selected site's mapping profiles
+async function loadMappings() {
+    try {
+        const query = clientSelect.value ? `?clientId=${encodeURIComponent(clientSelect.value)}` : '';
+        const response = await fetch(`/api/mappings${query}`, { credentials: 'include' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Could not load the mapping profiles');
+
+        mappingFields = data.fields;
+        mappingProfiles = data.profiles;
+    } catch (error) {
+        mappingProfiles = [];
+    }
+    updateProfileSelect(mappingProfileSelect.value);
+}
+
+// List the saved profiles to apply to the file
+function updateProfileSelect(selected) {
+    mappingProfileSelect.innerHTML = `<option value="">Suggested from the headers</option>${mappingProfiles.map(profile => `<option value="${escapeHtml(profile.name)}">${escapeHtml(profile.name)}</option>`).join('')}`;
+    mappingProfileSelect.value = mappingProfiles.some(profile => profile.name === selected) ? selected : '';
+    deleteMappingBtn.style.display = mappingProfileSelect.value ? 'inline-block' : 'none';
+}
+
+// Hide the column mapping until the lint has read the headers of a file
+function resetMapping() {
+    columnMapping = null;
+    mappingRows.innerHTML = '';
+    mappingPanel.style.display = 'none';
+}
+
+// Show the headers of the file with the field each is mapped to
+function showMapping(headers, mapping, profile) {
+    if (!headers || headers.length === 0) {
+        resetMapping();
+        return;
+    }
+
+    columnMapping = { ...mapping };
+    updateProfileSelect(profile || '');
+    mappingProfileName.value = profile || '';
+    renderMapping();
+    mappingPanel.style.display = 'block';
+}
+
+// Render one field select per header; changing a field lints the file again with the new mapping
+function renderMapping() {
+    const headers = Object.keys(columnMapping);
+    const mapped = headers.filter(header => columnMapping[header]).length;
+    mappingNote.textContent = `${mapped} of ${headers.length} column(s) mapped to a field. Ignored columns are not sent to WordPress.`;
+
+    mappingRows.innerHTML = headers.map(header => {
+        const field = columnMapping[header] || '';
+        // Taxonomy columns (tax:<taxonomy>) are not in the field list but keep their field
+        const fields = field && !mappingFields.some(option => option.field === field)
+            ? [...mappingFields, { field, label: field }]
+            : mappingFields;
+        return `
+            <tr>
+                <td>${escapeHtml(header)}</td>
+                <td>
+                    <select class="mode-select mapping-field" data-header="${escapeHtml(header)}">
+                        <option value="">— Ignore —</option>
+                        ${fields.map(option => `<option value="${escapeHtml(option.field)}"${option.field === field ? ' selected' : ''}>${escapeHtml(option.label)}</option>`).join('')}
+                    </select>
+                </td>
+            </tr>`;
+    }).join('');
+
+    mappingRows.querySelectorAll('.mapping-field').forEach(select => select.addEventListener('change', () => {
+        columnMapping[select.dataset.header] = select.value || null;
+        renderMapping();
+        runLint();
+    }));
+}
+
+// Apply a saved profile to the headers it knows; other headers keep their field
+mappingProfileSelect.addEventListener('change', () => {
+    const profile = mappingProfiles.find(candidate => candidate.name === mappingProfileSelect.value);
+    deleteMappingBtn.style.display = profile ? 'inline-block' : 'none';
+    if (!profile || !columnMapping) return;
+
+    Object.keys(columnMapping).forEach(header => {
+        if (Object.hasOwn(profile.columns, header)) columnMapping[header] = profile.columns[header];
+    });
+    mappingProfileName.value = profile.name;
+    renderMapping();
+    runLint();
+});
+
+// Save the current mapping as a named profile of the selected site
+saveMappingBtn.addEventListener('click', async () => {
+    const name = mappingProfileName.value.trim();
+    if (!name) {
+        mappingProfileName.focus();
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/mappings', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ clientId: clientSelect.value || null, name, columns: columnMapping }),
+            credentials: 'include'
+        });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Could not save the mapping profile');
+
+        await loadMappings();
+        updateProfileSelect(data.profile.name);
+    } catch (error) {
+        showError(`<i class="fas fa-exclamation-circle"></i> ${escapeHtml(error.message)}`);
+    }
+});
+
+// Delete the selected profile
+deleteMappingBtn.addEventListener('click', async () => {
+    const name = mappingProfileSelect.value;
+    if (!name || !confirm(`Delete the mapping profile "${name}"?`)) return;
+
+    try {
+        const query = clientSelect.value ? `?clientId=${encodeURIComponent(clientSelect.value)}` : '';
+        const response = await fetch(`/api/mappings/${encodeURIComponent(name)}${query}`, { method: 'DELETE', credentials: 'include' });
+        const data = await response.json();
+        if (!data.success) throw new Error(data.error || 'Could not delete the mapping profile');
+
+        await loadMappings();
+    } catch (error) {
+        showError(`<i class="fas fa-exclamation-circle"></i> ${escapeHtml(error.message)}`);
+    }
+});
+
+// Show which SEO fields the site's SEO plugin kept after the post was saved
+function describeSeo(result) {
+    if (!result.seo) {
+        return result.seoWarning ? `<span class="lint-warning"><i class="fas fa-exclamation-triangle"></i>${escapeHtml(result.seoWarning)}</span>` : '-';
+    }
+
+    const fields = result.seo.fields.map(field => field.saved
+        ? `<span class="seo-saved"><i class="fas fa-check"></i>${escapeHtml(field.field)}</span>`
+        : `<span class="lint-warning"><i class="fas fa-exclamation-triangle"></i>${escapeHtml(field.field)} not saved${field.actual !== null ? ` (saved as "${escapeHtml(field.actual)}")` : ''}</span>`);
+    return `<div class="lint-issues">${escapeHtml(result.seo.plugin)}<br>${fields.join('<br>')}</div>`;
+}
+
+// Show a row's SEO score with the checks it failed
+function describeSeoScore(seoScore) {
+    if (!seoScore) return '-';
+
+    const scoreClass = seoScore.score >= 80 ? 'seo-score-good' : seoScore.score >= 50 ? 'seo-score-fair' : 'seo-score-poor';
+    const score = `<span class="seo-score ${scoreClass}">${seoScore.score}/100</span>`;
+    if (seoScore.issues.length === 0) return score;
+    return `<details class="lint-issues"><summary>${score}</summary>${seoScore.issues.map(issue => `<span class="lint-warning"><i class="fas fa-exclamation-triangle"></i>${escapeHtml(issue)}</span>`).join('<br>')}</details>`;
+}
+
+// Format a byte count ("1.4 MB", "320 KB")
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.round(bytes / 1024)} KB`;
+}
+
+// Format a before/after value of a field diff
+function formatDiffValue(value) {
+    if (value === null || value === undefined || value === '') return '<em>(empty)</em>';
+
+    const text = Array.isArray(value) ? value.join(', ') : typeof value === 'string' ? value : JSON.stringify(value);
+    if (text.length <= 200) return escapeHtml(text);
+    return `<details><summary>${escapeHtml(text.slice(0, 200))}…</summary>${escapeHtml(text)}</details>`;
+}
+
+// Render the changed fields of an update preview as a before/after table
+function describeDiff(diff) {
+    const changes = (diff || []).filter(entry => entry.changed);
+    if (changes.length === 0) return '<span class="diff-none">No changes</span>';
+
+    return `<table class="diff-table">${changes.map(entry => `
+        <tr>
+            <th>${escapeHtml(entry.field)}</th>
+            <td class="diff-before">${formatDiffValue(entry.before)}</td>
+            <td class="diff-after">${formatDiffValue(entry.after)}</td>
+        </tr>`).join('')}</table>`;
+}
+
+// Count the ticked rows of an update preview and enable the apply button
+function updatePreviewSelection() {
+    const selected = document.querySelectorAll('#resultsTable .row-select:checked').length;
+    document.getElementById('previewSelectionText').textContent = `${selected} row(s) selected`;
+    applySelectedBtn.disabled = selected === 0;
+}
+
+// Apply only the rows left ticked in an update preview
+applySelectedBtn.addEventListener('click', async () => {
+    const rows = Array.from(document.querySelectorAll('#resultsTable .row-select:checked')).map(input => input.value);
+    if (!lastSubmission || rows.length === 0) return;
+
+    if (!confirm(`Apply ${rows.length} row(s) to WordPress?`)) return;
+
+    const formData = new FormData();
+    formData.append('csvfile', lastSubmission.file);
+    if (lastSubmission.clientId) {
+        formData.append('clientId', lastSubmission.clientId);
+    }
+    formData.append('rows', rows.join(','));
+    if (lastSubmission.sheet) {
+        formData.append('sheet', lastSubmission.sheet);
+    }
+    if (lastSubmission.mapping) {
+        formData.append('mapping', JSON.stringify(lastSubmission.mapping));
+    }
+    formData.append('contentFormat', lastSubmission.contentFormat);
+    if (lastSubmission.sideloadImages) {
+        formData.append('sideloadImages', 'true');
+    }
+    if (lastSubmission.convertToBlocks) {
+        formData.append('convertToBlocks', 'true');
+    }
+    if (lastSubmission.lintBlock) {
+        formData.append('lintBlock', lastSubmission.lintBlock);
+    }
+    if (lastSubmission.seoMinScore) {
+        formData.append('seoMinScore', lastSubmission.seoMinScore);
+    }
+
+    await runJob(() => fetch('/update', {
+        method: 'POST',
+        body: formData,
+        credentials: 'include'
+    }));
 });
 
 function showResults(result) {
+    // An update dry run comes back with a field diff per row that can be reviewed and applied
+    const isUpdatePreview = result.dryRun && result.results.some(r => r.diff);
+    // Rows of several sheets share row numbers, so they are applied sheet by sheet
+    const canApply = isUpdatePreview && !result.sheets;
+    const hasSheet = result.results.some(r => r.sheet);
+    const hasSchedule = result.results.some(r => r.scheduledFor);
+    const hasContentImages = result.results.some(r => r.contentImages?.length > 0);
+    const hasLint = result.results.some(r => r.lint?.length > 0);
+    const hasSeo = result.results.some(r => r.seo || r.seoWarning);
+    const hasSeoScore = result.results.some(r => r.seoScore);
+
+    document.getElementById('resultTitle').innerHTML = isUpdatePreview
+        ? '<i class="fas fa-columns"></i> Update Preview'
+        : result.dryRun
+        ? '<i class="fas fa-flask"></i> Dry Run Results'
+        : result.rollback
+        ? '<i class="fas fa-undo"></i> Rollback Results'
+        : '<i class="fas fa-chart-bar"></i> Upload Results';
+
     // Update stats
     document.getElementById('successCount').textContent = result.success;
     document.getElementById('failedCount').textContent = result.failed;
     document.getElementById('totalCount').textContent = result.total;
     document.getElementById('duration').textContent = result.duration + 's';
 
+    // Image processing report: bytes saved by resizing and re-encoding uploaded images
+    const bytesSavedCard = document.getElementById('bytesSavedCard');
+    bytesSavedCard.style.display = result.imageBytesSaved > 0 ? 'block' : 'none';
+    document.getElementById('bytesSaved').textContent = formatBytes(result.imageBytesSaved || 0);
+    document.getElementById('bytesSavedLabel').textContent = result.dryRun ? 'Image Bytes to Save' : 'Image Bytes Saved';
+
     // Build results table
     const table = document.createElement('table');
     table.innerHTML = `
         <thead>
             <tr>
+                ${canApply ? '<th><input type="checkbox" id="selectAllRows" class="row-select-all" title="Select all" checked></th>' : ''}
+                ${hasSheet ? '<th>Sheet</th>' : ''}
                 <th>Row</th>
                 <th>Title</th>
                 <th>Action</th>
                 <th>Post Status</th>
                 <th>Post ID</th>
+                ${hasSchedule ? '<th>Scheduled</th>' : ''}
+                ${hasContentImages ? '<th>Content Images</th>' : ''}
+                ${hasLint ? '<th>Content Lint</th>' : ''}
+                ${hasSeo ? '<th>SEO Fields</th>' : ''}
+                ${hasSeoScore ? '<th>SEO Score</th>' : ''}
                 <th>Error</th>
+                ${result.dryRun ? '<th>Planned Changes</th>' : ''}
+                ${isUpdatePreview ? '<th>Field Changes</th>' : ''}
             </tr>
         </thead>
         <tbody>
             ${result.results.map(r => {
                 const postStatus = r.status || '-';
                 const postStatusClass = postStatus === 'publish' ? 'status-published' : 
-                                      postStatus === 'draft' ? 'status-draft' : '';
+                                      postStatus === 'draft' ? 'status-draft' :
+                                      postStatus === 'future' ? 'status-scheduled' : '';
                 const postStatusDisplay = postStatus === 'publish' ? '📢 Published' : 
                                          postStatus === 'draft' ? '📝 Draft' : 
                                          postStatus === 'private' ? '🔒 Private' :
-                                         postStatus === 'pending' ? '⏳ Pending' : postStatus;
+                                         postStatus === 'pending' ? '⏳ Pending' :
+                                         postStatus === 'future' ? '📅 Scheduled' : postStatus;
                 
                 return `
                 <tr>
-                    <td>${r.rowNumber}</td>
-                    <td>${r.title}</td>
-                    <td class="${r.error ? 'status-failed' : 'status-success'}">
-                        ${r.error ? '<i class="fas fa-times-circle"></i> Failed' : '<i class="fas fa-check-circle"></i> ' + (r.action || 'Success')}
+                    ${canApply ? `<td><input type="checkbox" class="row-select" value="${r.rowNumber}" ${r.action === 'would update' && !r.error ? 'checked' : ''} ${r.error ? 'disabled' : ''}></td>` : ''}
+                    ${hasSheet ? `<td>${escapeHtml(r.sheet || '-')}</td>` : ''}
+                    <td>${r.rowNumber ?? '-'}</td>
+                    <td>${escapeHtml(r.title)}</td>
+                    <td class="${r.error ? 'status-failed' : r.dryRun ? 'status-planned' : 'status-success'}">
+                        ${r.error ? '<i class="fas fa-times-circle"></i> Failed' : (r.dryRun ? '<i class="fas fa-flask"></i> ' : '<i class="fas fa-check-circle"></i> ') + (r.action || 'Success')}
                     </td>
                     <td class="${postStatusClass}">
                         ${postStatus === 'publish' ? '<i class="fas fa-globe"></i> Published' : 
                          postStatus === 'draft' ? '<i class="fas fa-file-alt"></i> Draft' : 
                          postStatus === 'private' ? '<i class="fas fa-lock"></i> Private' :
-                         postStatus === 'pending' ? '<i class="fas fa-clock"></i> Pending' : postStatus}
+                         postStatus === 'pending' ? '<i class="fas fa-clock"></i> Pending' :
+                         postStatus === 'future' ? '<i class="fas fa-calendar-alt"></i> Scheduled' : escapeHtml(postStatus)}
                     </td>
                     <td>${r.postId || '-'}</td>
-                    <td>${r.error || '-'}</td>
+                    ${hasSchedule ? `<td>${r.scheduledFor ? escapeHtml(r.scheduledFor) : '-'}</td>` : ''}
+                    ${hasContentImages ? `<td>${describeContentImages(r.contentImages, result.dryRun)}</td>` : ''}
+                    ${hasLint ? `<td>${describeLintIssues(r.lint)}</td>` : ''}
+                    ${hasSeo ? `<td>${describeSeo(r)}</td>` : ''}
+                    ${hasSeoScore ? `<td>${describeSeoScore(r.seoScore)}</td>` : ''}
+                    <td>${r.error ? escapeHtml(r.error) : (r.authorWarning ? `<span class="lint-warning"><i class="fas fa-exclamation-triangle"></i>${escapeHtml(r.authorWarning)}</span>` : '-')}</td>
+                    ${result.dryRun ? `<td>${describePlan(r.plan)}</td>` : ''}
+                    ${isUpdatePreview ? `<td>${r.error ? '-' : describeDiff(r.diff)}</td>` : ''}
                 </tr>
             `;
             }).join('')}
@@ -275,56 +982,102 @@ function showResults(result) {
     resultsTable.innerHTML = '';
     resultsTable.appendChild(table);
 
+    previewActions.style.display = canApply ? 'flex' : 'none';
+    if (canApply) {
+        table.querySelectorAll('.row-select').forEach(input => input.addEventListener('change', updatePreviewSelection));
+        document.getElementById('selectAllRows').addEventListener('change', (e) => {
+            table.querySelectorAll('.row-select:not(:disabled)').forEach(input => {
+                input.checked = e.target.checked;
+            });
+            updatePreviewSelection();
+        });
+        updatePreviewSelection();
+    }
+
     resultSection.style.display = 'block';
     resultSection.scrollIntoView({ behavior: 'smooth' });
 }
 
-function connectToProgress(sessionId) {
-    const eventSource = new EventSource(`/progress/${sessionId}`);
-    const progressMessages = document.getElementById('progressMessages');
-    
-    if (!progressMessages) {
-        console.error('Progress messages container not found');
-        return eventSource;
+// Fetch a job's state, counts and per-row results
+async function fetchJob(jobId) {
+    const response = await fetch(`/api/jobs/${jobId}`, {
+        credentials: 'include'
+    });
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || 'Job not found');
     }
-    
-    eventSource.onmessage = (event) => {
-        try {
-            const data = JSON.parse(event.data);
-            
-            if (data.type === 'connected') {
-                return;
+    return data.job;
+}
+
+// Show a job's progress messages as they arrive
+// Resolves with the final event once the job has completed or failed
+function followJob(jobId) {
+    return new Promise((resolve) => {
+        const eventSource = new EventSource(`/progress/${jobId}`);
+        const progressMessages = document.getElementById('progressMessages');
+        
+        eventSource.onmessage = (event) => {
+            try {
+                const data = JSON.parse(event.data);
+                
+                if (data.type === 'connected') {
+                    return;
+                }
+                
+                if (data.type === 'complete' || data.type === 'failed') {
+                    eventSource.close();
+                    resolve(data);
+                    return;
+                }
+                
+                if (data.type === 'job') {
+                    progressText.textContent = data.state === 'queued' ? 'Job queued...' : 'Processing...';
+                }
+                
+                if (!progressMessages) {
+                    return;
+                }
+                
+                // Create message element
+                const messageDiv = document.createElement('div');
+                messageDiv.className = `progress-message ${data.type === 'job' ? 'info' : data.type}`;
+                
+                let icon = '';
+                if (data.type === 'success') {
+                    icon = '<i class="fas fa-check-circle"></i>';
+                } else if (data.type === 'error') {
+                    icon = '<i class="fas fa-times-circle"></i>';
+                } else if (data.type === 'warning') {
+                    icon = '<i class="fas fa-exclamation-triangle"></i>';
+                } else {
+                    icon = '<i class="fas fa-info-circle"></i>';
+                }
+                
+                messageDiv.innerHTML = `${icon} ${escapeHtml(data.message)}`;
+                progressMessages.appendChild(messageDiv);
+                
+                // Auto-scroll to bottom
+                progressMessages.scrollTop = progressMessages.scrollHeight;
+            } catch (error) {
+                console.error('Error parsing progress message:', error);
             }
-            
-            // Create message element
-            const messageDiv = document.createElement('div');
-            messageDiv.className = `progress-message ${data.type}`;
-            
-            let icon = '';
-            if (data.type === 'success') {
-                icon = '<i class="fas fa-check-circle"></i>';
-            } else if (data.type === 'error') {
-                icon = '<i class="fas fa-times-circle"></i>';
-            } else {
-                icon = '<i class="fas fa-info-circle"></i>';
+        };
+        
+        eventSource.onerror = async (error) => {
+            console.error('SSE error:', error);
+            // The stream ends once a finished job has been replayed; check the job state directly
+            try {
+                const job = await fetchJob(jobId);
+                if (['completed', 'failed', 'interrupted'].includes(job.state)) {
+                    eventSource.close();
+                    resolve({ type: job.state === 'completed' ? 'complete' : 'failed', error: job.error });
+                }
+            } catch (fetchError) {
+                console.error('Failed to check job state:', fetchError);
             }
-            
-            messageDiv.innerHTML = `${icon} ${data.message}`;
-            progressMessages.appendChild(messageDiv);
-            
-            // Auto-scroll to bottom
-            progressMessages.scrollTop = progressMessages.scrollHeight;
-        } catch (error) {
-            console.error('Error parsing progress message:', error);
-        }
-    };
-    
-    eventSource.onerror = (error) => {
-        console.error('SSE error:', error);
-        // Don't close on error, might reconnect
-    };
-    
-    return eventSource;
+        };
+    });
 }
 
 function showError(message) {
@@ -1,11 +1,28 @@
 import axios from 'axios';
 import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getClientConfig } from './lib/clients.js';
+import { normalizeTitle } from './lib/post-index.js';
 
 dotenv.config();
 
-const WP_SITE = process.env.WP_SITE;
-const WP_USER = process.env.WP_USER;
-const WP_APP_PASSWORD = process.env.WP_APP_PASSWORD;
+const { values: args } = parseArgs({
+  options: {
+    client: { type: 'string' },
+  },
+});
+
+let clientConfig;
+try {
+  clientConfig = getClientConfig(args.client || null);
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
+const WP_SITE = clientConfig.wp_site;
+const WP_USER = clientConfig.wp_user;
+const WP_APP_PASSWORD = clientConfig.wp_app_password;
 
 if (!WP_SITE || !WP_USER || !WP_APP_PASSWORD) {
   console.error('❌ Missing required environment variables');
@@ -22,24 +39,6 @@ const api = axios.create({
   timeout: 30000,
 });
 
-// Normalize title for comparison
-function normalizeTitle(str) {
-  if (!str) return '';
-  return str
-    .replace(/<[^>]*>/g, '') // Remove HTML tags
-    .replace(/&nbsp;/g, ' ') // Replace &nbsp; with space
-    .replace(/&amp;/g, '&') // Replace &amp; with &
-    .replace(/&quot;/g, '"') // Replace &quot; with "
-    .replace(/&#8217;/g, "'") // Replace &#8217; (right single quotation) with '
-    .replace(/&#8216;/g, "'") // Replace &#8216; (left single quotation) with '
-    .replace(/&#39;/g, "'") // Replace &#39; with '
-    .replace(/&#038;/g, '&') // Replace &#038; with &
-    .replace(/&[^;]+;/g, '') // Remove any other HTML entities
-    .replace(/\s+/g, ' ') // Normalize whitespace
-    .toLowerCase()
-    .trim();
-}
-
 async function removeDuplicateDrafts() {
   console.log('🔍 Fetching all draft posts...\n');
   
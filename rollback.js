@@ -0,0 +1,102 @@
+import fs from 'fs';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { getClientConfig, createApiInstance } from './lib/clients.js';
+import { getRun, listRuns, markRunRolledBack } from './lib/run-history.js';
+import { rollbackRun } from './lib/rollback.js';
+
+dotenv.config();
+
+const { values: args, positionals } = parseArgs({
+  options: {
+    client: { type: 'string' },
+    force: { type: 'boolean', default: false },
+  },
+  allowPositionals: true,
+});
+
+/**
+ * Print the recent runs that can be rolled back
+ */
+function printRuns() {
+  const runs = listRuns();
+  if (runs.length === 0) {
+    console.log('No runs recorded yet.');
+    return;
+  }
+
+  console.log('📋 Recent runs:\n');
+  for (const run of runs) {
+    const state = run.rolledBackAt ? `rolled back ${run.rolledBackAt}` : `${run.success} ok, ${run.failed} failed`;
+    console.log(`${run.id}  ${run.mode.padEnd(6)}  ${run.clientId || '-'}  ${run.fileName || '-'}  (${state})`);
+  }
+  console.log('\nUsage: npm run rollback -- <run-id> [--force]');
+}
+
+/**
+ * Load a run by ID, or wrap an import_log.json / update_log.json file written by an older version
+ */
+function loadRun(ref) {
+  const run = getRun(ref);
+  if (run) return run;
+
+  if (ref.endsWith('.json') && fs.existsSync(ref)) {
+    const results = JSON.parse(fs.readFileSync(ref, 'utf-8'));
+    if (!Array.isArray(results)) {
+      throw new Error(`${ref} is not a run log`);
+    }
+    return { id: null, mode: null, clientId: null, fileName: ref, rolledBackAt: null, results };
+  }
+
+  throw new Error(`Run "${ref}" not found. Run without arguments to list recent runs.`);
+}
+
+async function main() {
+  if (!positionals[0]) {
+    printRuns();
+    return;
+  }
+
+  let run;
+  let clientConfig;
+  try {
+    run = loadRun(positionals[0]);
+    clientConfig = getClientConfig(args.client || run.clientId || null);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  if (run.rolledBackAt) {
+    console.error(`❌ Run ${run.id} was already rolled back at ${run.rolledBackAt}`);
+    process.exit(1);
+  }
+
+  console.log('↩️  WordPress Run Rollback\n');
+  console.log(`Client: ${clientConfig.name}`);
+  console.log(`Site: ${clientConfig.wp_site}`);
+  console.log(`Run: ${run.id || run.fileName}`);
+  console.log(`Created posts will be ${args.force ? 'permanently deleted' : 'moved to the trash'}\n`);
+
+  const summary = await rollbackRun(run, createApiInstance(clientConfig), clientConfig, { force: args.force });
+
+  if (run.id) {
+    markRunRolledBack(run.id, summary);
+  }
+
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Rollback Summary');
+  console.log('='.repeat(50));
+  console.log(`✅ Success: ${summary.success}`);
+  console.log(`❌ Failed: ${summary.failed}`);
+  console.log(`⏱️  Total Time: ${summary.duration}s`);
+
+  if (summary.failed > 0) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Rollback failed:', error.message);
+  process.exit(1);
+});
@@ -5,8 +5,20 @@ import { fileURLToPath } from 'url';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import cookieParser from 'cookie-parser';
-import { processCsvFile, getAvailableClients as getUploadClients } from './bulk-upload.js';
-import { processUpdateCsvFile, getAvailableClients as getUpdateClients } from './bulk-update.js';
+import { processCsvFile } from './bulk-upload.js';
+import { processUpdateCsvFile } from './bulk-update.js';
+import { getAvailableClients, getClientConfig, createApiInstance } from './lib/clients.js';
+import { enqueueJob, getJob, listJobs, subscribeToJob, isJobFinished, findActiveJob } from './lib/jobs.js';
+import { getCheckpoint, listCheckpoints } from './lib/checkpoints.js';
+import { getRun, listRuns, markRunRolledBack } from './lib/run-history.js';
+import { rollbackRun } from './lib/rollback.js';
+import { parseCadence } from './lib/schedule.js';
+import { normalizeContentFormat } from './lib/markdown.js';
+import { normalizeLintBlock, lintRows } from './lib/content-lint.js';
+import { normalizeSeoMinScore } from './lib/seo-score.js';
+import { readInput, isInputFile, isWorkbook, listSheets, listBatches, describeInput, describeInputFormat } from './lib/rows.js';
+import { exportPosts, toCsv, getExportFileName } from './lib/export.js';
+import { MAPPING_FIELDS, normalizeMapping, applyMapping, suggestMapping, findHeaderProblems, listProfiles, saveProfile, deleteProfile } from './lib/column-mapping.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -53,10 +65,10 @@ const storage = multer.diskStorage({
 const upload = multer({ 
   storage: storage,
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    if (file.mimetype === 'text/csv' || isInputFile(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed!'), false);
+      cb(new Error('Only CSV, Excel (.xlsx), JSON, NDJSON and WordPress export (.xml) files are allowed!'), false);
     }
   },
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
@@ -138,8 +150,7 @@ function requireAuth(req, res, next) {
   }
 
   // No valid session - redirect to login or return 401 for API calls
-  // Allow /api/clients without auth (it's safe, just returns available clients)
-  if ((req.path.startsWith('/api/') && req.path !== '/api/clients') || 
+  if (req.path.startsWith('/api/') || 
       req.path === '/upload' || 
       req.path === '/update' ||
       req.path.startsWith('/progress/') ||
@@ -257,12 +268,13 @@ app.use(express.static(path.join(__dirname, 'public'), {
   index: false // Don't serve index.html automatically - it's served by the route above
 }));
 
-// Store active SSE connections
-const sseConnections = new Map();
-
-// SSE endpoint for progress updates
-app.get('/progress/:sessionId', (req, res) => {
-  const sessionId = req.params.sessionId;
+// SSE endpoint for job progress updates
+// Events already emitted by the job are replayed first, so late subscribers see the full history
+app.get('/progress/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
   
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -270,13 +282,24 @@ app.get('/progress/:sessionId', (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   
   // Send initial connection message
-  res.write(`data: ${JSON.stringify({ type: 'connected' })}\n\n`);
+  res.write(`data: ${JSON.stringify({ type: 'connected', jobId: job.id, state: job.state })}\n\n`);
   
-  // Store the response object for this session
-  if (!sseConnections.has(sessionId)) {
-    sseConnections.set(sessionId, []);
+  // Replay progress so far
+  job.events.forEach(event => {
+    res.write(`data: ${JSON.stringify(event)}\n\n`);
+  });
+  
+  if (isJobFinished(job)) {
+    return res.end();
   }
-  sseConnections.get(sessionId).push(res);
+  
+  const unsubscribe = subscribeToJob(job.id, (event) => {
+    try {
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    } catch (error) {
+      console.error('Error broadcasting progress:', error);
+    }
+  });
   
   // Keep connection alive
   const interval = setInterval(() => {
@@ -286,130 +309,372 @@ app.get('/progress/:sessionId', (req, res) => {
   // Clean up on close
   req.on('close', () => {
     clearInterval(interval);
-    const connections = sseConnections.get(sessionId);
-    if (connections) {
-      const index = connections.indexOf(res);
-      if (index > -1) {
-        connections.splice(index, 1);
-      }
-      if (connections.length === 0) {
-        sseConnections.delete(sessionId);
-      }
-    }
+    unsubscribe();
     res.end();
   });
 });
 
-// Helper function to broadcast progress to all connections for a session
-function broadcastProgress(sessionId, progress) {
-  const connections = sseConnections.get(sessionId);
-  if (connections) {
-    connections.forEach(res => {
-      try {
-        res.write(`data: ${JSON.stringify(progress)}\n\n`);
-      } catch (error) {
-        console.error('Error broadcasting progress:', error);
-      }
-    });
+// Resolve the clientId sent from the form against the client registry
+// Returns an error message when the client is missing or unknown
+function validateClientId(clientId) {
+  const clients = getAvailableClients();
+  if (!clientId) {
+    return clients.length > 1 ? 'Please select a WordPress site' : null;
   }
+  if (!clients.some(client => client.id === clientId)) {
+    return `Unknown WordPress site: ${clientId}`;
+  }
+  return null;
 }
 
-// Upload and process CSV
-app.post('/upload', upload.single('csvfile'), async (req, res) => {
+// Queue a CSV processing job and respond immediately with its ID
+// A workbook without a chosen sheet queues one job per sheet (jobIds, in order); the uploaded file is removed
+// once the last job has finished
+async function queueCsvJob(req, res, type, processFile) {
   if (!req.file) {
     return res.status(400).json({ error: 'No file uploaded' });
   }
 
-  // Get sessionId and clientId from form data or generate one
-  const sessionId = req.body.sessionId || Date.now().toString();
   const clientId = req.body.clientId || null;
 
+  const clientError = validateClientId(clientId);
+  if (clientError) {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({ success: false, error: clientError });
+  }
+
+  const csvPath = req.file.path;
+  const options = {
+    dryRun: req.body.dryRun === 'true',
+    sideloadImages: req.body.sideloadImages === 'true',
+    convertToBlocks: req.body.convertToBlocks === 'true',
+    fileName: req.file.originalname,
+  };
+
+  // Updates can be limited to the rows left ticked in a preview
+  if (type === 'update' && req.body.rows) {
+    options.rows = String(req.body.rows).split(',').map(n => parseInt(n, 10)).filter(n => Number.isInteger(n) && n > 0);
+  }
+
+  // Posts of a WordPress export can keep their original slugs and dates
+  if (type === 'upload' && req.body.preserveOriginal === 'true') {
+    options.preserveOriginal = true;
+  }
+
+  // New posts without a publish_date can be spread across a cadence such as "Tue/Thu/Sat at 10:00"
+  if (type === 'upload' && req.body.schedule?.trim()) {
+    try {
+      parseCadence(req.body.schedule);
+      options.schedule = req.body.schedule.trim();
+    } catch (error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  // Content is HTML unless the run (or a row's content_format column) says Markdown;
+  // lintBlock and seoMinScore override the site's content lint blocking severity and minimum SEO score
+  if (req.body.contentFormat || req.body.lintBlock || req.body.seoMinScore) {
+    try {
+      if (req.body.contentFormat) options.contentFormat = normalizeContentFormat(req.body.contentFormat);
+      if (req.body.lintBlock) options.lintBlock = normalizeLintBlock(req.body.lintBlock);
+      if (req.body.seoMinScore) options.seoMinScore = normalizeSeoMinScore(req.body.seoMinScore);
+    } catch (error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ success: false, error: error.message });
+    }
+  }
+
+  // Columns with other headers than the known fields are renamed by the mapping chosen in the interface
+  if (req.body.mapping) {
+    try {
+      options.mapping = normalizeMapping(JSON.parse(req.body.mapping));
+    } catch (error) {
+      fs.unlinkSync(req.file.path);
+      return res.status(400).json({ success: false, error: `Invalid column mapping: ${error.message}` });
+    }
+  }
+
+  // Each sheet of a workbook is a batch of its own unless one is chosen
+  let sheets;
   try {
-    const csvPath = req.file.path;
-    console.log(`Processing uploaded file: ${csvPath}${clientId ? ` for client: ${clientId}` : ''}`);
-    
-    // Progress callback - broadcast immediately to SSE connections
-    const progressCallback = (progress) => {
-      broadcastProgress(sessionId, progress);
-    };
-    
-    // Process the CSV file using the existing bulk upload logic
-    const result = await processCsvFile(csvPath, progressCallback, clientId);
-    
-    // Clean up uploaded file after processing
-    fs.unlinkSync(csvPath);
-    
-    res.json({
-      success: true,
-      message: 'Upload completed successfully',
-      result: result,
-      sessionId: sessionId
+    sheets = await listBatches(csvPath, req.body.sheet);
+    if (options.rows && sheets.length > 1) {
+      throw new Error('Choose a sheet to apply selected rows of a workbook with several sheets');
+    }
+  } catch (error) {
+    fs.unlinkSync(req.file.path);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  console.log(`Queueing ${type} job for file: ${csvPath}${clientId ? ` for client: ${clientId}` : ''}${sheets.length > 1 ? ` (${sheets.length} sheets)` : ''}`);
+
+  let remaining = sheets.length;
+  const jobs = sheets.map(sheet => {
+    const batchOptions = sheet ? { ...options, sheet } : options;
+    return enqueueJob({
+      type,
+      clientId,
+      fileName: describeInput(req.file.originalname, sheet),
+      options: batchOptions,
+    }, async (progressCallback) => {
+      try {
+        return await processFile(csvPath, progressCallback, clientId, batchOptions);
+      } finally {
+        // Clean up uploaded file after the last batch
+        remaining--;
+        if (remaining === 0 && fs.existsSync(csvPath)) {
+          fs.unlinkSync(csvPath);
+        }
+      }
     });
+  });
+
+  res.status(202).json({
+    success: true,
+    message: `${options.dryRun ? 'Dry run' : type === 'upload' ? 'Upload' : 'Update'} job queued${jobs.length > 1 ? ` for each of ${jobs.length} sheets` : ''}`,
+    jobId: jobs[0].id,
+    jobIds: jobs.map(job => job.id),
+    sheets,
+    state: jobs[0].state
+  });
+}
+
+/**
+ * Route handler that queues a CSV job and answers with a JSON error when queueing throws
+ * (e.g. an unreadable client registry); the uploaded file is left in place, as batches queued before the error
+ * may still need it.
+ */
+function csvJobHandler(type, processFile) {
+  return async (req, res) => {
+    try {
+      await queueCsvJob(req, res, type, processFile);
+    } catch (error) {
+      console.error(`Failed to queue ${type} job:`, error);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    }
+  };
+}
+
+// Upload and process CSV
+app.post('/upload', upload.single('csvfile'), csvJobHandler('upload', processCsvFile));
+
+// Update existing posts from CSV
+app.post('/update', upload.single('csvfile'), csvJobHandler('update', processUpdateCsvFile));
+
+// Lint the content of an input file before it is processed (per-row report, nothing is sent to WordPress)
+app.post('/api/lint', upload.single('csvfile'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ success: false, error: 'No file uploaded' });
+  }
+
+  try {
+    const clientConfig = getClientConfig(req.body.clientId || null);
+    const contentFormat = normalizeContentFormat(req.body.contentFormat);
+    const block = req.body.lintBlock ? normalizeLintBlock(req.body.lintBlock) : clientConfig.content_lint.block;
+    // Workbooks are linted sheet by sheet, like they are processed; sheets lists every sheet to choose from
+    const sheets = isWorkbook(req.file.originalname) ? await listSheets(req.file.path) : [];
+    const batches = [];
+    for (const sheet of await listBatches(req.file.path, req.body.sheet)) {
+      batches.push({ sheet, input: await readInput(req.file.path, { sheet }) });
+    }
+
+    // The file's headers are linted through the posted mapping, or else the one suggested from the site's
+    // saved profiles and the header names (profile names the suggested profile)
+    const headers = [...new Set(batches.flatMap(({ input }) => input.headers.filter(Boolean)))];
+    const suggestion = req.body.mapping ? null : suggestMapping(headers, listProfiles(clientConfig.id));
+    const mapping = req.body.mapping ? normalizeMapping(JSON.parse(req.body.mapping)) : suggestion.mapping;
+    const reports = batches.map(({ sheet, input }) => ({
+      sheet,
+      format: describeInputFormat(input),
+      headerProblems: findHeaderProblems(input.headers, mapping),
+      report: lintRows(applyMapping(input.rows, mapping), { ...clientConfig.content_lint, block }, contentFormat),
+    }));
+    res.json({ success: true, sheets, headers, mapping, profile: suggestion?.profile || null, reports });
   } catch (error) {
-    // Clean up uploaded file on error
-    if (req.file && fs.existsSync(req.file.path)) {
+    res.status(400).json({ success: false, error: error.message });
+  } finally {
+    if (fs.existsSync(req.file.path)) {
       fs.unlinkSync(req.file.path);
     }
-    
-    console.error('Upload error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'An error occurred during upload',
-      sessionId: sessionId
-    });
   }
 });
 
-// Update existing posts from CSV
-app.post('/update', upload.single('csvfile'), async (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+// List the fields columns can be mapped to and the mapping profiles saved for a site
+app.get('/api/mappings', (req, res) => {
+  const clientId = req.query.clientId || null;
+  const clientError = validateClientId(clientId);
+  if (clientError) {
+    return res.status(400).json({ success: false, error: clientError });
   }
 
-  // Get sessionId and clientId from form data or generate one
-  const sessionId = req.body.sessionId || Date.now().toString();
-  const clientId = req.body.clientId || null;
+  try {
+    res.json({ success: true, fields: MAPPING_FIELDS, profiles: listProfiles(getClientConfig(clientId).id) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Save a named mapping profile for a site ({ clientId, name, columns: { header → field or null } })
+app.post('/api/mappings', (req, res) => {
+  const clientId = req.body?.clientId || null;
+  const clientError = validateClientId(clientId);
+  if (clientError) {
+    return res.status(400).json({ success: false, error: clientError });
+  }
 
   try {
-    const csvPath = req.file.path;
-    console.log(`Processing update file: ${csvPath}${clientId ? ` for client: ${clientId}` : ''}`);
-    
-    // Progress callback - broadcast immediately to SSE connections
-    const progressCallback = (progress) => {
-      broadcastProgress(sessionId, progress);
-    };
-    
-    // Process the CSV file using the bulk update logic
-    const result = await processUpdateCsvFile(csvPath, progressCallback, clientId);
-    
-    // Clean up uploaded file after processing
-    fs.unlinkSync(csvPath);
-    
-    res.json({
-      success: true,
-      message: 'Update completed successfully',
-      result: result,
-      sessionId: sessionId
-    });
+    const profile = saveProfile(getClientConfig(clientId).id, req.body?.name, req.body?.columns);
+    res.json({ success: true, profile });
   } catch (error) {
-    // Clean up uploaded file on error
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
-    }
-    
-    console.error('Update error:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'An error occurred during update',
-      sessionId: sessionId
-    });
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delete a saved mapping profile
+app.delete('/api/mappings/:name', (req, res) => {
+  const clientId = req.query.clientId || null;
+  const clientError = validateClientId(clientId);
+  if (clientError) {
+    return res.status(400).json({ success: false, error: clientError });
+  }
+
+  if (!deleteProfile(getClientConfig(clientId).id, req.params.name)) {
+    return res.status(404).json({ success: false, error: 'Mapping profile not found' });
+  }
+  res.json({ success: true });
+});
+
+// Download posts as a CSV in the column format /update reads, so they can be edited and uploaded again
+// Query: clientId, type, status (comma-separated), category, tag, search, after and before (YYYY-MM-DD)
+app.get('/api/export', async (req, res) => {
+  const clientId = req.query.clientId || null;
+  const clientError = validateClientId(clientId);
+  if (clientError) {
+    return res.status(400).json({ success: false, error: clientError });
+  }
+
+  try {
+    const clientConfig = getClientConfig(clientId);
+    const { columns, rows, postType } = await exportPosts(createApiInstance(clientConfig), clientConfig, req.query);
+    res.attachment(getExportFileName(clientConfig, postType));
+    res.type('text/csv').send(toCsv(columns, rows));
+  } catch (error) {
+    res.status(error.response ? 502 : 400).json({ success: false, error: error.message });
+  }
+});
+
+// List unfinished runs that can be resumed
+app.get('/api/checkpoints', (req, res) => {
+  try {
+    res.json({ success: true, checkpoints: listCheckpoints() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Resume an interrupted run from the first unprocessed row of its file
+app.post('/api/checkpoints/:id/resume', (req, res) => {
+  const checkpoint = getCheckpoint(req.params.id);
+  if (!checkpoint) {
+    return res.status(404).json({ success: false, error: 'Checkpoint not found' });
+  }
+  if (checkpoint.completed || !checkpoint.sourceFile || !fs.existsSync(checkpoint.sourceFile)) {
+    return res.status(409).json({ success: false, error: 'This run has already completed' });
+  }
+
+  const processFile = checkpoint.mode === 'update' ? processUpdateCsvFile : processCsvFile;
+  const options = { resume: true, fileName: checkpoint.fileName, ...(checkpoint.sheet && { sheet: checkpoint.sheet }), ...(checkpoint.preserveOriginal && { preserveOriginal: true }) };
+
+  const job = enqueueJob({
+    type: checkpoint.mode,
+    clientId: checkpoint.clientId,
+    fileName: describeInput(checkpoint.fileName, checkpoint.sheet),
+    options,
+  }, (progressCallback) => processFile(checkpoint.sourceFile, progressCallback, checkpoint.clientId, options));
+
+  res.status(202).json({
+    success: true,
+    message: 'Resume job queued',
+    jobId: job.id,
+    state: job.state
+  });
+});
+
+// List completed runs that can be rolled back
+app.get('/api/runs', (req, res) => {
+  try {
+    res.json({ success: true, runs: listRuns() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Roll back a completed run: trash created posts and restore updated ones
+app.post('/api/runs/:id/rollback', (req, res) => {
+  const run = getRun(req.params.id);
+  if (!run) {
+    return res.status(404).json({ success: false, error: 'Run not found' });
   }
+  if (run.rolledBackAt) {
+    return res.status(409).json({ success: false, error: 'This run has already been rolled back' });
+  }
+  // A second rollback would restore the previous values again and delete what the first one kept
+  const pending = findActiveJob('rollback', { runId: run.id });
+  if (pending) {
+    return res.status(409).json({ success: false, error: 'A rollback of this run is already queued or running', jobId: pending.id });
+  }
+
+  let clientConfig;
+  try {
+    clientConfig = getClientConfig(run.clientId);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const options = { runId: run.id, force: req.body?.force === true || req.body?.force === 'true' };
+
+  const job = enqueueJob({
+    type: 'rollback',
+    clientId: run.clientId,
+    fileName: run.fileName,
+    options,
+  }, async (progressCallback) => {
+    const summary = await rollbackRun(run, createApiInstance(clientConfig), clientConfig, { ...options, progressCallback });
+    markRunRolledBack(run.id, summary);
+    return summary;
+  });
+
+  res.status(202).json({
+    success: true,
+    message: 'Rollback job queued',
+    jobId: job.id,
+    state: job.state
+  });
+});
+
+// List recent jobs
+app.get('/api/jobs', (req, res) => {
+  res.json({ success: true, jobs: listJobs() });
+});
+
+// Get job state, counts and per-row results
+app.get('/api/jobs/:id', (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Job not found' });
+  }
+
+  const { events, ...details } = job;
+  res.json({ success: true, job: details });
 });
 
 // Get available clients endpoint
 app.get('/api/clients', (req, res) => {
   try {
-    const clients = getUploadClients();
+    const clients = getAvailableClients();
     res.json({ success: true, clients });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
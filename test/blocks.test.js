@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertToBlocks } from '../lib/blocks.js';
+
+test('convertToBlocks keeps the size, alignment and attachment of an image', () => {
+  const html = '<img src="https://x.test/a.jpg" alt="A" class="wp-image-5 alignright" width="300" height="200">';
+  const blocks = convertToBlocks(html, new Map([['https://x.test/a.jpg', 9]]));
+  assert.match(blocks, /^<!-- wp:image \{"id":9,"width":"300px","height":"200px","sizeSlug":"full","linkDestination":"none","align":"right"\} -->/);
+  assert.match(blocks, /<figure class="wp-block-image alignright size-full is-resized"><img src="https:\/\/x.test\/a.jpg" alt="A" class="wp-image-9" style="width:300px;height:200px"\/><\/figure>/);
+});
+
+test('convertToBlocks keeps images with attributes an image block cannot hold as HTML', () => {
+  const html = '<img src="https://x.test/a.jpg" style="border:1px" data-x="1">';
+  assert.equal(convertToBlocks(html), `<!-- wp:html -->\n${html}\n<!-- /wp:html -->`);
+});
+
+test('convertToBlocks does not turn a paragraph with attributes into an image block', () => {
+  const blocks = convertToBlocks('<p class="lead"><img src="https://x.test/a.jpg"></p>');
+  assert.match(blocks, /^<!-- wp:paragraph \{"className":"lead"\} -->/);
+  assert.match(blocks, /<p class="lead"><img src="https:\/\/x.test\/a.jpg"><\/p>/);
+});
+
+test('convertToBlocks returns content that already has blocks unchanged', () => {
+  const html = '<!-- wp:paragraph --><p>x</p><!-- /wp:paragraph -->';
+  assert.equal(convertToBlocks(html), html);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  normalizeMapping, applyMapping, suggestMapping, findHeaderProblems, listProfiles, getProfile, saveProfile, deleteProfile,
+} from '../lib/column-mapping.js';
+
+const MAPPINGS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'mappings');
+
+test('normalizeMapping trims fields, drops blank headers and rejects unknown or doubly mapped fields', () => {
+  assert.deepEqual({ ...normalizeMapping({ Headline: ' title ', Notes: '', ' ': 'content' }) }, { Headline: 'title', Notes: null });
+  assert.throws(() => normalizeMapping({ Headline: 'headline' }), /Unknown field "headline"/);
+  assert.throws(() => normalizeMapping({ Headline: 'title', Name: 'title' }), /both mapped to title/);
+  assert.throws(() => normalizeMapping(['title']), /must be an object/);
+});
+
+test('normalizeMapping keeps "__proto__" and "constructor" as ordinary headers', () => {
+  const mapping = normalizeMapping(JSON.parse('{"__proto__": "title", "constructor": "content"}'));
+  assert.equal(mapping.__proto__, 'title');
+  assert.equal(mapping.constructor, 'content');
+  assert.deepEqual(Object.keys(mapping), ['__proto__', 'constructor']);
+});
+
+test('applyMapping renames mapped columns, drops ignored ones and keeps the rest', () => {
+  const rows = [{ Headline: 'Hello', Body: '<p>Hi</p>', Notes: 'internal', tags: 'news' }];
+  const mapping = normalizeMapping({ Headline: 'title', Body: 'content', Notes: '' });
+  assert.deepEqual(applyMapping(rows, mapping), [{ title: 'Hello', content: '<p>Hi</p>', tags: 'news' }]);
+});
+
+test('applyMapping lets a mapped column take the name of an unmapped one', () => {
+  const rows = [{ title: 'Old', Headline: 'New' }];
+  assert.deepEqual(applyMapping(rows, normalizeMapping({ Headline: 'title' })), [{ title: 'New' }]);
+});
+
+test('applyMapping does not read mappings from the object prototype', () => {
+  const rows = [{ constructor: 'c', toString: 't', Headline: 'h' }];
+  assert.deepEqual(applyMapping(rows, normalizeMapping({ Headline: 'title' })), [{ constructor: 'c', toString: 't', title: 'h' }]);
+});
+
+test('suggestMapping guesses synonyms, and keeps exact field names ahead of them', () => {
+  const { profile, mapping } = suggestMapping(['Headline', 'Body', 'title', 'SEO_Desc', 'Whatever']);
+  assert.equal(profile, null);
+  assert.deepEqual(mapping, { Headline: null, Body: 'content', title: 'title', SEO_Desc: 'meta_description', Whatever: null });
+});
+
+test('suggestMapping uses the saved profile that knows most of the headers', () => {
+  const profiles = [
+    { name: 'partner', columns: { Headline: 'title', Copy: 'content' } },
+    { name: 'other', columns: { Headline: 'excerpt' } },
+  ];
+  const { profile, mapping } = suggestMapping(['Headline', 'Copy', 'Section'], profiles);
+  assert.equal(profile, 'partner');
+  assert.deepEqual(mapping, { Headline: 'title', Copy: 'content', Section: 'categories' });
+});
+
+test('suggestMapping handles "__proto__" and "constructor" headers', () => {
+  const { mapping } = suggestMapping(['__proto__', 'constructor', 'Title']);
+  assert.deepEqual(Object.keys(mapping), ['__proto__', 'constructor', 'Title']);
+  assert.equal(mapping.__proto__, null);
+  assert.equal(mapping.constructor, null);
+  assert.equal(mapping.Title, 'title');
+});
+
+test('findHeaderProblems reports repeated, unnamed and unknown columns', () => {
+  const problems = findHeaderProblems(['title', 'title', '', 'Headline', 'Notes']);
+  assert.deepEqual(problems.map(problem => problem.severity), ['error', 'warning', 'warning']);
+  assert.match(problems[0].message, /"title" appears 2 times/);
+  assert.match(problems[1].message, /column 3/);
+  assert.match(problems[2].message, /"Headline" \(map it to title\), "Notes"/);
+  assert.deepEqual(findHeaderProblems(['Headline'], { Headline: 'title' }), []);
+});
+
+test('mapping profiles named "__proto__" or "constructor" are saved, listed and deleted like any other', (t) => {
+  const clientId = `test-${process.pid}`;
+  const hadDir = fs.existsSync(MAPPINGS_DIR);
+  t.after(() => {
+    fs.rmSync(path.join(MAPPINGS_DIR, `${clientId}.json`), { force: true });
+    if (!hadDir) fs.rmSync(MAPPINGS_DIR, { recursive: true, force: true });
+  });
+
+  assert.equal(getProfile(clientId, 'constructor'), null);
+  assert.equal(deleteProfile(clientId, 'toString'), false);
+
+  saveProfile(clientId, '__proto__', { Headline: 'title' });
+  saveProfile(clientId, 'constructor', { Body: 'content' });
+  assert.deepEqual(listProfiles(clientId).map(profile => profile.name), ['__proto__', 'constructor']);
+  assert.deepEqual(getProfile(clientId, '__proto__').columns, { Headline: 'title' });
+
+  assert.equal(deleteProfile(clientId, 'constructor'), true);
+  assert.equal(deleteProfile(clientId, 'constructor'), false);
+  assert.deepEqual(listProfiles(clientId).map(profile => profile.name), ['__proto__']);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { toCsv } from '../lib/export.js';
+import { readInput } from '../lib/rows.js';
+
+test('toCsv starts with a byte order mark and ends lines with CRLF', () => {
+  assert.equal(toCsv(['post_id', 'title'], [{ post_id: '1', title: 'Hello' }]), '﻿post_id,title\r\n1,Hello\r\n');
+});
+
+test('toCsv quotes fields with commas, quotes, line breaks or edge spaces, and writes missing values empty', () => {
+  const csv = toCsv(['a', 'b', 'c', 'd', 'e'], [{ a: 'x,y', b: 'say "hi"', c: 'one\ntwo', d: ' padded', e: null }]);
+  assert.equal(csv, '﻿a,b,c,d,e\r\n"x,y","say ""hi""","one\ntwo"," padded",\r\n');
+});
+
+test('toCsv output reads back as the same rows', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+
+  const columns = ['post_id', 'title', 'content', 'categories'];
+  const rows = [{ post_id: '7', title: 'Café “menu”', content: '<p>a, b</p>\n<p>c</p>', categories: 'Food\\, Drink,News' }];
+  const filePath = path.join(dir, 'export.csv');
+  fs.writeFileSync(filePath, toCsv(columns, rows));
+
+  const input = await readInput(filePath);
+  assert.equal(input.encoding, 'utf-8');
+  assert.deepEqual(input.headers, columns);
+  assert.deepEqual(input.rows, rows);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sharp from 'sharp';
+import { processImage } from '../lib/image-processing.js';
+import { checkMedia } from '../lib/media.js';
+
+const SETTINGS = { enabled: true, format: 'original', quality: 95, max_width: 1600 };
+
+/**
+ * A noisy JPEG at low quality, which grows when re-encoded at a higher one
+ */
+async function noisyJpeg({ width = 300, exif = false } = {}) {
+  const pixels = Buffer.alloc(width * 200 * 3).map((_, index) => (index * 7919) % 251);
+  let image = sharp(pixels, { raw: { width, height: 200, channels: 3 } });
+  if (exif) image = image.withMetadata({ exif: { IFD0: { Copyright: 'test' } } });
+  return image.jpeg({ quality: 40 }).toBuffer();
+}
+
+test('processImage keeps the original when re-encoding would only make it bigger', async () => {
+  const source = { buffer: await noisyJpeg(), fileName: 'photo.jpg', mimeType: 'image/jpeg' };
+  assert.equal(await processImage(source, SETTINGS), source);
+});
+
+test('processImage still re-encodes images that need metadata stripped, resizing or converting', async () => {
+  const withExif = { buffer: await noisyJpeg({ exif: true }), fileName: 'photo.jpg', mimeType: 'image/jpeg' };
+  const stripped = await processImage(withExif, SETTINGS);
+  assert.notEqual(stripped, withExif);
+  assert.equal((await sharp(stripped.buffer).metadata()).exif, undefined);
+
+  const wide = { buffer: await noisyJpeg({ width: 400 }), fileName: 'wide.jpg', mimeType: 'image/jpeg' };
+  const resized = await processImage(wide, { ...SETTINGS, max_width: 350 });
+  assert.equal((await sharp(resized.buffer).metadata()).width, 350);
+
+  const converted = await processImage({ ...wide }, { ...SETTINGS, format: 'webp' });
+  assert.equal(converted.mimeType, 'image/webp');
+  assert.equal(converted.fileName, 'wide.webp');
+});
+
+test('processImage leaves images alone when processing is off or the format is not processed', async () => {
+  const source = { buffer: Buffer.from('GIF89a'), fileName: 'a.gif', mimeType: 'image/gif' };
+  assert.equal(await processImage(source, SETTINGS), source);
+  const jpeg = { buffer: await noisyJpeg(), fileName: 'photo.jpg', mimeType: 'image/jpeg' };
+  assert.equal(await processImage(jpeg, { ...SETTINGS, enabled: false }), jpeg);
+});
+
+test('checkMedia never reports negative savings', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true }));
+  const filePath = path.join(dir, 'photo.jpg');
+  fs.writeFileSync(filePath, await noisyJpeg({ exif: true }));
+
+  const check = await checkMedia(filePath, null, { image_processing: SETTINGS });
+  assert.equal(check.valid, true);
+  assert.ok(check.processedBytes > check.bytes, 'stripping the metadata re-encodes the image at a higher quality');
+  assert.equal(check.bytesSaved, 0);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { decodeText, readInput, describeInputFormat } from '../lib/rows.js';
+
+/**
+ * Write bytes to a temporary CSV file and read it back
+ */
+async function readCsv(bytes) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rows-test-'));
+  const filePath = path.join(dir, 'input.csv');
+  fs.writeFileSync(filePath, bytes);
+  try {
+    return await readInput(filePath);
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+}
+
+test('decodeText drops a UTF-8 byte order mark', () => {
+  const { text, encoding } = decodeText(Buffer.from('﻿title,content', 'utf-8'));
+  assert.equal(text, 'title,content');
+  assert.equal(encoding, 'utf-8');
+});
+
+test('decodeText reads UTF-16 with and without a byte order mark', () => {
+  const le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('title,Zoë', 'utf16le')]);
+  assert.deepEqual(decodeText(le), { text: 'title,Zoë', encoding: 'utf-16le' });
+
+  const be = Buffer.from('title,Zoë', 'utf16le').swap16();
+  assert.deepEqual(decodeText(Buffer.concat([Buffer.from([0xfe, 0xff]), be])), { text: 'title,Zoë', encoding: 'utf-16be' });
+
+  assert.deepEqual(decodeText(Buffer.from('title,content\n', 'utf16le')), { text: 'title,content\n', encoding: 'utf-16le' });
+});
+
+test('decodeText reads text that is not valid UTF-8 as Windows-1252, curly quotes included', () => {
+  // “Café” – as Excel on Windows saves it
+  const { text, encoding } = decodeText(Buffer.from([0x93, 0x43, 0x61, 0x66, 0xe9, 0x94, 0x20, 0x96]));
+  assert.equal(text, '“Café” –');
+  assert.equal(encoding, 'windows-1252');
+});
+
+test('readInput detects semicolons, tabs and pipes from the header line', async () => {
+  for (const delimiter of [';', '\t', '|']) {
+    const { rows, delimiter: detected } = await readCsv(`title${delimiter}categories\nHello${delimiter}"News, Tips"\n`);
+    assert.equal(detected, delimiter);
+    assert.deepEqual(rows, [{ title: 'Hello', categories: 'News, Tips' }]);
+  }
+});
+
+test('readInput ignores delimiters inside quoted headers', async () => {
+  const { rows, delimiter } = await readCsv('"title;main",content\nHello,World\n');
+  assert.equal(delimiter, ',');
+  assert.deepEqual(rows, [{ 'title;main': 'Hello', content: 'World' }]);
+});
+
+test('readInput follows an Excel "sep=" line and removes it', async () => {
+  const { rows, headers, delimiter } = await readCsv('sep=;\ntitle;content\nA, B;C\n');
+  assert.equal(delimiter, ';');
+  assert.deepEqual(headers, ['title', 'content']);
+  assert.deepEqual(rows, [{ title: 'A, B', content: 'C' }]);
+});
+
+test('readInput reads Windows and old Mac line endings, skipping empty lines', async () => {
+  const { rows } = await readCsv('title,content\r\nA,"one\r\ntwo"\r\n,\r\n');
+  assert.deepEqual(rows, [{ title: 'A', content: 'one\ntwo' }]);
+  assert.deepEqual((await readCsv('title,content\rA,B\rC,D\r')).rows, [{ title: 'A', content: 'B' }, { title: 'C', content: 'D' }]);
+});
+
+test('readInput reads a semicolon-separated Windows-1252 file', async () => {
+  const { rows, encoding } = await readCsv(Buffer.concat([Buffer.from('title;content\n'), Buffer.from([0x43, 0x61, 0x66, 0xe9, 0x3b, 0x85])]));
+  assert.equal(encoding, 'windows-1252');
+  assert.deepEqual(rows, [{ title: 'Café', content: '…' }]);
+  assert.equal(describeInputFormat({ encoding, delimiter: ';' }), 'Windows-1252 text, semicolon-separated');
+});
+
+test('describeInputFormat says nothing about comma-separated UTF-8', () => {
+  assert.equal(describeInputFormat({ encoding: 'utf-8', delimiter: ',' }), null);
+});
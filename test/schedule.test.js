@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCadence, createScheduler } from '../lib/schedule.js';
+
+test('parseCadence reads day lists, ranges and daily cadences', () => {
+  assert.deepEqual([...parseCadence('Tue/Thu/Sat at 10:00').days].sort(), [2, 4, 6]);
+  assert.deepEqual([...parseCadence('Mon-Fri at 09:00').days].sort(), [1, 2, 3, 4, 5]);
+  assert.deepEqual([...parseCadence('daily at 8:00').days].sort(), [0, 1, 2, 3, 4, 5, 6]);
+  assert.deepEqual([...parseCadence('monday, wednesday at 7:30').days].sort(), [1, 3]);
+});
+
+test('parseCadence wraps ranges around the week', () => {
+  assert.deepEqual([...parseCadence('Fri-Mon at 12:00').days].sort(), [0, 1, 5, 6]);
+});
+
+test('parseCadence sorts several times of day', () => {
+  assert.deepEqual(parseCadence('Mon at 15:30, 09:00 and 12:15').times, [
+    { hour: 9, minute: 0 }, { hour: 12, minute: 15 }, { hour: 15, minute: 30 },
+  ]);
+});
+
+test('parseCadence rejects unknown days, bad times and missing parts', () => {
+  for (const text of ['Funday at 10:00', 'Mon at 24:00', 'Mon at 10:60', 'Mon at noon', 'Mon', '', null]) {
+    assert.throws(() => parseCadence(text), /Invalid schedule/, String(text));
+  }
+});
+
+test('createScheduler hands out the slots of a cadence in order, in the site timezone', () => {
+  // Monday 2025-03-03 08:00 UTC
+  const scheduler = createScheduler('Mon/Wed at 09:00, 17:00', '+02:00', new Date('2025-03-03T08:00:00Z'));
+  assert.deepEqual([scheduler.next(), scheduler.next(), scheduler.next()].map(date => date.toISOString()), [
+    '2025-03-03T15:00:00.000Z',
+    '2025-03-05T07:00:00.000Z',
+    '2025-03-05T15:00:00.000Z',
+  ]);
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scoreSeoRow } from '../lib/seo-score.js';
+
+function slugCheck(row) {
+  return scoreSeoRow({ meta_description: 'A description', ...row }).checks.find(item => item.id === 'keyword-in-slug');
+}
+
+test('the keyword-in-slug check compares non-Latin keywords with the decoded slug', () => {
+  assert.equal(slugCheck({ title: 'Пример', slug: '%D0%BF%D1%80%D0%B8%D0%BC%D0%B5%D1%80-%D1%82%D0%B5%D0%BA%D1%81%D1%82', focus_keyword: 'Пример' }).passed, true);
+  assert.equal(slugCheck({ title: 'Пример', slug: 'drugoy-tekst', focus_keyword: 'Пример' }).passed, false);
+});
+
+test('the keyword-in-slug check strips accents from the keyword and the generated slug alike', () => {
+  assert.equal(slugCheck({ title: 'Crème brûlée at home', focus_keyword: 'Crème brûlée' }).passed, true);
+});
+
+test('the keyword-in-slug check is skipped for a keyword with no slug form', () => {
+  assert.equal(slugCheck({ title: 'Hello', slug: 'hello', focus_keyword: '!!!' }), undefined);
+});
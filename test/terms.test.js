@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitTermNames, joinTermNames, getTermLeafName } from '../lib/terms.js';
+
+test('splitTermNames splits on commas, trimming names and dropping empty ones', () => {
+  assert.deepEqual(splitTermNames(' News , Tips,,  '), ['News', 'Tips']);
+  assert.deepEqual(splitTermNames(''), []);
+  assert.deepEqual(splitTermNames(null), []);
+});
+
+test('splitTermNames reads escaped commas and backslashes, and keeps other backslashes', () => {
+  assert.deepEqual(splitTermNames('Food\\, Drink & More,News'), ['Food, Drink & More', 'News']);
+  assert.deepEqual(splitTermNames('C\\\\,D'), ['C\\', 'D']);
+  assert.deepEqual(splitTermNames('a\\b'), ['a\\b']);
+});
+
+test('joinTermNames writes names that splitTermNames reads back', () => {
+  const names = ['Food, Drink & More > Brunch', 'Back\\slash', 'News'];
+  assert.equal(joinTermNames(names), 'Food\\, Drink & More > Brunch,Back\\\\slash,News');
+  assert.deepEqual(splitTermNames(joinTermNames(names)), names);
+});
+
+test('getTermLeafName takes the last segment of a hierarchical path only', () => {
+  assert.equal(getTermLeafName('Food > Brunch', 'categories'), 'Brunch');
+  assert.equal(getTermLeafName(' A > B ', 'tags'), 'A > B');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unserializePhp, parseWxr, wxrToRows } from '../lib/wxr.js';
+import { splitTermNames } from '../lib/terms.js';
+
+test('unserializePhp reads lists, keyed arrays and scalars', () => {
+  assert.deepEqual(unserializePhp('a:2:{i:0;s:7:"noindex";i:1;s:8:"nofollow";}'), ['noindex', 'nofollow']);
+  assert.deepEqual(unserializePhp('a:2:{s:3:"min";i:2;s:3:"max";d:4.5;}'), { min: 2, max: 4.5 });
+  assert.deepEqual(unserializePhp('a:1:{s:4:"list";a:1:{i:0;b:1;}}'), { list: [true] });
+  assert.equal(unserializePhp('i:-3;'), -3);
+  assert.equal(unserializePhp('N;'), null);
+});
+
+test('unserializePhp counts string lengths in bytes', () => {
+  assert.equal(unserializePhp('s:4:"Zoë";'), 'Zoë');
+  assert.deepEqual(unserializePhp('a:1:{i:0;s:6:"€ ok";}'), ['€ ok']);
+});
+
+test('unserializePhp returns undefined for plain, truncated or object values', () => {
+  assert.equal(unserializePhp('noindex'), undefined);
+  assert.equal(unserializePhp('a:2:{i:0;s:7:"noindex";'), undefined);
+  assert.equal(unserializePhp('s:3:"abc";extra'), undefined);
+  assert.equal(unserializePhp('O:8:"stdClass":0:{}'), undefined);
+  assert.equal(unserializePhp(42), undefined);
+});
+
+const WXR = `<?xml version="1.0" encoding="UTF-8" ?>
+<rss version="2.0" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:wp="http://wordpress.org/export/1.2/">
+<channel>
+  <wp:wxr_version>1.2</wp:wxr_version>
+  <wp:base_site_url>https://old.test</wp:base_site_url>
+  <wp:category><wp:term_id>1</wp:term_id><wp:category_nicename>food</wp:category_nicename><wp:category_parent></wp:category_parent><wp:cat_name><![CDATA[Food, Drink & More]]></wp:cat_name></wp:category>
+  <wp:category><wp:term_id>2</wp:term_id><wp:category_nicename>brunch</wp:category_nicename><wp:category_parent>food</wp:category_parent><wp:cat_name><![CDATA[Brunch]]></wp:cat_name></wp:category>
+  <item>
+    <title><![CDATA[Eggs]]></title>
+    <content:encoded><![CDATA[<p>Eggs</p>]]></content:encoded>
+    <wp:post_id>10</wp:post_id>
+    <wp:status>publish</wp:status>
+    <wp:post_type>post</wp:post_type>
+    <category domain="category" nicename="brunch"><![CDATA[Brunch]]></category>
+    <category domain="post_tag" nicename="eggs-bacon"><![CDATA[Eggs, Bacon]]></category>
+    <category domain="post_tag" nicename="toast"><![CDATA[Toast]]></category>
+  </item>
+</channel>
+</rss>`;
+
+test('wxrToRows writes term paths so that commas in names stay in one term', () => {
+  const [row] = wxrToRows(parseWxr(WXR));
+  assert.equal(row.title, 'Eggs');
+  assert.deepEqual(splitTermNames(row.categories), ['Food, Drink & More > Brunch']);
+  assert.deepEqual(splitTermNames(row.tags), ['Eggs, Bacon', 'Toast']);
+});